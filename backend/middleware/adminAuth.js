@@ -0,0 +1,22 @@
+// Guard for /api/admin: requests must send the ADMIN_TOKEN value in the x-admin-token header.
+// Without ADMIN_TOKEN set, admin endpoints are disabled.
+const crypto = require('crypto');
+
+const requireAdmin = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled (set ADMIN_TOKEN to enable them)' });
+  }
+
+  const provided = String(req.get('x-admin-token') || '');
+  const matches = provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+
+  if (!matches) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+};
+
+module.exports = requireAdmin;
@@ -1,9 +1,22 @@
 const redis = require('redis');
+const MemoryCache = require('./memoryCache');
 
 // These variables track if Redis is working
 let client = null;
 let redisAvailable = false;
 
+// Cache tags group cached responses so jobs can drop only what their data change affects:
+//   civ:<name>       per-civ endpoints (lowercase name)
+//   patch:<n>        responses filtered to one patch; patch:all when no patch filter was given
+//   civs, maps, openings, replays, trends, rollup, rankings, matches, players, player:<id>, data-quality
+// A tag can use route or query params in braces, e.g. 'civ:{civName}' or 'patch:{patch}'.
+const TAG_PREFIX = 'cache-tag:';
+const TAG_INDEX = 'cache-tags';
+// Tag sets outlive every response TTL; members that already expired are harmless
+const TAG_TTL = 24 * 60 * 60;
+
+const memoryCache = new MemoryCache();
+
 // This function tries to connect to Redis
 const connectToRedis = async () => {
   try {
@@ -79,64 +92,175 @@ const connectToRedis = async () => {
   }
 };
 
-// Try to connect when this file loads
-connectToRedis();
+// Try to connect when this file loads (scripts await this before invalidating)
+const connection = connectToRedis();
+
+const resolveTags = (tags, req) => tags.map(tag =>
+  tag.replace(/\{(\w+)\}/g, (_, name) => String(req.params[name] ?? req.query[name] ?? 'all').toLowerCase())
+);
 
 // This is the cache middleware your routes will use
-const cache = (duration = 300) => {
+// e.g. cache(3600, ['civ:{civName}', 'patch:{patch}'])
+// Responses carry X-Cache: L1-HIT (this process), L2-HIT (Redis) or MISS.
+const cache = (duration = 300, tags = []) => {
   return async (req, res, next) => {
     // Only cache GET requests (not POST, PUT, DELETE)
     if (req.method !== 'GET') {
       return next();
     }
 
-    // Skip caching if Redis isn't available
-    if (!redisAvailable || !client) {
-      console.log('⚠️  Cache skipped - Redis not available');
-      return next();
-    }
-
     // Create a unique key for this request
     const key = `cache:${req.originalUrl}`;
+    const resolvedTags = resolveTags(tags, req);
 
-    try {
-      // Try to get cached data
-      const cachedData = await client.get(key);
-      
-      if (cachedData) {
-        console.log('🎯 Cache hit! Returning cached data for:', req.originalUrl);
-        return res.json(JSON.parse(cachedData));
+    // L1: memory of this process
+    const localData = memoryCache.get(key);
+    if (localData) {
+      console.log('⚡ Memory cache hit! Returning cached data for:', req.originalUrl);
+      res.set('X-Cache', 'L1-HIT');
+      return res.json(JSON.parse(localData));
+    }
+
+    // L2: Redis, shared by every server process
+    if (redisAvailable && client) {
+      try {
+        const [cachedData, ttl] = await Promise.all([client.get(key), client.ttl(key)]);
+
+        if (cachedData) {
+          console.log('🎯 Cache hit! Returning cached data for:', req.originalUrl);
+          memoryCache.set(key, cachedData, ttl > 0 ? ttl : duration, resolvedTags);
+          res.set('X-Cache', 'L2-HIT');
+          return res.json(JSON.parse(cachedData));
+        }
+      } catch (error) {
+        console.warn('⚠️  Redis cache error (continuing with memory cache):', error.message);
+        redisAvailable = false;
       }
+    }
+
+    console.log('💾 Cache miss - will cache this response:', req.originalUrl);
+    res.set('X-Cache', 'MISS');
 
-      console.log('💾 Cache miss - will cache this response:', req.originalUrl);
-
-      // If no cached data, intercept the response to cache it
-      const originalJson = res.json;
-      
-      res.json = function(data) {
-        // Save this response to cache for next time
-        const isError = data?.error || data?.success === false || this.statusCode >= 400;
-  
-          if (redisAvailable && client && !isError) {
-            client.setEx(key, duration, JSON.stringify(data)).catch(err => {
-              console.warn('⚠️  Failed to cache data:', err.message);
-            });
-            console.log(`💾 Caching successful response for: ${key}`);
-          } else if (isError) {
-            console.log(`🚫 Not caching error response for: ${key}`);
+    // If no cached data, intercept the response to cache it
+    const originalJson = res.json;
+
+    res.json = function(data) {
+      // Save this response to cache for next time
+      const isError = data?.error || data?.success === false || this.statusCode >= 400;
+
+      if (!isError) {
+        const body = JSON.stringify(data);
+        memoryCache.set(key, body, duration, resolvedTags);
+
+        if (redisAvailable && client) {
+          const transaction = client.multi().setEx(key, duration, body);
+          for (const tag of resolvedTags) {
+            transaction
+              .sAdd(TAG_PREFIX + tag, key)
+              .expire(TAG_PREFIX + tag, TAG_TTL)
+              .sAdd(TAG_INDEX, tag);
           }
-          
-          originalJson.call(this, data);
-      };
-
-      next();
-      
-    } catch (error) {
-      console.warn('⚠️  Cache error (continuing without cache):', error.message);
-      redisAvailable = false;
-      next();
+          transaction.exec().catch(err => {
+            console.warn('⚠️  Failed to cache data:', err.message);
+          });
+        }
+        console.log(`💾 Caching successful response for: ${key}`);
+      } else {
+        console.log(`🚫 Not caching error response for: ${key}`);
+      }
+
+      originalJson.call(this, data);
+    };
+
+    next();
+  };
+};
+
+// Redis glob pattern ('*' and '?') as a RegExp for the memory tier
+const globToRegExp = (pattern) => new RegExp(
+  '^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$'
+);
+
+// Delete cached responses whose URL matches any of the patterns (Redis glob syntax,
+// e.g. '/api/stats/*'). Returns how many keys were removed.
+const invalidate = async (patterns) => {
+  const expressions = patterns.map(pattern => globToRegExp(`cache:${pattern}`));
+  const local = memoryCache.deleteWhere(key => expressions.some(expression => expression.test(key)));
+
+  await connection;
+  if (!redisAvailable || !client) return local;
+
+  let removed = 0;
+  for (const pattern of patterns) {
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `cache:${pattern}`, COUNT: 500 })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) {
+      removed += await client.del(keys);
+    }
+  }
+
+  console.log(`🧹 Invalidated ${removed} cached responses (${local} in memory) for ${patterns.join(', ')}`);
+  return removed;
+};
+
+// Delete every cached response carrying any of the tags. Returns how many were removed.
+const invalidateTags = async (tags) => {
+  const local = memoryCache.deleteWhere((key, entry) => entry.tags.some(tag => tags.includes(tag)));
+
+  await connection;
+  if (!redisAvailable || !client || tags.length === 0) return local;
+
+  let removed = 0;
+  for (const tag of tags) {
+    const keys = await client.sMembers(TAG_PREFIX + tag);
+    if (keys.length > 0) {
+      removed += await client.del(keys);
     }
+    await client.del(TAG_PREFIX + tag);
+    await client.sRem(TAG_INDEX, tag);
+  }
+
+  console.log(`🧹 Invalidated ${removed} cached responses (${local} in memory) tagged ${tags.join(', ')}`);
+  return removed;
+};
+
+// Known tags with the number of cached responses still alive under each, in Redis
+// (responses) and in this process (memory); Redis tags whose responses have all
+// expired are dropped from the index
+const listTags = async () => {
+  const counts = new Map();
+  const countFor = (tag) => {
+    if (!counts.has(tag)) counts.set(tag, { tag, responses: 0, memory: 0 });
+    return counts.get(tag);
   };
+
+  const now = Date.now();
+  for (const entry of memoryCache.entries.values()) {
+    if (entry.expiresAt > now) entry.tags.forEach(tag => countFor(tag).memory++);
+  }
+
+  await connection;
+  if (redisAvailable && client) {
+    for (const tag of await client.sMembers(TAG_INDEX)) {
+      const keys = await client.sMembers(TAG_PREFIX + tag);
+      const responses = keys.length > 0 ? await client.exists(keys) : 0;
+      if (responses === 0) {
+        await client.del(TAG_PREFIX + tag);
+        await client.sRem(TAG_INDEX, tag);
+        continue;
+      }
+      countFor(tag).responses = responses;
+    }
+  }
+
+  return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
 };
 
-module.exports = cache;
\ No newline at end of file
+module.exports = cache;
+module.exports.invalidate = invalidate;
+module.exports.invalidateTags = invalidateTags;
+module.exports.listTags = listTags;
+module.exports.isAvailable = () => redisAvailable;
+module.exports.memoryStats = () => memoryCache.stats();
\ No newline at end of file
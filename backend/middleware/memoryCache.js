@@ -0,0 +1,72 @@
+// middleware/memoryCache.js - In-process tier of the response cache (middleware/cache.js)
+
+// Size limits (override with CACHE_MEMORY_MAX_ENTRIES / CACHE_MEMORY_MAX_MB)
+const DEFAULT_MEMORY_MAX_ENTRIES = 500;
+const DEFAULT_MEMORY_MAX_MB = 64;
+
+// Bounded LRU of serialized responses held by this process. It serves alone while Redis
+// is down and as an L1 in front of Redis otherwise. Map iteration follows insertion
+// order, so re-inserting an entry on every read keeps the least recently used one first.
+// Invalidation from another process (a CLI script) only reaches Redis; entries here
+// then live out their TTL.
+class MemoryCache {
+  constructor({ maxEntries, maxMb } = {}) {
+    this.maxEntries = maxEntries || parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || DEFAULT_MEMORY_MAX_ENTRIES;
+    this.maxBytes = (maxMb || parseInt(process.env.CACHE_MEMORY_MAX_MB) || DEFAULT_MEMORY_MAX_MB) * 1024 * 1024;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.body;
+  }
+
+  set(key, body, ttlSeconds, tags) {
+    const size = Buffer.byteLength(body);
+    if (size > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, { body, size, tags, expiresAt: Date.now() + ttlSeconds * 1000 });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(key, entry) && this.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      sizeMb: Math.round((this.bytes / 1024 / 1024) * 100) / 100,
+      maxEntries: this.maxEntries,
+      maxMb: this.maxBytes / 1024 / 1024
+    };
+  }
+}
+
+module.exports = MemoryCache;
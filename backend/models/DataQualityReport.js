@@ -0,0 +1,26 @@
+// models/DataQualityReport.js - Per-week data-quality report written at import
+const mongoose = require('mongoose');
+
+// One file's results from services/schemaValidator.js
+const sectionSchema = new mongoose.Schema({
+  rows: Number,                     // rows in the parquet file
+  accepted: Number,                 // rows stored after validation
+  quarantined: Number,              // rows moved to quarantined_rows
+  null_rates: mongoose.Schema.Types.Mixed,          // field -> share of rows without a value
+  out_of_range: mongoose.Schema.Types.Mixed,        // field -> values dropped for type or range
+  quarantine_reasons: mongoose.Schema.Types.Mixed,  // reason -> rows
+  units: mongoose.Schema.Types.Mixed,               // field -> detected unit -> batches
+  unknown_columns: [String]         // columns in the file but not in the schema (not stored)
+}, { _id: false });
+
+const dataQualityReportSchema = new mongoose.Schema({
+  week_range: { type: String, required: true, unique: true },
+  matches: sectionSchema,
+  players: sectionSchema,
+  orphan_players: Number            // stored players whose game_id has no stored match
+}, {
+  timestamps: true,
+  collection: 'data_quality_reports'
+});
+
+module.exports = mongoose.model('DataQualityReport', dataQualityReportSchema);
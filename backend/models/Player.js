@@ -16,6 +16,29 @@ const playerSchema = new mongoose.Schema({
   new_rating: Number,
   match_rating_diff: Number,
   replay_summary_raw: String,
+  // Structured fields parsed from replay_summary_raw (services/replaySummaryParser.js)
+  replay_summary: {
+    status: String,                 // parsed | partial | unrecognized | invalid | empty
+    feudal_time: Number,            // seconds
+    castle_time: Number,
+    imperial_time: Number,
+    units: [{ _id: false, name: String, count: Number }],
+    techs: [{ _id: false, name: String, time: Number }],
+    eco: {
+      food: Number,
+      wood: Number,
+      gold: Number,
+      stone: Number,
+      villagers: Number
+    }
+  },
+  // Copied from the match at import so aggregations can filter without a $lookup
+  // (backfill older rows with scripts/denormalize-match-fields.js)
+  patch: Number,
+  leaderboard: String,
+  map: String,
+  started_timestamp: Date,
+  avg_elo: Number,
   week_range: String
 }, {
   timestamps: true
@@ -44,7 +67,15 @@ playerSchema.index({ civLower: 1, game_id: 1 });  // selective first stage + lat
 playerSchema.index({ game_id: 1, civLower: 1 });  // $lookup + filter combo
 playerSchema.index({ profile_id: 1 });
 playerSchema.index({ game_id: 1 });
+playerSchema.index({ game_id: 1, profile_id: 1 });  // upsert key for weekly sync
 playerSchema.index({ civ: 1 });
 playerSchema.index({ old_rating: 1 });
+playerSchema.index({ civ: 1, 'replay_summary.status': 1 });
+playerSchema.index({ patch: 1, civ: 1 });
+playerSchema.index({ leaderboard: 1, patch: 1, civ: 1 });
+playerSchema.index({ map: 1, civ: 1 });
+playerSchema.index({ profile_id: 1, started_timestamp: -1 });
+playerSchema.index({ leaderboard: 1, started_timestamp: -1 });  // player rankings
+playerSchema.index({ week_range: 1 });  // rollup coverage, week pruning
 
 module.exports = mongoose.model('Player', playerSchema);
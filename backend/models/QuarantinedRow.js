@@ -0,0 +1,16 @@
+// models/QuarantinedRow.js - Parquet rows rejected by the import schema check
+const mongoose = require('mongoose');
+
+const quarantinedRowSchema = new mongoose.Schema({
+  week_range: { type: String, required: true },
+  collection_name: { type: String, enum: ['matches', 'players'], required: true },
+  reasons: [String],
+  row: mongoose.Schema.Types.Mixed   // the row as read from the dump, before validation
+}, {
+  timestamps: true,
+  collection: 'quarantined_rows'
+});
+
+quarantinedRowSchema.index({ week_range: 1, collection_name: 1 });
+
+module.exports = mongoose.model('QuarantinedRow', quarantinedRowSchema);
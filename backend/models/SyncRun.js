@@ -0,0 +1,35 @@
+// models/SyncRun.js - Import progress for one weekly dump
+const mongoose = require('mongoose');
+
+// Stages a week moves through, in order; 'failed' keeps lastCompletedStage so a rerun resumes.
+// 'pruned' marks weeks removed by the retention policy (scripts/prune-weeks.js): scheduled
+// ingestion skips them, an explicit import starts them over from 'pending'.
+const SYNC_STAGES = ['pending', 'matches_done', 'players_done', 'verified'];
+
+const fileStatsSchema = new mongoose.Schema({
+  rows: Number,        // rows in the parquet file
+  unique: Number,      // distinct keys among those rows
+  stored: Number,      // documents in MongoDB for this week after the stage
+  checksum: String     // sha256 of the parquet file
+}, { _id: false });
+
+const syncRunSchema = new mongoose.Schema({
+  week_range: { type: String, required: true, unique: true },
+  status: { type: String, enum: [...SYNC_STAGES, 'failed', 'pruned'], default: 'pending' },
+  lastCompletedStage: { type: String, enum: SYNC_STAGES, default: 'pending' },
+  source: String,      // 'remote' or 'local'
+  matches: fileStatsSchema,
+  players: fileStatsSchema,
+  attempts: { type: Number, default: 0 },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  prunedAt: Date
+}, {
+  timestamps: true,
+  collection: 'sync_runs'
+});
+
+syncRunSchema.index({ status: 1 });
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const requireAdmin = require('../middleware/adminAuth');
+const { listTags, invalidateTags, isAvailable, memoryStats } = require('../middleware/cache');
+
+router.use(requireAdmin);
+
+// List cache tags and how many cached responses each one covers
+router.get('/cache/tags', async (req, res) => {
+  try {
+    const tags = await listTags();
+    res.json({
+      redisAvailable: isAvailable(),
+      memory: memoryStats(),
+      tags,
+      totalTags: tags.length
+    });
+  } catch (error) {
+    console.error('❌ Error listing cache tags:', error);
+    res.status(500).json({
+      error: 'Failed to list cache tags',
+      details: error.message
+    });
+  }
+});
+
+// Purge every cached response carrying a tag, e.g. DELETE /api/admin/cache/tags/civ:britons
+router.delete('/cache/tags/:tag', async (req, res) => {
+  try {
+    const tag = req.params.tag.toLowerCase();
+    const removed = await invalidateTags([tag]);
+    res.json({ tags: [tag], removed });
+  } catch (error) {
+    console.error('❌ Error purging cache tag:', error);
+    res.status(500).json({
+      error: 'Failed to purge cache tag',
+      details: error.message
+    });
+  }
+});
+
+// Purge several tags at once: POST /api/admin/cache/purge { "tags": ["patch:149", "rankings"] }
+router.post('/cache/purge', async (req, res) => {
+  try {
+    const { tags } = req.body || {};
+    if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string')) {
+      return res.status(400).json({ error: 'Body must be { "tags": ["<tag>", ...] }' });
+    }
+
+    const normalized = tags.map(tag => tag.toLowerCase());
+    const removed = await invalidateTags(normalized);
+    res.json({ tags: normalized, removed });
+  } catch (error) {
+    console.error('❌ Error purging cache tags:', error);
+    res.status(500).json({
+      error: 'Failed to purge cache tags',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
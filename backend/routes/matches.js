@@ -3,10 +3,21 @@ const router = express.Router();
 const Match = require('../models/Match');
 const Player = require('../models/Player');
 const cache = require('../middleware/cache');
+const mapMetadata = require('../services/mapMetadata');
 const { validatePagination, validateGameId } = require('../middleware/validation');
 
+// Match.duration is stored in nanoseconds; responses give seconds plus durationMinutes
+const NS_PER_SECOND = 1e9;
+const NS_PER_MINUTE = 60 * NS_PER_SECOND;
+
+const formatMatch = (match) => ({
+  ...match,
+  duration: match.duration ? Math.round(match.duration / NS_PER_SECOND) : null,
+  durationMinutes: match.duration ? Math.round(match.duration / NS_PER_MINUTE) : null
+});
+
 // Get match by game_id
-router.get('/:gameId', validateGameId, cache(600), async (req, res) => {
+router.get('/:gameId', validateGameId, cache(600, ['matches']), async (req, res) => {
   try {
     const { gameId } = req.params;
     
@@ -29,7 +40,7 @@ router.get('/:gameId', validateGameId, cache(600), async (req, res) => {
     }, {});
     
     res.json({
-      match,
+      match: formatMatch(match),
       players,
       teams,
       playerCount: players.length
@@ -40,7 +51,7 @@ router.get('/:gameId', validateGameId, cache(600), async (req, res) => {
 });
 
 // Get recent matches with filters
-router.get('/', validatePagination, cache(300), async (req, res) => {
+router.get('/', validatePagination, cache(300, ['matches']), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -57,7 +68,12 @@ router.get('/', validatePagination, cache(300), async (req, res) => {
 
     // Build filter
     const filter = {};
-    if (map) filter.map = new RegExp(map, 'i');
+    if (map) {
+      // Known maps match every spelling; anything else is a partial name search
+      filter.map = mapMetadata.resolve(map)
+        ? { $in: mapMetadata.variants(map) }
+        : new RegExp(map, 'i');
+    }
     if (leaderboard) filter.leaderboard = leaderboard;
     if (patch) filter.patch = parseInt(patch);
     if (gameType) filter.game_type = gameType;
@@ -70,7 +86,7 @@ router.get('/', validatePagination, cache(300), async (req, res) => {
     }
     
     if (duration) {
-      const [minDur, maxDur] = duration.split('-').map(d => parseInt(d) * 60); // Convert minutes to seconds
+      const [minDur, maxDur] = duration.split('-').map(d => parseInt(d) * NS_PER_MINUTE); // Minutes to stored nanoseconds
       filter.duration = {};
       if (minDur) filter.duration.$gte = minDur;
       if (maxDur) filter.duration.$lte = maxDur;
@@ -86,8 +102,7 @@ router.get('/', validatePagination, cache(300), async (req, res) => {
 
     res.json({
       matches: matches.map(match => ({
-        ...match,
-        durationMinutes: Math.round(match.duration / 60),
+        ...formatMatch(match),
         startedAt: match.started_timestamp
       })),
       pagination: {
@@ -108,7 +123,7 @@ router.get('/', validatePagination, cache(300), async (req, res) => {
 
 // Get match statistics
 // Get match statistics - FIXED for frontend compatibility
-router.get('/stats/overview', cache(1800), async (req, res) => {
+router.get('/stats/overview', cache(1800, ['matches']), async (req, res) => {
   try {
     console.log('🏠 Getting homepage overview data...');
     const startTime = Date.now();
@@ -233,7 +248,7 @@ router.get('/stats/overview', cache(1800), async (req, res) => {
       overview = {
         totalMatches: totalMatches || 0,
         totalPlayers: totalPlayers || 0,
-        avgMatchDuration: Math.round(stats.avgDuration || 1847),
+        avgMatchDuration: stats.avgDuration ? Math.round(stats.avgDuration / NS_PER_SECOND) : 1847,
         avgElo: Math.round(stats.avgElo || 1200),
         avgPlayersPerMatch: Math.round(stats.avgPlayers || 8),
         topCivilizations: popularCivs,
@@ -300,7 +315,7 @@ router.get('/stats/overview', cache(1800), async (req, res) => {
 });
 
 // Also add this separate endpoint for leaderboard stats
-router.get('/stats/leaderboards', cache(3600), async (req, res) => {
+router.get('/stats/leaderboards', cache(3600, ['matches']), async (req, res) => {
   try {
     console.log('🏆 Getting leaderboard stats...');
     
@@ -310,7 +325,7 @@ router.get('/stats/leaderboards', cache(3600), async (req, res) => {
           _id: '$leaderboard',
           totalMatches: { $sum: 1 },
           avgElo: { $avg: '$avg_elo' },
-          avgDurationMinutes: { $avg: { $divide: ['$duration', 60000000000] } },
+          avgDurationMinutes: { $avg: { $divide: ['$duration', NS_PER_MINUTE] } },
           avgPlayers: { $avg: '$num_players' }
         }
       },
@@ -359,7 +374,7 @@ function getLeaderboardName(id) {
 
 
 // Search matches
-router.get('/search', validatePagination, cache(300), async (req, res) => {
+router.get('/search', validatePagination, cache(300, ['matches']), async (req, res) => {
   try {
     const { 
       q, 
@@ -397,7 +412,7 @@ router.get('/search', validatePagination, cache(300), async (req, res) => {
 
     res.json({
       query: q,
-      matches,
+      matches: matches.map(formatMatch),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -410,7 +425,7 @@ router.get('/search', validatePagination, cache(300), async (req, res) => {
 });
 
 // Get matches by date range
-router.get('/range/:startDate/:endDate', validatePagination, cache(600), async (req, res) => {
+router.get('/range/:startDate/:endDate', validatePagination, cache(600, ['matches']), async (req, res) => {
   try {
     const { startDate, endDate } = req.params;
     const { page = 1, limit = 50 } = req.query;
@@ -456,7 +471,7 @@ router.get('/range/:startDate/:endDate', validatePagination, cache(600), async (
 
     res.json({
       dateRange: { startDate, endDate },
-      matches,
+      matches: matches.map(formatMatch),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -474,7 +489,7 @@ router.get('/range/:startDate/:endDate', validatePagination, cache(600), async (
 });
 
 // Get top performing matches
-router.get('/top/elo', cache(1800), async (req, res) => {
+router.get('/top/elo', cache(1800, ['matches']), async (req, res) => {
   try {
     const { limit = 100, leaderboard, timeframe } = req.query;
     
@@ -494,10 +509,7 @@ router.get('/top/elo', cache(1800), async (req, res) => {
       .lean();
 
     res.json({
-      topMatches: topMatches.map(match => ({
-        ...match,
-        durationMinutes: Math.round(match.duration / 60)
-      })),
+      topMatches: topMatches.map(formatMatch),
       criteria: 'highest average ELO',
       filters: { leaderboard, timeframe }
     });
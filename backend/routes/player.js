@@ -5,8 +5,13 @@ const Match = require('../models/Match');
 const cache = require('../middleware/cache');
 const { validateProfileId, validatePagination } = require('../middleware/validation');
 
+// Match.duration is stored in nanoseconds; responses give seconds
+const NS_PER_SECOND = 1e9;
+const toSeconds = (nanoseconds) => (nanoseconds ? Math.round(nanoseconds / NS_PER_SECOND) : null);
+const withDurationSeconds = (match) => match && { ...match, duration: toSeconds(match.duration) };
+
 // Get player profile
-router.get('/:profileId', validateProfileId, cache(600), async (req, res) => {
+router.get('/:profileId', validateProfileId, cache(600, ['players', 'player:{profileId}']), async (req, res) => {
   try {
     const { profileId } = req.params;
     
@@ -21,6 +26,9 @@ router.get('/:profileId', validateProfileId, cache(600), async (req, res) => {
           avgRating: { $avg: '$old_rating' },
           currentRating: { $last: '$new_rating' },
           favoritecivs: { $push: '$civ' },
+          avgFeudalTime: { $avg: '$feudal_age_uptime' },
+          avgCastleTime: { $avg: '$castle_age_uptime' },
+          avgImperialTime: { $avg: '$imperial_age_uptime' }
         }
       },
       {
@@ -34,6 +42,27 @@ router.get('/:profileId', validateProfileId, cache(600), async (req, res) => {
       return res.status(404).json({ error: 'Player not found' });
     }
 
+    // $last above follows insertion order; take the rating from the most recent game instead
+    const [latestGame] = await Player.aggregate([
+      { $match: { profile_id: parseInt(profileId), new_rating: { $ne: null } } },
+      {
+        $lookup: {
+          from: 'matches',
+          localField: 'game_id',
+          foreignField: 'game_id',
+          as: 'match',
+          pipeline: [{ $project: { _id: 0, started_timestamp: 1 } }]
+        }
+      },
+      { $unwind: '$match' },
+      { $sort: { 'match.started_timestamp': -1 } },
+      { $limit: 1 },
+      { $project: { _id: 0, new_rating: 1 } }
+    ]);
+    if (latestGame) {
+      playerStats[0].currentRating = latestGame.new_rating;
+    }
+
     // Get civ usage stats
     const civStats = await Player.aggregate([
       { $match: { profile_id: parseInt(profileId) } },
@@ -52,16 +81,19 @@ router.get('/:profileId', validateProfileId, cache(600), async (req, res) => {
       { $sort: { matches: -1 } }
     ]);
 
-    // Get recent matches
-    const recentMatches = await Player.find({ profile_id: parseInt(profileId) })
-      .sort({ createdAt: -1 })
+    // Get recent matches by play time, not import time (game_id is a string key, so
+    // join manually rather than populate)
+    const recentPlayerMatches = await Player.find({ profile_id: parseInt(profileId) })
+      .sort({ started_timestamp: -1 })
       .limit(10)
-      .populate({
-        path: 'game_id',
-        model: 'Match',
-        localField: 'game_id',
-        foreignField: 'game_id'
-      });
+      .lean();
+    const recentMatchDetails = await Match.find({
+      game_id: { $in: recentPlayerMatches.map(m => m.game_id) }
+    }).lean();
+    const recentMatches = recentPlayerMatches.map(playerMatch => ({
+      ...playerMatch,
+      matchDetails: withDurationSeconds(recentMatchDetails.find(m => m.game_id === playerMatch.game_id))
+    }));
 
     res.json({
       profile: playerStats[0],
@@ -73,6 +105,177 @@ router.get('/:profileId', validateProfileId, cache(600), async (req, res) => {
   }
 });
 
+// Head-to-head record between two players (games where they were on opposite teams)
+router.get('/:profileId/vs/:opponentId', validateProfileId, cache(600, ['players', 'player:{profileId}', 'player:{opponentId}']), async (req, res) => {
+  try {
+    const profileA = parseInt(req.params.profileId);
+    const profileB = parseInt(req.params.opponentId);
+
+    if (isNaN(profileB)) {
+      return res.status(400).json({ error: 'Invalid opponent profile ID' });
+    }
+    if (profileA === profileB) {
+      return res.status(400).json({ error: 'Cannot compare a player with themselves' });
+    }
+
+    const sharedGames = await Player.aggregate([
+      { $match: { profile_id: { $in: [profileA, profileB] } } },
+      {
+        $group: {
+          _id: '$game_id',
+          players: {
+            $push: {
+              profile_id: '$profile_id',
+              team: '$team',
+              civ: '$civ',
+              winner: '$winner',
+              old_rating: '$old_rating',
+              new_rating: '$new_rating'
+            }
+          }
+        }
+      },
+      { $match: { 'players.1': { $exists: true } } },
+      {
+        $lookup: {
+          from: 'matches',
+          localField: '_id',
+          foreignField: 'game_id',
+          as: 'match',
+          pipeline: [
+            { $project: { _id: 0, map: 1, started_timestamp: 1, leaderboard: 1, duration: 1, patch: 1 } }
+          ]
+        }
+      },
+      { $unwind: { path: '$match', preserveNullAndEmptyArrays: true } }
+    ]).option({ maxTimeMS: 15000, allowDiskUse: true });
+
+    const games = sharedGames
+      .map(game => ({
+        game_id: game._id,
+        a: game.players.find(p => p.profile_id === profileA),
+        b: game.players.find(p => p.profile_id === profileB),
+        match: game.match || {}
+      }))
+      .filter(game => game.a && game.b && game.a.team !== game.b.team)
+      .sort((x, y) => new Date(y.match.started_timestamp || 0) - new Date(x.match.started_timestamp || 0));
+
+    const ratingChange = (player) =>
+      player.old_rating != null && player.new_rating != null ? player.new_rating - player.old_rating : 0;
+
+    const summary = { games: games.length, winsA: 0, winsB: 0, ratingChangeA: 0, ratingChangeB: 0 };
+    const byCivPairing = {};
+    const byMap = {};
+
+    games.forEach(game => {
+      const aWon = game.a.winner === true;
+      summary.winsA += aWon ? 1 : 0;
+      summary.winsB += game.b.winner === true ? 1 : 0;
+      summary.ratingChangeA += ratingChange(game.a);
+      summary.ratingChangeB += ratingChange(game.b);
+
+      const pairingKey = `${game.a.civ}|${game.b.civ}`;
+      if (!byCivPairing[pairingKey]) {
+        byCivPairing[pairingKey] = { civA: game.a.civ, civB: game.b.civ, games: 0, winsA: 0 };
+      }
+      byCivPairing[pairingKey].games++;
+      byCivPairing[pairingKey].winsA += aWon ? 1 : 0;
+
+      const mapName = game.match.map || 'unknown';
+      if (!byMap[mapName]) byMap[mapName] = { map: mapName, games: 0, winsA: 0 };
+      byMap[mapName].games++;
+      byMap[mapName].winsA += aWon ? 1 : 0;
+    });
+
+    const withWinRate = (row) => ({ ...row, winRateA: row.games > 0 ? row.winsA / row.games : 0 });
+
+    res.json({
+      players: { a: profileA, b: profileB },
+      summary: withWinRate(summary),
+      byCivPairing: Object.values(byCivPairing).map(withWinRate).sort((x, y) => y.games - x.games),
+      byMap: Object.values(byMap).map(withWinRate).sort((x, y) => y.games - x.games),
+      games: games.map(game => ({
+        game_id: game.game_id,
+        started_timestamp: game.match.started_timestamp,
+        map: game.match.map,
+        leaderboard: game.match.leaderboard,
+        duration: toSeconds(game.match.duration),
+        patch: game.match.patch,
+        a: { ...game.a, ratingChange: ratingChange(game.a) },
+        b: { ...game.b, ratingChange: ratingChange(game.b) }
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get player rating history - one point per match, oldest first
+router.get('/:profileId/rating-history', validateProfileId, cache(600, ['players', 'player:{profileId}']), async (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { leaderboard, from, to, limit = 1000 } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'Invalid date range (use ISO dates for from/to)' });
+    }
+
+    const matchFilter = { started_timestamp: { $ne: null } };
+    if (leaderboard) matchFilter.leaderboard = leaderboard;
+    if (fromDate) matchFilter.started_timestamp.$gte = fromDate;
+    if (toDate) matchFilter.started_timestamp.$lte = toDate;
+
+    const history = await Player.aggregate([
+      { $match: { profile_id: parseInt(profileId), new_rating: { $ne: null } } },
+      {
+        $lookup: {
+          from: 'matches',
+          localField: 'game_id',
+          foreignField: 'game_id',
+          as: 'match',
+          pipeline: [
+            { $match: matchFilter },
+            { $project: { _id: 0, started_timestamp: 1, map: 1, leaderboard: 1 } }
+          ]
+        }
+      },
+      { $unwind: '$match' },
+      { $sort: { 'match.started_timestamp': -1 } },
+      { $limit: Math.min(parseInt(limit) || 1000, 5000) },
+      { $sort: { 'match.started_timestamp': 1 } },
+      {
+        $project: {
+          _id: 0,
+          game_id: 1,
+          started_timestamp: '$match.started_timestamp',
+          old_rating: 1,
+          new_rating: 1,
+          match_rating_diff: 1,
+          civ: 1,
+          map: '$match.map',
+          leaderboard: '$match.leaderboard',
+          result: { $cond: ['$winner', 'win', 'loss'] }
+        }
+      }
+    ]).option({ maxTimeMS: 15000 });
+
+    res.json({
+      profileId: parseInt(profileId),
+      history,
+      filters: {
+        leaderboard: leaderboard || null,
+        from: fromDate,
+        to: toDate
+      },
+      total: history.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get player match history
 router.get('/:profileId/matches', validateProfileId, validatePagination, async (req, res) => {
   try {
@@ -85,7 +288,7 @@ router.get('/:profileId/matches', validateProfileId, validatePagination, async (
     if (result === 'loss') filter.winner = false;
 
     const matches = await Player.find(filter)
-      .sort({ createdAt: -1 })
+      .sort({ started_timestamp: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .lean();
@@ -99,7 +302,7 @@ router.get('/:profileId/matches', validateProfileId, validatePagination, async (
       const matchDetail = matchDetails.find(m => m.game_id === playerMatch.game_id);
       return {
         ...playerMatch,
-        matchDetails: matchDetail
+        matchDetails: withDurationSeconds(matchDetail)
       };
     });
 
@@ -116,90 +319,96 @@ router.get('/:profileId/matches', validateProfileId, validatePagination, async (
   }
 });
 
-// Get player rankings
-router.get('/rankings/:leaderboard', cache(1800), async (req, res) => {
+// Get player rankings - each player's most recent rating on the leaderboard
+router.get('/rankings/:leaderboard', validatePagination, cache(1800, ['players']), async (req, res) => {
   try {
     const { leaderboard } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { minMatches = 5, activeDays, minRating, maxRating } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
 
     console.log(`🏆 Getting rankings for leaderboard ${leaderboard}...`);
 
-    // MUCH FASTER: Simple aggregation without complex lookups
-    const rankings = await Player.aggregate([
-      // Stage 1: Basic filter
-      { 
-        $match: { 
-          new_rating: { $exists: true, $ne: null, $gte: 600 } // Only rated players
-        } 
-      },
-      
-      // Stage 2: Group by player to get latest rating
+    const knownLeaderboard = await Player.exists({ leaderboard });
+    if (!knownLeaderboard) {
+      return res.status(404).json({ error: `Unknown leaderboard: ${leaderboard}` });
+    }
+
+    // Players whose last game is older than the cutoff are dropped after grouping,
+    // so their latest rating is still taken from their full history
+    const activeSince = activeDays
+      ? new Date(Date.now() - parseInt(activeDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const ratingFilter = {};
+    if (minRating) ratingFilter.$gte = parseInt(minRating);
+    if (maxRating) ratingFilter.$lte = parseInt(maxRating);
+
+    // leaderboard and started_timestamp are denormalized onto players, so no match join
+    // (older rows are backfilled by scripts/denormalize-match-fields.js)
+    const [result] = await Player.aggregate([
+      { $match: { leaderboard, started_timestamp: { $ne: null }, new_rating: { $ne: null } } },
+      { $project: { _id: 0, profile_id: 1, new_rating: 1, winner: 1, started_timestamp: 1 } },
+      { $sort: { started_timestamp: -1 } },
       {
         $group: {
           _id: '$profile_id',
-          latestRating: { $max: '$new_rating' }, // Get highest rating as "latest"
+          latestRating: { $first: '$new_rating' },
+          lastPlayed: { $first: '$started_timestamp' },
           totalMatches: { $sum: 1 },
-          wins: { $sum: { $cond: ['$winner', 1, 0] } },
-          lastGame: { $max: '$createdAt' }
+          wins: { $sum: { $cond: ['$winner', 1, 0] } }
         }
       },
-      
-      // Stage 3: Calculate win rate
       {
-        $addFields: {
-          winRate: { $divide: ['$wins', '$totalMatches'] }
+        $match: {
+          totalMatches: { $gte: parseInt(minMatches) },
+          ...(activeSince && { lastPlayed: { $gte: activeSince } }),
+          ...(Object.keys(ratingFilter).length && { latestRating: ratingFilter })
         }
       },
-      
-      // Stage 4: Filter minimum activity
-      { $match: { totalMatches: { $gte: 5 } } },
-      
-      // Stage 5: Sort by rating
-      { $sort: { latestRating: -1 } },
-      
-      // Stage 6: Pagination
-      { $skip: (page - 1) * limit },
-      { $limit: parseInt(limit) }
-      
-    ]).option({ maxTimeMS: 10000, allowDiskUse: true });
-
-    console.log(`✅ Found ${rankings.length} players for leaderboard ${leaderboard}`);
-
-    // Format response
-    const formattedRankings = rankings.map(player => ({
-      _id: player._id,
-      latestRating: player.latestRating,
-      totalMatches: player.totalMatches,
-      wins: player.wins,
-      winRate: player.winRate,
-      lastPlayed: player.lastGame || new Date()
-    }));
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          rankings: [
+            { $sort: { latestRating: -1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $addFields: {
+                winRate: { $divide: ['$wins', '$totalMatches'] }
+              }
+            }
+          ]
+        }
+      }
+    ]).option({ maxTimeMS: 30000, allowDiskUse: true });
+
+    const total = result.total[0]?.count || 0;
+
+    console.log(`✅ Found ${total} ranked players for leaderboard ${leaderboard}`);
 
     res.json({
-      rankings: formattedRankings,
-      currentPage: parseInt(page),
-      totalPages: Math.ceil(1000 / limit), // Estimate
-      leaderboard: leaderboard
+      rankings: result.rankings.map((player, index) => ({
+        rank: (page - 1) * limit + index + 1,
+        ...player
+      })),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      leaderboard,
+      filters: {
+        minMatches: parseInt(minMatches),
+        activeDays: activeDays ? parseInt(activeDays) : null,
+        minRating: minRating ? parseInt(minRating) : null,
+        maxRating: maxRating ? parseInt(maxRating) : null
+      }
     });
 
   } catch (error) {
     console.error('❌ Player rankings error:', error);
-    
-    // Fallback: Return sample data
-    const sampleRankings = Array.from({ length: parseInt(req.query.limit || 50) }, (_, i) => ({
-      _id: 1000000 + i,
-      latestRating: 2200 - (i * 10),
-      totalMatches: 100 + Math.floor(Math.random() * 500),
-      wins: 60 + Math.floor(Math.random() * 40),
-      winRate: 0.5 + (Math.random() * 0.3),
-      lastPlayed: new Date()
-    }));
-
-    res.json({
-      rankings: sampleRankings,
-      currentPage: parseInt(req.query.page || 1),
-      totalPages: 20,
-      fallback: true
+    res.status(500).json({
+      error: 'Failed to fetch player rankings',
+      details: error.message
     });
   }
 });
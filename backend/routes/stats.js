@@ -3,7 +3,20 @@ const express = require("express");
 const router = express.Router();
 const Match = require("../models/Match");
 const Player = require("../models/Player");
+const DataQualityReport = require("../models/DataQualityReport");
+const QuarantinedRow = require("../models/QuarantinedRow");
 const cache = require("../middleware/cache");
+const weeklyRollup = require("../services/weeklyRollup");
+const mapMetadata = require("../services/mapMetadata");
+const winRateStats = require("../services/winRateStats");
+
+// Stored units (services/schemaValidator.js): Match.duration in nanoseconds, age-ups in
+// seconds. Responses give durations in seconds, or in minutes where the field name ends
+// in Minutes; scripts/normalize-units.js converts rows stored before that rule.
+const NS_PER_SECOND = 1e9;
+const NS_PER_MINUTE = 60 * NS_PER_SECOND;
+const toSeconds = (nanoseconds) => (nanoseconds ? Math.round(nanoseconds / NS_PER_SECOND) : 0);
+const toMinutes = (nanoseconds) => (nanoseconds ? Math.round(nanoseconds / NS_PER_MINUTE) : 0);
 
 // ===================================================================
 // EXISTING ENDPOINTS (keeping as-is but with small optimizations)
@@ -25,314 +38,301 @@ async function distinctGameIdsForCiv(Player, civName, cap = 2000) {
   return docs.map((d) => d.game_id);
 }
 
-function convertDurationToMinutes(durationValue) {
-  if (!durationValue || durationValue <= 0) return 0;
-
-  // Detect format based on magnitude
-  if (durationValue > 100000000) {
-    // Nanoseconds (very large numbers)
-    return Math.round(durationValue / 60000000000);
-  } else if (durationValue > 100000) {
-    // Milliseconds
-    return Math.round(durationValue / 60000);
-  } else if (durationValue > 1000) {
-    // Seconds
-    return Math.round(durationValue / 60);
-  } else {
-    // Already in minutes
-    return Math.round(durationValue);
+// Per-patch win rate, rank and play rate for a civ, read from the civ_rankings
+// collection built by scripts/update-rankings.js (latest patch first).
+// Throws with statusCode 404 when the requested patch has not been ranked yet.
+const calculatePatchPerformanceWithRanking = async (
+  civName,
+  { patch = null, patchCount = 6 } = {}
+) => {
+  const rankings = mongoose.connection.db.collection("civ_rankings");
+
+  const rankedPatches = (await rankings.distinct("patch"))
+    .filter((p) => typeof p === "number")
+    .sort((a, b) => b - a);
+
+  if (rankedPatches.length === 0) {
+    const error = new Error(
+      "No civ rankings computed yet - run scripts/update-rankings.js full"
+    );
+    error.statusCode = 404;
+    throw error;
   }
-}
-
-const calculatePatchPerformanceWithRanking = async (civName) => {
-  try {
-    console.log(`⚡ ULTRA-FAST patch calculation for ${civName}...`);
 
-    const patchPerformance = await Player.aggregate([
-      { $match: { civ: civName } },
-      { $sample: { size: 3000 } },
+  let windowPatches = rankedPatches.slice(0, patchCount);
+  if (patch !== null) {
+    if (!rankedPatches.includes(patch)) {
+      const error = new Error(
+        `No civ rankings computed for patch ${patch} yet - run scripts/update-rankings.js`
+      );
+      error.statusCode = 404;
+      error.availablePatches = rankedPatches.map(String);
+      throw error;
+    }
+    windowPatches = [patch];
+  }
 
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          pipeline: [
-            { $project: { patch: 1, _id: 0 } },
-            { $match: { patch: { $type: "number", $gte: 100000 } } },
-          ],
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
+  // Include the patch before the window so the oldest row gets a rank movement
+  const oldestIndex = rankedPatches.indexOf(windowPatches[windowPatches.length - 1]);
+  const previousPatchOf = (p) => rankedPatches[rankedPatches.indexOf(p) + 1];
+  const lookupPatches = [...windowPatches];
+  if (rankedPatches[oldestIndex + 1] !== undefined) {
+    lookupPatches.push(rankedPatches[oldestIndex + 1]);
+  }
 
-      {
-        $group: {
-          _id: "$match.patch",
-          games: { $sum: 1 },
-          wins: { $sum: { $cond: ["$winner", 1, 0] } },
-        },
-      },
-      { $match: { games: { $gte: 5 } } },
-      {
-        $addFields: {
-          winRate: { $divide: ["$wins", "$games"] },
-          civWin: { $multiply: [{ $divide: ["$wins", "$games"] }, 100] },
-        },
-      },
-      { $sort: { _id: -1 } },
-      { $limit: 6 },
-    ]).option({ maxTimeMS: 5000, allowDiskUse: false });
-
-    const enhancedPatchData = patchPerformance.map((patch, index) => {
-      let estimatedRank = 20;
-      if (patch.winRate > 0.55)
-        estimatedRank = 8 + Math.floor(Math.random() * 7);
-      else if (patch.winRate > 0.5)
-        estimatedRank = 15 + Math.floor(Math.random() * 10);
-      else if (patch.winRate > 0.45)
-        estimatedRank = 25 + Math.floor(Math.random() * 10);
-      else estimatedRank = 30 + Math.floor(Math.random() * 8);
-
-      const estimatedPlayRate = Math.max(
-        1.5,
-        Math.min(
-          4.5,
-          2.5 + (patch.winRate - 0.5) * 3 + (Math.random() - 0.5) * 0.8
-        )
-      );
+  const [civRows, patchTotals] = await Promise.all([
+    rankings.find({ civ: civName, patch: { $in: lookupPatches } }).toArray(),
+    rankings
+      .aggregate([
+        { $match: { patch: { $in: windowPatches } } },
+        { $group: { _id: "$patch", games: { $sum: "$games" } } },
+      ])
+      .toArray(),
+  ]);
+
+  const rowByPatch = new Map(civRows.map((row) => [row.patch, row]));
+  const gamesByPatch = new Map(patchTotals.map((t) => [t._id, t.games]));
+
+  return windowPatches
+    .filter((p) => rowByPatch.has(p))
+    .map((p) => {
+      const row = rowByPatch.get(p);
+      const previous = rowByPatch.get(previousPatchOf(p));
+      const patchGames = gamesByPatch.get(p) || 0;
+
+      const { winRate, ...interval } = winRateStats.summarize(row.wins, row.games, {
+        previous: previous && { wins: previous.wins, games: previous.games },
+        scale: 100,
+      });
 
       return {
-        patch: patch._id.toString(),
-        civWin: Math.round(patch.civWin * 10) / 10,
-        games: patch.games,
-        wins: patch.wins,
-        rank: estimatedRank,
-        playRate: Math.round(estimatedPlayRate * 100) / 100,
-        totalCivs: 42,
+        patch: p.toString(),
+        civWin: winRate,
+        ...interval,
+        games: row.games,
+        wins: row.wins,
+        rank: row.rank,
+        totalCivs: row.totalCivs,
+        // Share of ranked picks in the patch, as a percentage
+        playRate:
+          patchGames > 0 ? Math.round((row.games / patchGames) * 10000) / 100 : 0,
+        previousRank: previous ? previous.rank : null,
+        // Positive = climbed since the previous ranked patch
+        rankChange: previous ? previous.rank - row.rank : null,
       };
     });
-
-    console.log(
-      `✅ ULTRA-FAST patch calc completed: ${enhancedPatchData.length} patches`
-    );
-    return enhancedPatchData;
-  } catch (error) {
-    console.error(`❌ Fast patch calculation failed: ${error.message}`);
-    throw error;
-  }
 };
 
-router.get("/civilizations", cache(1800), async (req, res) => {
-  const startTime = Date.now();
-
-  try {
-    console.log("GET /stats/civilizations - Starting minimal approach...");
-
-    const { leaderboard, minMatches = "10" } = req.query;
-
-    const mongoose = require("mongoose");
-    const db = mongoose.connection.db;
-
-    // Strategy: Use only the existing cache, but provide different messaging for different filters
-    // This gives the illusion of filtering while keeping everything fast
+// Players per match for the matchType filter (ffa can't be told apart from team games)
+const MATCH_TYPE_PLAYERS = { "1v1": 2, "2v2": 4, "3v3": 6, "4v4": 8 };
 
-    console.log("Using cached data for all requests...");
+// Translate /civilizations query params into a Match filter.
+// Returns { matchFilter, appliedFilters } or { error } for bad input.
+function buildCivilizationMatchFilter(query) {
+  const { leaderboard, patch, minElo, maxElo, timeframe, map, matchType, gameType } = query;
+  const matchFilter = {};
+  const appliedFilters = {};
 
-    const cachedStats = await db
-      .collection("civ_stats_cache")
-      .find({})
-      .sort({ winRate: -1 })
-      .limit(50)
-      .toArray();
-
-    console.log(`Found ${cachedStats.length} cached civilizations`);
-
-    // Apply only the minimum matches filter (this can be done on cached data)
-    let filteredStats = cachedStats.filter(
-      (civ) => civ.totalPicks >= parseInt(minMatches)
-    );
-
-    if (filteredStats.length === 0) {
-      return res.json({
-        civilizations: [],
-        meta: {
-          totalCivilizations: 0,
-          totalMatches: 0,
-          message: "No civilizations meet the minimum matches requirement",
-          queryTime: `${Date.now() - startTime}ms`,
-        },
-      });
+  if (leaderboard) {
+    matchFilter.leaderboard = leaderboard;
+    appliedFilters.leaderboard = leaderboard;
+  }
+  if (patch) {
+    if (isNaN(parseInt(patch))) return { error: `Invalid patch: ${patch}` };
+    matchFilter.patch = parseInt(patch);
+    appliedFilters.patch = parseInt(patch);
+  }
+  if (minElo || maxElo) {
+    if ((minElo && isNaN(parseInt(minElo))) || (maxElo && isNaN(parseInt(maxElo)))) {
+      return { error: "minElo and maxElo must be numbers" };
+    }
+    matchFilter.avg_elo = {};
+    if (minElo) matchFilter.avg_elo.$gte = parseInt(minElo);
+    if (maxElo) matchFilter.avg_elo.$lt = parseInt(maxElo);
+    appliedFilters.minElo = minElo ? parseInt(minElo) : null;
+    appliedFilters.maxElo = maxElo ? parseInt(maxElo) : null;
+  }
+  if (timeframe && timeframe !== "all") {
+    const days = parseInt(timeframe);
+    if (isNaN(days) || days <= 0) return { error: `Invalid timeframe: ${timeframe}` };
+    matchFilter.started_timestamp = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    appliedFilters.timeframe = days;
+  }
+  if (map) {
+    // Any spelling of a known map (see services/mapMetadata.js) selects all of them
+    matchFilter.map = { $in: mapMetadata.variants(map) };
+    appliedFilters.map = map;
+  }
+  if (matchType) {
+    if (!MATCH_TYPE_PLAYERS[matchType]) {
+      return {
+        error: `Unsupported matchType: ${matchType}`,
+        supported: Object.keys(MATCH_TYPE_PLAYERS),
+      };
     }
+    matchFilter.num_players = MATCH_TYPE_PLAYERS[matchType];
+    appliedFilters.matchType = matchType;
+  }
+  if (gameType) {
+    matchFilter.game_type = gameType;
+    appliedFilters.gameType = gameType;
+  }
 
-    const totalPicks = filteredStats.reduce(
-      (sum, civ) => sum + civ.totalPicks,
-      0
-    );
+  return { matchFilter, appliedFilters };
+}
 
-    const formattedStats = filteredStats.map((civ, index) => ({
-      name: civ._id,  // ✅ Changed from "civilization" to "name"
-      winRate: civ.winRate || 0,  // ✅ Direct field, not nested
-      totalMatches: civ.totalPicks || 0,  // ✅ Changed from "totalPicks" to "totalMatches"
-      avgRating: Math.round(civ.avgRating || 1200),
-      playRate: totalPicks > 0 ? (civ.totalPicks / totalPicks) : 0  // ✅ Direct field
-    }));
+// Pick the cheapest source that answers the filters exactly:
+// civ_weekly_rollup (leaderboard/patch/map/100-aligned Elo) -> civ_stats_cache (no filters)
+// -> civ_stats_<leaderboard> (leaderboard only) -> live aggregation
+async function resolveCivilizationSource(appliedFilters) {
+  const db = mongoose.connection.db;
+  const filterKeys = Object.keys(appliedFilters);
 
-    const queryTime = Date.now() - startTime;
+  if (weeklyRollup.toFilter(appliedFilters) && (await weeklyRollup.isAvailable())) {
+    return weeklyRollup.collectionName;
+  }
 
-    // Customize the response message based on filters
-    let message = "Overall civilization statistics";
-    if (leaderboard) {
-      message = `Showing overall statistics (${leaderboard} filter not yet supported)`;
+  if (filterKeys.length === 0) {
+    if (await db.collection("civ_stats_cache").estimatedDocumentCount()) {
+      return "civ_stats_cache";
     }
+  } else if (filterKeys.length === 1 && appliedFilters.leaderboard) {
+    const collectionName = `civ_stats_${appliedFilters.leaderboard}`;
+    const exists = await db.listCollections({ name: collectionName }).hasNext();
+    if (exists && (await db.collection(collectionName).estimatedDocumentCount())) {
+      return collectionName;
+    }
+  }
 
-    res.json({
-      civilizations: formattedStats,
-      meta: {
-        totalCivilizations: formattedStats.length,
-        totalMatches: totalPicks,
-        appliedFilters: {
-          leaderboard: leaderboard || "all",
-          minMatches: minMatches,
-        },
-        cached: true,
-        message,
-        note: leaderboard
-          ? "Advanced filtering requires database optimization - showing overall stats for now"
-          : null,
-        queryTime: `${queryTime}ms`,
-      },
-    });
-  } catch (error) {
-    console.error("Civilizations endpoint error:", error);
+  return "live";
+}
 
-    res.status(500).json({
-      error: "Failed to fetch civilization statistics",
-      details: error.message,
-    });
-  }
-});
+// Actual vs Elo-expected record from a row's expected_* sums (weekly rollup or the live
+// pipeline). Null where none were recorded: the precomputed civ_stats_* collections
+// and rollup weeks built before expectations were added.
+function eloAdjusted(row) {
+  if (!row.expected_count) return null;
+  return winRateStats.versusExpected(
+    row.expected_wins,
+    row.expected_sum,
+    row.expected_variance_sum,
+    row.expected_count
+  );
+}
+
+// Each civ carries eloAdjusted: { games, wins, expectedWins, expectedWinRate,
+// winRateAboveExpected, standardError, significant } over the games where both teams were rated
+router.get("/civilizations", cache(1800, ["civs", "rollup", "patch:{patch}"]), async (req, res) => {
+  const startTime = Date.now();
 
-// Also add this diagnostic endpoint to help understand your data structure:
-router.get('/civilizations', cache(600), async (req, res) => {
   try {
-    const startTime = Date.now();
-    console.log('GET /stats/civilizations - Starting minimal approach...');
-    
-    const { 
-      leaderboard, 
-      patch, 
-      minMatches = 50  // REDUCED from 100 to 50
-    } = req.query;
+    const minMatches = winRateStats.minGames(req.query.minMatches);
+    const { matchFilter, appliedFilters, error, supported } =
+      buildCivilizationMatchFilter(req.query);
 
-    const db = require('mongoose').connection.db;
-    let civilizations = [];
-    let useCachedData = false;
-    
-    // Check for cached data
-    try {
-      const cacheCount = await db.collection('civ_stats_cache').countDocuments();
-      if (cacheCount > 0) {
-        console.log('Using cached data for all requests...');
-        useCachedData = true;
-      }
-    } catch (e) {
-      console.log('⚠️ Cache not available, using live aggregation');
+    if (error) {
+      return res.status(400).json({ error, supported });
     }
 
-    if (useCachedData) {
-      // Get cached data with proper field mapping
-      const cachedCivs = await db.collection('civ_stats_cache')
-        .find({
-          totalPicks: { $gte: parseInt(minMatches) }
-        })
-        .sort({ winRate: -1 })
-        .toArray();
-      
-      console.log(`Found ${cachedCivs.length} cached civilizations`);
-      
-      const totalGames = cachedCivs.reduce((sum, civ) => sum + (civ.totalPicks || 0), 0);
-      
-      // FIXED: Proper field mapping from cache to API response
-      civilizations = cachedCivs.map(civ => ({
-        name: civ._id,  // Cache stores civ name in _id field
-        winRate: civ.winRate || 0,  // Already decimal format
-        totalMatches: civ.totalPicks || 0,  // Map totalPicks to totalMatches
-        avgRating: Math.round(civ.avgRating || 1200),
-        playRate: totalGames > 0 ? (civ.totalPicks || 0) / totalGames : 0
-      }));
+    const source = await resolveCivilizationSource(appliedFilters);
+    console.log(`GET /stats/civilizations - source: ${source}`, appliedFilters);
 
-    } else {
-      // Fallback to live aggregation
-      console.log('⚠️ Civ cache not available, using fallback');
-      
-      const pipeline = [
+    let rows;
+    if (source === "live") {
+      rows = await Match.aggregate([
+        { $match: matchFilter },
+        { $project: { _id: 0, game_id: 1 } },
         {
-          $match: {
-            civ: { $exists: true, $ne: null, $ne: '' }
-          }
+          $lookup: {
+            from: "players",
+            localField: "game_id",
+            foreignField: "game_id",
+            as: "roster",
+            pipeline: [{ $project: { _id: 0, civ: 1, team: 1, winner: 1, old_rating: 1 } }],
+          },
         },
+        { $addFields: { player: "$roster" } },
+        { $unwind: "$player" },
+        { $match: { "player.civ": { $nin: [null, ""] } } },
+        { $addFields: { expectedScore: winRateStats.expectedScoreExpression("$roster", "$player") } },
         {
           $group: {
-            _id: '$civ',
+            _id: "$player.civ",
             totalPicks: { $sum: 1 },
-            wins: { $sum: { $cond: ['$winner', 1, 0] } },
-            avgRating: { $avg: '$old_rating' }
-          }
-        },
-        {
-          $match: {
-            totalPicks: { $gte: parseInt(minMatches) }
-          }
-        },
-        {
-          $addFields: {
-            winRate: { $divide: ['$wins', '$totalPicks'] }
-          }
+            wins: { $sum: { $cond: ["$player.winner", 1, 0] } },
+            avgRating: { $avg: "$player.old_rating" },
+            // Same expected_* sums as the weekly rollup
+            expected_count: { $sum: { $cond: [{ $gt: ["$expectedScore", 0] }, 1, 0] } },
+            expected_wins: {
+              $sum: { $cond: [{ $and: [{ $gt: ["$expectedScore", 0] }, "$player.winner"] }, 1, 0] },
+            },
+            expected_sum: { $sum: { $ifNull: ["$expectedScore", 0] } },
+            expected_variance_sum: {
+              $sum: { $multiply: [{ $ifNull: ["$expectedScore", 0] }, { $subtract: [1, { $ifNull: ["$expectedScore", 0] }] }] },
+            },
+          },
         },
-        { $sort: { winRate: -1 } }
-      ];
-
-      const results = await Player.aggregate(pipeline)
-        .allowDiskUse(true)
-        .maxTimeMS(10000);
+        { $match: { totalPicks: { $gte: minMatches } } },
+        { $addFields: { winRate: { $divide: ["$wins", "$totalPicks"] } } },
+        { $sort: { winRate: -1 } },
+      ]).option({ maxTimeMS: 30000, allowDiskUse: true });
+    } else if (source === weeklyRollup.collectionName) {
+      const totals = await weeklyRollup.civTotals(weeklyRollup.toFilter(appliedFilters));
+      rows = totals
+        .filter((civ) => civ.games >= minMatches)
+        .map((civ) => ({
+          _id: civ._id,
+          totalPicks: civ.games,
+          wins: civ.wins,
+          avgRating: weeklyRollup.average(civ, "rating"),
+          winRate: civ.wins / civ.games,
+          expected_count: civ.expected_count,
+          expected_wins: civ.expected_wins,
+          expected_sum: civ.expected_sum,
+          expected_variance_sum: civ.expected_variance_sum,
+        }))
+        .sort((a, b) => b.winRate - a.winRate);
+    } else {
+      rows = await mongoose.connection.db
+        .collection(source)
+        .find({ totalPicks: { $gte: minMatches } })
+        .sort({ winRate: -1 })
+        .toArray();
+    }
 
-      const totalGames = results.reduce((sum, civ) => sum + civ.totalPicks, 0);
+    const totalPicks = rows.reduce((sum, civ) => sum + (civ.totalPicks || 0), 0);
 
-      civilizations = results.map(civ => ({
-        name: civ._id,
-        winRate: civ.winRate,
-        totalMatches: civ.totalPicks,
-        avgRating: Math.round(civ.avgRating || 1200),
-        playRate: totalGames > 0 ? civ.totalPicks / totalGames : 0
-      }));
-    }
+    const civilizations = rows.map((civ) => ({
+      name: civ._id,
+      ...winRateStats.summarize(civ.wins || 0, civ.totalPicks || 0),
+      totalMatches: civ.totalPicks || 0,
+      avgRating: Math.round(civ.avgRating || 1200),
+      playRate: totalPicks > 0 ? civ.totalPicks / totalPicks : 0,
+      eloAdjusted: eloAdjusted(civ),
+    }));
 
     const queryTime = Date.now() - startTime;
-    const totalMatches = civilizations.reduce((sum, civ) => sum + civ.totalMatches, 0);
-
-    console.log(`✅ Returning ${civilizations.length} civilizations in ${queryTime}ms`);
+    console.log(`✅ Returning ${civilizations.length} civilizations from ${source} in ${queryTime}ms`);
 
     res.json({
       civilizations,
       meta: {
         totalCivilizations: civilizations.length,
-        totalMatches,
-        cached: useCachedData,
-        queryTime: `${queryTime}ms`,
+        totalMatches: totalPicks,
         appliedFilters: {
-          leaderboard,
-          patch,
-          minMatches: parseInt(minMatches)
-        }
-      }
+          ...appliedFilters,
+          minMatches,
+        },
+        source,
+        cached: source !== "live",
+        queryTime: `${queryTime}ms`,
+      },
     });
-
   } catch (error) {
-    console.error('❌ Civilizations endpoint error:', error);
+    console.error("❌ Civilizations endpoint error:", error);
     res.status(500).json({
-      error: 'Failed to fetch civilization statistics',
-      details: error.message
+      error: "Failed to fetch civilization statistics",
+      details: error.message,
     });
   }
 });
@@ -342,7 +342,7 @@ router.get('/civilizations', cache(600), async (req, res) => {
 // ===================================================================
 
 // Get available filter options
-router.get("/civilizations/filters", cache(3600), async (req, res) => {
+router.get("/civilizations/filters", cache(3600, ["civs", "patch:{patch}"]), async (req, res) => {
   try {
     console.log("🔧 Fetching available filter options...");
 
@@ -363,10 +363,18 @@ router.get("/civilizations/filters", cache(3600), async (req, res) => {
       .sort({ patch: -1 })
       .limit(10);
 
-    // Get available maps
-    const maps = await Match.distinct("map", {
+    // Get available maps, merged by canonical id (services/mapMetadata.js)
+    const storedMaps = await Match.distinct("map", {
       map: { $exists: true, $ne: null },
-    }).limit(50);
+    });
+    const mapOptions = [
+      ...new Map(
+        storedMaps.map((stored) => {
+          const { id, displayName, type } = mapMetadata.describe(stored);
+          return [id, { value: id, label: displayName, type }];
+        })
+      ).values(),
+    ].sort((a, b) => a.label.localeCompare(b.label));
 
     // Get available game types
     const gameTypes = await Match.distinct("game_type", {
@@ -395,14 +403,15 @@ router.get("/civilizations/filters", cache(3600), async (req, res) => {
       civilizations: civilizations.sort(),
       leaderboards: leaderboards.sort(),
       patches: patches,
-      maps: maps.sort(),
+      maps: mapOptions.map((option) => option.value),
+      mapOptions,
       gameTypes: gameTypes.sort(),
       eloRange: {
         min: Math.round(eloRange.minElo || 0),
         max: Math.round(eloRange.maxElo || 4000),
         avg: Math.round(eloRange.avgElo || 1000),
       },
-      matchTypes: ["1v1", "2v2", "3v3", "4v4", "ffa"],
+      matchTypes: Object.keys(MATCH_TYPE_PLAYERS),
       timeframes: [
         { value: "all", label: "All Time" },
         { value: "7", label: "Last 7 days" },
@@ -422,30 +431,39 @@ router.get("/civilizations/filters", cache(3600), async (req, res) => {
 });
 
 // Get civilization statistics summary (fast endpoint for overview)
-router.get("/civilizations/summary", cache(3600), async (req, res) => {
+router.get("/civilizations/summary", cache(3600, ["civs", "rollup", "patch:{patch}"]), async (req, res) => {
   try {
     console.log("📋 Fetching civilization summary...");
-
-    const summary = await Player.aggregate([
-      { $match: { civ: { $exists: true, $ne: null } } },
-      { $sample: { size: 100000 } }, // Sample for speed
-      {
-        $group: {
-          _id: "$civ",
-          totalMatches: { $sum: 1 },
-          wins: { $sum: { $cond: [{ $eq: ["$winner", true] }, 1, 0] } },
-        },
-      },
-      { $match: { totalMatches: { $gte: 50 } } },
-      {
-        $project: {
-          name: "$_id",
-          totalMatches: 1,
-          winRate: { $divide: ["$wins", "$totalMatches"] },
+    const minMatches = winRateStats.minGames(req.query.minMatches);
+
+    // Exact totals from the weekly rollup when it has been built, otherwise a sample
+    const fromRollup = await weeklyRollup.isAvailable();
+    let summary;
+    if (fromRollup) {
+      const totals = await weeklyRollup.civTotals();
+      summary = totals
+        .filter((civ) => civ.games >= minMatches)
+        .map((civ) => ({
+          name: civ._id,
+          totalMatches: civ.games,
+          wins: civ.wins,
+        }));
+    } else {
+      summary = await Player.aggregate([
+        { $match: { civ: { $exists: true, $ne: null } } },
+        { $sample: { size: 100000 } }, // Sample for speed
+        {
+          $group: {
+            _id: "$civ",
+            totalMatches: { $sum: 1 },
+            wins: { $sum: { $cond: [{ $eq: ["$winner", true] }, 1, 0] } },
+          },
         },
-      },
-      { $sort: { totalMatches: -1 } },
-    ]).maxTimeMS(10000);
+        { $match: { totalMatches: { $gte: minMatches } } },
+        { $project: { name: "$_id", totalMatches: 1, wins: 1 } },
+        { $sort: { totalMatches: -1 } },
+      ]).maxTimeMS(10000);
+    }
 
     const totalMatches = summary.reduce(
       (sum, civ) => sum + civ.totalMatches,
@@ -455,7 +473,7 @@ router.get("/civilizations/summary", cache(3600), async (req, res) => {
     const formattedSummary = summary.map((civ) => ({
       name: civ.name,
       totalMatches: civ.totalMatches,
-      winRate: Math.round(civ.winRate * 10000) / 10000,
+      ...winRateStats.summarize(civ.wins, civ.totalMatches),
       playRate:
         totalMatches > 0
           ? Math.round((civ.totalMatches / totalMatches) * 100 * 100) / 100
@@ -467,7 +485,9 @@ router.get("/civilizations/summary", cache(3600), async (req, res) => {
       meta: {
         totalCivilizations: formattedSummary.length,
         totalMatches: totalMatches,
+        minMatches,
         cached: true,
+        source: fromRollup ? weeklyRollup.collectionName : "sample",
         type: "summary",
       },
     });
@@ -552,7 +572,7 @@ router.post("/civilizations/validate-filters", async (req, res) => {
 // PERFORMANCE MONITORING ENDPOINT
 // ===================================================================
 
-router.get("/civilizations/performance", cache(300), async (req, res) => {
+router.get("/civilizations/performance", cache(300, ["civs", "patch:{patch}"]), async (req, res) => {
   try {
     const stats = {
       totalDocuments: {
@@ -580,11 +600,34 @@ router.get("/civilizations/performance", cache(300), async (req, res) => {
 // MISSING CIVILIZATION DETAIL ENDPOINTS - IMPLEMENTING NOW
 // ===================================================================
 
+// Win rates (percent) against each opponent civ, split into best and worst matchups.
+// Best are ranked by the interval's lower bound and worst by its upper bound, so a
+// handful of lucky or unlucky games can't top either list.
+function rankMatchups(rows, side, limit = 15) {
+  const records = summarizeMatchups(rows);
+
+  return side === "best"
+    ? records.filter((r) => r.winRate >= 50).sort((a, b) => b.ci.lower - a.ci.lower).slice(0, limit)
+    : records.filter((r) => r.winRate < 50).sort((a, b) => a.ci.upper - b.ci.upper).slice(0, limit);
+}
+
+// Every opponent's record (percent scale), most games first
+function summarizeMatchups(rows) {
+  return rows
+    .map(({ civ, games, wins }) => ({
+      civ,
+      games,
+      wins,
+      ...winRateStats.summarize(wins, games, { scale: 100 }),
+    }))
+    .sort((a, b) => b.games - a.games);
+}
+
 // Get civilization vs civilization matchup data (BEST AGAINST)
 // routes/stats.js (or wherever your Express routes live)
 router.get(
   "/civilizations/:civName/best-against",
-  cache(1800),
+  cache(1800, ["civ:{civName}", "patch:{patch}"]),
   async (req, res) => {
     try {
       const { civName } = req.params;
@@ -627,43 +670,16 @@ router.get(
             opponentWins: { $sum: { $cond: ["$opponentWin", 1, 0] } },
           },
         },
-        { $match: { games: { $gte: 4 } } },
-        {
-          $addFields: {
-            ourWins: { $subtract: ["$games", "$opponentWins"] },
-            // FIXED: Proper percentage calculation
-            winRate: {
-              $round: [
-                {
-                  $multiply: [
-                    {
-                      $divide: [
-                        { $subtract: ["$games", "$opponentWins"] },
-                        "$games",
-                      ],
-                    },
-                    100,
-                  ],
-                },
-                1,
-              ],
-            },
-          },
-        },
-        { $match: { winRate: { $gte: 50 } } },
-        { $sort: { winRate: -1 } },
-        { $limit: 15 },
+        { $match: { games: { $gte: winRateStats.minGames(req.query.minGames) } } },
       ]).option({ maxTimeMS: 4000, allowDiskUse: true });
 
-      console.log(`✅ Found ${results.length} best matchups for ${civName}`);
-
-      res.json(
-        results.map((r) => ({
-          civ: r._id,
-          games: r.games,
-          winRate: r.winRate, // Already properly calculated
-        }))
+      const best = rankMatchups(
+        results.map((r) => ({ civ: r._id, games: r.games, wins: r.games - r.opponentWins })),
+        "best"
       );
+      console.log(`✅ Found ${best.length} best matchups for ${civName}`);
+
+      res.json(best);
     } catch (error) {
       console.error(`Best matchups error: ${error.message}`);
       res.status(500).json({ error: error.message });
@@ -674,7 +690,7 @@ router.get(
 // Replace your existing /worst-against route with this:
 router.get(
   "/civilizations/:civName/worst-against",
-  cache(1800),
+  cache(1800, ["civ:{civName}", "patch:{patch}"]),
   async (req, res) => {
     try {
       const { civName } = req.params;
@@ -717,43 +733,16 @@ router.get(
             opponentWins: { $sum: { $cond: ["$opponentWin", 1, 0] } },
           },
         },
-        { $match: { games: { $gte: 4 } } },
-        {
-          $addFields: {
-            ourWins: { $subtract: ["$games", "$opponentWins"] },
-            // FIXED: Proper percentage calculation
-            winRate: {
-              $round: [
-                {
-                  $multiply: [
-                    {
-                      $divide: [
-                        { $subtract: ["$games", "$opponentWins"] },
-                        "$games",
-                      ],
-                    },
-                    100,
-                  ],
-                },
-                1,
-              ],
-            },
-          },
-        },
-        { $match: { winRate: { $lt: 50 } } },
-        { $sort: { winRate: 1 } },
-        { $limit: 15 },
+        { $match: { games: { $gte: winRateStats.minGames(req.query.minGames) } } },
       ]).option({ maxTimeMS: 4000, allowDiskUse: true });
 
-      console.log(`✅ Found ${results.length} worst matchups for ${civName}`);
-
-      res.json(
-        results.map((r) => ({
-          civ: r._id,
-          games: r.games,
-          winRate: r.winRate, // Already properly calculated
-        }))
+      const worst = rankMatchups(
+        results.map((r) => ({ civ: r._id, games: r.games, wins: r.games - r.opponentWins })),
+        "worst"
       );
+      console.log(`✅ Found ${worst.length} worst matchups for ${civName}`);
+
+      res.json(worst);
     } catch (error) {
       console.error(`Worst matchups error: ${error.message}`);
       res.status(500).json({ error: error.message });
@@ -762,7 +751,7 @@ router.get(
 );
 
 // Get civilization performance by rating brackets
-router.get("/civilizations/:civName/rating", cache(3600), async (req, res) => {
+router.get("/civilizations/:civName/rating", cache(3600, ["civ:{civName}", "rollup", "patch:{patch}"]), async (req, res) => {
   try {
     const { civName } = req.params;
     console.log(`Getting REAL rating performance for ${civName}...`);
@@ -786,39 +775,54 @@ router.get("/civilizations/:civName/rating", cache(3600), async (req, res) => {
       return res.status(404).json({ error: "Civilization not found" });
     }
 
-    // REAL AGGREGATION QUERY
-    const ratingBrackets = await Player.aggregate([
-      {
-        $match: {
-          civ: actualCivName,
-          old_rating: { $exists: true, $ne: null, $gte: 500, $lte: 4000 },
-        },
-      },
-      // Sample to avoid timeout
-      { $sample: { size: 10000 } },
-      {
-        $bucket: {
-          groupBy: "$old_rating",
-          boundaries: [
-            500, 800, 1000, 1200, 1400, 1600, 1800, 2000, 2500, 4000,
-          ],
-          default: "Other",
-          output: {
-            games: { $sum: 1 },
-            wins: { $sum: { $cond: ["$winner", 1, 0] } },
-            avgRating: { $avg: "$old_rating" },
+    const boundaries = [500, 800, 1000, 1200, 1400, 1600, 1800, 2000, 2500, 4000];
+    let ratingBrackets;
+
+    if (await weeklyRollup.isAvailable()) {
+      // Every game, bracketed by match Elo (the rollup's 100-point buckets fit the boundaries)
+      const buckets = await weeklyRollup.totalsBy("elo_bucket", {
+        civ: actualCivName,
+        elo_bucket: { $gte: boundaries[0], $lt: boundaries[boundaries.length - 1] },
+      });
+      const brackets = new Map();
+      for (const bucket of buckets) {
+        const lower = boundaries.filter((boundary) => boundary <= bucket._id).pop();
+        const bracket = brackets.get(lower) || { _id: lower, games: 0, wins: 0, ratingSum: 0, ratingCount: 0 };
+        bracket.games += bucket.games;
+        bracket.wins += bucket.wins;
+        bracket.ratingSum += bucket.rating_sum;
+        bracket.ratingCount += bucket.rating_count;
+        brackets.set(lower, bracket);
+      }
+      ratingBrackets = [...brackets.values()].map(({ ratingSum, ratingCount, ...bracket }) => ({
+        ...bracket,
+        avgRating: ratingCount > 0 ? ratingSum / ratingCount : null,
+      }));
+    } else {
+      // Sampled by player rating until the rollup covers every week
+      ratingBrackets = await Player.aggregate([
+        {
+          $match: {
+            civ: actualCivName,
+            old_rating: { $exists: true, $ne: null, $gte: 500, $lte: 4000 },
           },
         },
-      },
-      {
-        $addFields: {
-          civWin: {
-            $multiply: [{ $divide: ["$wins", "$games"] }, 100],
+        { $sample: { size: 10000 } },
+        {
+          $bucket: {
+            groupBy: "$old_rating",
+            boundaries,
+            default: "Other",
+            output: {
+              games: { $sum: 1 },
+              wins: { $sum: { $cond: ["$winner", 1, 0] } },
+              avgRating: { $avg: "$old_rating" },
+            },
           },
         },
-      },
-      { $sort: { _id: 1 } },
-    ]).option({ maxTimeMS: 8000 });
+        { $sort: { _id: 1 } },
+      ]).option({ maxTimeMS: 8000 });
+    }
 
     const ratingLabels = {
       500: "<800",
@@ -832,13 +836,17 @@ router.get("/civilizations/:civName/rating", cache(3600), async (req, res) => {
       Other: "Other",
     };
 
-    const formattedData = ratingBrackets.map((bracket) => ({
-      rating: ratingLabels[bracket._id] || bracket._id,
-      civWin: Math.round(bracket.civWin * 10) / 10, // Round to 1 decimal
-      games: bracket.games,
-      wins: bracket.wins,
-      avgRating: Math.round(bracket.avgRating || 0),
-    }));
+    const formattedData = ratingBrackets.map((bracket) => {
+      const { winRate, ...interval } = winRateStats.summarize(bracket.wins, bracket.games, { scale: 100 });
+      return {
+        rating: ratingLabels[bracket._id] || bracket._id,
+        civWin: winRate,
+        ...interval,
+        games: bracket.games,
+        wins: bracket.wins,
+        avgRating: Math.round(bracket.avgRating || 0),
+      };
+    });
 
     console.log(
       `Found REAL rating performance for ${actualCivName}: ${formattedData.length} brackets`
@@ -893,7 +901,7 @@ router.get("/civilizations/:civName/rating", cache(3600), async (req, res) => {
 });
 
 // Get civilization performance by patches
-router.get("/civilizations/:civName/patch", cache(3600), async (req, res) => {
+router.get("/civilizations/:civName/patch", cache(3600, ["civ:{civName}", "rankings", "patch:{patch}"]), async (req, res) => {
   try {
     const { civName } = req.params;
     console.log(`Getting REAL patch performance for ${civName}...`);
@@ -921,112 +929,236 @@ router.get("/civilizations/:civName/patch", cache(3600), async (req, res) => {
 
     console.log(`Using civ name: ${actualCivName}`);
 
-    // REAL PATCH DATA QUERY
-    const patchData = await Player.aggregate(
-      [
-        { $match: { civ: actualCivName } },
-        { $sample: { size: 8000 } }, // Sample for performance
-        {
-          $lookup: {
-            from: "matches",
-            localField: "game_id",
-            foreignField: "game_id",
-            as: "match",
-            pipeline: [
-              {
-                $match: {
-                  patch: { $exists: true, $ne: null, $type: "number" },
-                },
-              },
-              { $project: { patch: 1, _id: 0 } },
-            ],
+    const { patch, patches = 6 } = req.query;
+    const patchData = await calculatePatchPerformanceWithRanking(actualCivName, {
+      patch: patch ? parseInt(patch) : null,
+      patchCount: Math.min(parseInt(patches) || 6, 20),
+    });
+
+    const queryTime = Date.now() - startTime;
+    console.log(`Found ${patchData.length} ranked patches for ${actualCivName} in ${queryTime}ms`);
+
+    res.json({
+      civilization: actualCivName,
+      patchData,
+      meta: {
+        queryTime: `${queryTime}ms`,
+        source: "civ_rankings",
+        patches: patchData.length,
+      },
+    });
+  } catch (error) {
+    console.error(`Patch error for ${req.params.civName}:`, error);
+
+    if (error.statusCode === 404) {
+      return res.status(404).json({
+        error: error.message,
+        availablePatches: error.availablePatches,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to fetch patch performance",
+      details: error.message,
+    });
+  }
+});
+
+// Replay summary averages for every civ (Player.replay_summary, see scripts/parse-replay-summaries.js)
+router.get("/replays", cache(1800, ["replays", "patch:{patch}"]), async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const minGames = winRateStats.minGames(req.query.minGames);
+    const parsedFilter = { "replay_summary.status": { $in: ["parsed", "partial"] } };
+
+    const [civAverages, unitHighlights] = await Promise.all([
+      Player.aggregate([
+        { $match: parsedFilter },
+        {
+          $group: {
+            _id: "$civ",
+            games: { $sum: 1 },
+            avgFeudalTime: { $avg: "$replay_summary.feudal_time" },
+            avgCastleTime: { $avg: "$replay_summary.castle_time" },
+            avgImperialTime: { $avg: "$replay_summary.imperial_time" },
+            avgVillagers: { $avg: "$replay_summary.eco.villagers" },
+            avgFood: { $avg: "$replay_summary.eco.food" },
+            avgWood: { $avg: "$replay_summary.eco.wood" },
+            avgGold: { $avg: "$replay_summary.eco.gold" },
+            avgStone: { $avg: "$replay_summary.eco.stone" },
           },
         },
-        { $unwind: "$match" },
+        { $match: { games: { $gte: minGames } } },
+        { $sort: { games: -1 } },
+      ]).option({ maxTimeMS: 30000, allowDiskUse: true }),
+
+      Player.aggregate([
+        { $match: parsedFilter },
+        { $unwind: "$replay_summary.units" },
         {
           $group: {
-            _id: "$match.patch",
+            _id: { civ: "$civ", unit: "$replay_summary.units.name" },
             games: { $sum: 1 },
-            wins: { $sum: { $cond: ["$winner", 1, 0] } },
+            totalCount: { $sum: "$replay_summary.units.count" },
           },
         },
+        { $sort: { games: -1 } },
         {
-          $addFields: {
-            civWin: {
-              $round: [
-                { $multiply: [{ $divide: ["$wins", "$games"] }, 100] },
-                1,
-              ],
-            },
+          $group: {
+            _id: "$_id.civ",
+            units: { $push: { name: "$_id.unit", games: "$games", totalCount: "$totalCount" } },
           },
         },
-        { $match: { games: { $gte: 5 } } }, // Min 5 games per patch
-        { $sort: { _id: -1 } }, // Latest patches first
-        { $limit: 8 },
-      ],
-      {
-        maxTimeMS: 8000,
-        allowDiskUse: true,
-      }
-    );
-
-    const formattedData = patchData.map((patch, index) => ({
-      patch: patch._id.toString(),
-      civWin: patch.civWin,
-      games: patch.games,
-      wins: patch.wins,
-      playRate: 2.5, // Estimated
-      rank: 15 + index, // Estimated rank
-    }));
+        { $project: { units: { $slice: ["$units", 3] } } },
+      ]).option({ maxTimeMS: 30000, allowDiskUse: true }),
+    ]);
 
-    const queryTime = Date.now() - startTime;
-    console.log(`Found REAL patch data for ${actualCivName} in ${queryTime}ms`);
-    console.log(`Found ${formattedData.length} patches with sufficient data`);
+    const unitsByCiv = new Map(unitHighlights.map((row) => [row._id, row.units]));
 
     res.json({
-      civilization: actualCivName,
-      patchData: formattedData,
+      civilizations: civAverages.map((civ) => ({
+        name: civ._id,
+        games: civ.games,
+        ageUpTimes: {
+          feudal: civ.avgFeudalTime ? Math.round(civ.avgFeudalTime) : null,
+          castle: civ.avgCastleTime ? Math.round(civ.avgCastleTime) : null,
+          imperial: civ.avgImperialTime ? Math.round(civ.avgImperialTime) : null,
+        },
+        eco: {
+          villagers: civ.avgVillagers ? Math.round(civ.avgVillagers) : null,
+          food: civ.avgFood ? Math.round(civ.avgFood) : null,
+          wood: civ.avgWood ? Math.round(civ.avgWood) : null,
+          gold: civ.avgGold ? Math.round(civ.avgGold) : null,
+          stone: civ.avgStone ? Math.round(civ.avgStone) : null,
+        },
+        topUnits: unitsByCiv.get(civ._id) || [],
+      })),
       meta: {
-        queryTime: `${queryTime}ms`,
-        sampled: true,
-        realData: true,
-        patches: formattedData.length,
-        sampleSize: 8000,
+        queryTime: `${Date.now() - startTime}ms`,
+        minGames,
       },
     });
   } catch (error) {
-    console.error(`Patch error for ${req.params.civName}:`, error);
+    console.error("❌ Replay stats error:", error);
+    res.status(500).json({
+      error: "Failed to fetch replay statistics",
+      details: error.message,
+    });
+  }
+});
 
-    // Fallback data
-    const fallbackData = [
-      {
-        patch: "143421",
-        civWin: 48.5,
-        games: 800,
-        wins: 388,
-        playRate: 2.3,
-        rank: 18,
-      },
-      {
-        patch: "147949",
-        civWin: 51.2,
-        games: 1200,
-        wins: 614,
-        playRate: 2.7,
-        rank: 15,
-      },
-    ];
+// Replay summary breakdown for one civ: parse coverage, age-ups, units, techs, eco
+router.get("/civilizations/:civName/replay", cache(1800, ["civ:{civName}", "replays", "patch:{patch}"]), async (req, res) => {
+  try {
+    const { civName } = req.params;
+    const startTime = Date.now();
+    const civFilter = { civLower: civName.toLowerCase() };
+    const parsedFilter = {
+      ...civFilter,
+      "replay_summary.status": { $in: ["parsed", "partial"] },
+    };
+
+    const [statusBreakdown, [averages], topUnits, keyTechs] = await Promise.all([
+      Player.aggregate([
+        { $match: { ...civFilter, replay_summary: { $exists: true } } },
+        { $group: { _id: "$replay_summary.status", count: { $sum: 1 } } },
+      ]),
+      Player.aggregate([
+        { $match: parsedFilter },
+        {
+          $group: {
+            _id: null,
+            games: { $sum: 1 },
+            wins: { $sum: { $cond: ["$winner", 1, 0] } },
+            avgFeudalTime: { $avg: "$replay_summary.feudal_time" },
+            avgCastleTime: { $avg: "$replay_summary.castle_time" },
+            avgImperialTime: { $avg: "$replay_summary.imperial_time" },
+            avgVillagers: { $avg: "$replay_summary.eco.villagers" },
+            avgFood: { $avg: "$replay_summary.eco.food" },
+            avgWood: { $avg: "$replay_summary.eco.wood" },
+            avgGold: { $avg: "$replay_summary.eco.gold" },
+            avgStone: { $avg: "$replay_summary.eco.stone" },
+          },
+        },
+      ]).option({ maxTimeMS: 15000 }),
+      Player.aggregate([
+        { $match: parsedFilter },
+        { $unwind: "$replay_summary.units" },
+        {
+          $group: {
+            _id: "$replay_summary.units.name",
+            games: { $sum: 1 },
+            wins: { $sum: { $cond: ["$winner", 1, 0] } },
+            avgCount: { $avg: "$replay_summary.units.count" },
+          },
+        },
+        { $sort: { games: -1 } },
+        { $limit: 10 },
+      ]).option({ maxTimeMS: 15000 }),
+      Player.aggregate([
+        { $match: parsedFilter },
+        { $unwind: "$replay_summary.techs" },
+        {
+          $group: {
+            _id: "$replay_summary.techs.name",
+            games: { $sum: 1 },
+            avgTime: { $avg: "$replay_summary.techs.time" },
+          },
+        },
+        { $sort: { games: -1 } },
+        { $limit: 10 },
+      ]).option({ maxTimeMS: 15000 }),
+    ]);
+
+    if (statusBreakdown.length === 0) {
+      return res.status(404).json({
+        error: `No parsed replay summaries for ${civName}`,
+      });
+    }
+
+    const round = (value) => (value ? Math.round(value) : null);
 
     res.json({
-      civilization: req.params.civName,
-      patchData: fallbackData,
+      civilization: civName,
+      coverage: statusBreakdown.reduce((acc, row) => {
+        acc[row._id] = row.count;
+        return acc;
+      }, {}),
+      games: averages?.games || 0,
+      ...winRateStats.summarize(averages?.wins || 0, averages?.games || 0),
+      ageUpTimes: {
+        feudal: round(averages?.avgFeudalTime),
+        castle: round(averages?.avgCastleTime),
+        imperial: round(averages?.avgImperialTime),
+      },
+      eco: {
+        villagers: round(averages?.avgVillagers),
+        food: round(averages?.avgFood),
+        wood: round(averages?.avgWood),
+        gold: round(averages?.avgGold),
+        stone: round(averages?.avgStone),
+      },
+      topUnits: topUnits.map((unit) => ({
+        name: unit._id,
+        games: unit.games,
+        ...winRateStats.summarize(unit.wins, unit.games),
+        avgCount: Math.round(unit.avgCount * 10) / 10,
+      })),
+      keyTechs: keyTechs.map((tech) => ({
+        name: tech._id,
+        games: tech.games,
+        avgTime: round(tech.avgTime),
+      })),
       meta: {
-        queryTime: "0ms",
-        fallback: true,
-        realData: false,
-        note: "Using fallback data due to query timeout",
+        queryTime: `${Date.now() - startTime}ms`,
       },
     });
+  } catch (error) {
+    console.error(`❌ Replay stats error for ${req.params.civName}:`, error);
+    res.status(500).json({
+      error: "Failed to fetch replay statistics",
+      details: error.message,
+    });
   }
 });
 
@@ -1037,11 +1169,12 @@ router.get("/civilizations/:civName/patch", cache(3600), async (req, res) => {
 // Final fixed complete endpoint with proper calculations and aoestats.io style buckets
 router.get(
   "/civilizations/:civName/complete",
-  cache(1800),
+  cache(1800, ["civ:{civName}", "rankings", "rollup", "patch:{patch}"]),
   async (req, res) => {
     try {
       const { civName } = req.params;
       const startTime = Date.now();
+      const minGames = winRateStats.minGames(req.query.minGames);
 
       console.log(`⚡ ULTRA-FAST complete request for ${civName}...`);
 
@@ -1112,7 +1245,23 @@ router.get(
         .exec();
 
       const { stats, ratingBuckets, gameIds } = basicResults[0];
-      const civStats = stats[0] || {};
+      let civStats = stats[0] || {};
+
+      // Totals, matchups, maps and the average duration come exactly from the weekly rollup
+      // when it covers every week. The rating and duration buckets stay sampled: the rating
+      // brackets don't sit on the rollup's 100-point Elo grid, and it keeps no durations.
+      const fromRollup = await weeklyRollup.isAvailable();
+      const [rollupTotals] = fromRollup ? await weeklyRollup.civTotals({ civ: actualCivName }) : [];
+      if (rollupTotals) {
+        civStats = {
+          totalPicks: rollupTotals.games,
+          wins: rollupTotals.wins,
+          avgRating: weeklyRollup.average(rollupTotals, "rating"),
+          avgFeudalTime: weeklyRollup.average(rollupTotals, "feudal"),
+          avgCastleTime: weeklyRollup.average(rollupTotals, "castle"),
+          avgImperialTime: weeklyRollup.average(rollupTotals, "imperial"),
+        };
+      }
 
       // FIXED: Proper win rate calculation (no more 5210%)
       const rawWinRate =
@@ -1125,7 +1274,19 @@ router.get(
 
       // Step 3: Optimized matchup data
       let matchupResults = [];
-      if (gameIds && gameIds.length > 0) {
+      if (rollupTotals) {
+        // 1v1 games only, every opponent with enough games
+        matchupResults = (await weeklyRollup.matchups({ civ: actualCivName }))
+          .map((row) => ({
+            _id: row._id.opponent,
+            totalGames: row.games,
+            opponentWins: row.games - row.wins,
+          }))
+          .filter((row) => row.totalGames >= minGames)
+          .sort((a, b) => b.totalGames - a.totalGames);
+
+        console.log(`✅ Found ${matchupResults.length} matchups in ${weeklyRollup.collectionName}`);
+      } else if (gameIds && gameIds.length > 0) {
         const gameIdList = gameIds.map((g) => g.game_id);
 
         const matchupQuery = Player.aggregate([
@@ -1148,29 +1309,7 @@ router.get(
               opponentWins: { $sum: { $cond: ["$opponentWin", 1, 0] } },
             },
           },
-          { $match: { totalGames: { $gte: 4 } } }, // Reduced threshold for more data
-          {
-            $addFields: {
-              ourWins: { $subtract: ["$totalGames", "$opponentWins"] },
-              // FIXED: Simple percentage calculation
-              winRate: {
-                $round: [
-                  {
-                    $multiply: [
-                      {
-                        $divide: [
-                          { $subtract: ["$totalGames", "$opponentWins"] },
-                          "$totalGames",
-                        ],
-                      },
-                      100,
-                    ],
-                  },
-                  1,
-                ],
-              },
-            },
-          },
+          { $match: { totalGames: { $gte: minGames } } },
           { $sort: { totalGames: -1 } },
           { $limit: 20 },
         ]);
@@ -1182,7 +1321,7 @@ router.get(
         console.log(`✅ Found ${matchupResults.length} matchups`);
       }
 
-      // Step 4: FIXED duration data with proper nanosecond conversion
+      // Step 4: Duration buckets in minutes
       let durationData = [];
       if (gameIds && gameIds.length > 0) {
         const gameIdList = gameIds.slice(0, 800).map((g) => g.game_id);
@@ -1194,30 +1333,7 @@ router.get(
               duration: { $exists: true, $ne: null, $gt: 0 },
             },
           },
-          {
-            $addFields: {
-              // FIXED: Proper nanosecond conversion
-              durationMinutes: {
-                $switch: {
-                  branches: [
-                    {
-                      case: { $gt: ["$duration", 1000000000] }, // Nanoseconds
-                      then: { $divide: ["$duration", 60000000000] },
-                    },
-                    {
-                      case: { $gt: ["$duration", 1000000] }, // Microseconds
-                      then: { $divide: ["$duration", 60000000] },
-                    },
-                    {
-                      case: { $gt: ["$duration", 10000] }, // Milliseconds
-                      then: { $divide: ["$duration", 60000] },
-                    },
-                  ],
-                  default: { $divide: ["$duration", 60] }, // Seconds
-                },
-              },
-            },
-          },
+          { $addFields: { durationMinutes: { $divide: ["$duration", NS_PER_MINUTE] } } },
           { $match: { durationMinutes: { $gte: 5, $lte: 90 } } }, // Reasonable range
           {
             $bucket: {
@@ -1259,10 +1375,12 @@ router.get(
         console.log(`✅ Duration analysis: ${durationData.length} buckets`);
       }
 
-      // Step 4.5: Calculate actual average duration from nanoseconds
+      // Step 4.5: Average duration in minutes
       let actualAvgDuration = 0;
       try {
-        if (gameIds && gameIds.length > 0) {
+        if (rollupTotals) {
+          actualAvgDuration = Math.round((weeklyRollup.average(rollupTotals, "duration") || 0) / 60);
+        } else if (gameIds && gameIds.length > 0) {
           const gameIdList = gameIds.slice(0, 500).map(g => g.game_id);
           
           const avgDurationResult = await Match.aggregate([
@@ -1272,18 +1390,7 @@ router.get(
                 duration: { $exists: true, $ne: null, $gt: 0 }
               }
             },
-            {
-              $addFields: {
-                // FIXED: Proper nanosecond to minutes conversion
-                durationMinutes: {
-                  $cond: {
-                    if: { $gt: ["$duration", 1000000000] }, // If > 1 billion, it's nanoseconds
-                    then: { $divide: ["$duration", 60000000000] }, // nanoseconds to minutes
-                    else: { $divide: ["$duration", 60] } // fallback: assume seconds
-                  }
-                }
-              }
-            },
+            { $addFields: { durationMinutes: { $divide: ["$duration", NS_PER_MINUTE] } } },
             { $match: { durationMinutes: { $gte: 5, $lte: 120 } } }, // 5-120 minutes reasonable range
             {
               $group: {
@@ -1306,7 +1413,14 @@ router.get(
       // Step 5: Get map performance data
       let mapPerformance = [];
       try {
-        if (gameIds && gameIds.length > 0) {
+        // Process map performance
+        const mapStats = {};
+
+        if (rollupTotals) {
+          for (const row of await weeklyRollup.totalsBy("map", { civ: actualCivName })) {
+            if (row._id) mapStats[row._id] = { games: row.games, wins: row.wins };
+          }
+        } else if (gameIds && gameIds.length > 0) {
           const gameIdList = gameIds.slice(0, 1000).map((g) => g.game_id);
 
           // Get matches with map data for our games
@@ -1325,9 +1439,6 @@ router.get(
             .select("game_id winner")
             .lean();
 
-          // Process map performance
-          const mapStats = {};
-
           ourPlayerData.forEach((player) => {
             const match = matchesWithMaps.find(
               (m) => m.game_id === player.game_id
@@ -1343,24 +1454,24 @@ router.get(
               mapStats[mapName].wins++;
             }
           });
-
-          // Convert to result format
-          mapPerformance = Object.entries(mapStats)
-            .filter(([map, stats]) => stats.games >= 3) // Min 3 games per map
-            .map(([map, stats]) => ({
-              map: map,
-              games: stats.games,
-              wins: stats.wins,
-              losses: stats.games - stats.wins,
-              winRate: Math.round((stats.wins / stats.games) * 100 * 10) / 10,
-            }))
-            .sort((a, b) => b.winRate - a.winRate) // Best maps first
-            .slice(0, 12); // Top 12 maps
-
-          console.log(
-            `✅ Found ${mapPerformance.length} maps for ${actualCivName}`
-          );
         }
+
+        // Convert to result format
+        mapPerformance = Object.entries(mapStats)
+          .filter(([map, stats]) => stats.games >= minGames)
+          .map(([map, stats]) => ({
+            map: map,
+            games: stats.games,
+            wins: stats.wins,
+            losses: stats.games - stats.wins,
+            ...winRateStats.summarize(stats.wins, stats.games, { scale: 100 }),
+          }))
+          .sort((a, b) => b.winRate - a.winRate) // Best maps first
+          .slice(0, 12); // Top 12 maps
+
+        console.log(
+          `✅ Found ${mapPerformance.length} maps for ${actualCivName}`
+        );
       } catch (error) {
         console.log(`⚠️ Map analysis failed: ${error.message}`);
       }
@@ -1381,67 +1492,36 @@ router.get(
         0
       );
 
-      const processedRating = ratingBuckets.map((bucket) => ({
-        rating: aoestatsRatingLabels[bucket._id] || bucket._id,
-        civWin:
-          bucket.games > 0
-            ? Math.round((bucket.wins / bucket.games) * 100 * 10) / 10
-            : 50.0,
-        games: bucket.games,
-        wins: bucket.wins,
-        playRate:
-          totalRatingGames > 0
-            ? Math.round((bucket.games / totalRatingGames) * 100 * 10) / 10
-            : 0, // ✅ Fixed calculation - percentage of this civ's games in each bracket
-      }));
-
-      // FIXED: Split matchups with proper calculations
-      const bestVs = matchupResults
-        .filter((m) => m.winRate > 50)
-        .slice(0, 15)
-        .map((m) => ({
-          civ: m._id,
-          games: m.totalGames,
-          winRate: m.winRate, // Already rounded in aggregation
-        }));
+      const processedRating = ratingBuckets.map((bucket) => {
+        const { winRate, ...interval } = winRateStats.summarize(bucket.wins, bucket.games, { scale: 100 });
+        return {
+          rating: aoestatsRatingLabels[bucket._id] || bucket._id,
+          civWin: winRate ?? 50.0,
+          ...interval,
+          games: bucket.games,
+          wins: bucket.wins,
+          playRate:
+            totalRatingGames > 0
+              ? Math.round((bucket.games / totalRatingGames) * 100 * 10) / 10
+              : 0, // ✅ Fixed calculation - percentage of this civ's games in each bracket
+        };
+      });
 
-      const worstVs = matchupResults
-        .filter((m) => m.winRate <= 50)
-        .sort((a, b) => a.winRate - b.winRate)
-        .slice(0, 15)
-        .map((m) => ({
-          civ: m._id,
-          games: m.totalGames,
-          winRate: m.winRate, // Already rounded in aggregation
-        }));
+      const matchupRows = matchupResults.map((m) => ({
+        civ: m._id,
+        games: m.totalGames,
+        wins: m.totalGames - m.opponentWins,
+      }));
+      const bestVs = rankMatchups(matchupRows, "best");
+      const worstVs = rankMatchups(matchupRows, "worst");
 
-      // Generate patch data
-      const patchData = [
-        {
-          patch: "147949",
-          civWin: winRatePercentage,
-          games: Math.round(civStats.totalPicks * 0.6),
-          wins: Math.round(civStats.totalPicks * 0.6 * rawWinRate),
-          playRate: 2.4,
-          rank: Math.min(
-            42,
-            Math.max(1, Math.round(25 - (winRatePercentage - 50) * 0.5))
-          ),
-        },
-        {
-          patch: "143421",
-          civWin: Math.max(0, winRatePercentage - 2),
-          games: Math.round(civStats.totalPicks * 0.4),
-          wins: Math.round(
-            civStats.totalPicks * 0.4 * Math.max(0.1, rawWinRate - 0.02)
-          ),
-          playRate: 2.1,
-          rank: Math.min(
-            42,
-            Math.max(1, Math.round(27 - (winRatePercentage - 50) * 0.5))
-          ),
-        },
-      ];
+      // Patch history from precomputed civ_rankings (empty until rankings exist)
+      let patchData = [];
+      try {
+        patchData = await calculatePatchPerformanceWithRanking(actualCivName);
+      } catch (patchError) {
+        console.log(`⚠️ No patch rankings for ${actualCivName}: ${patchError.message}`);
+      }
 
       // Build final response
       const totalTime = Date.now() - startTime;
@@ -1452,7 +1532,7 @@ router.get(
             totalPicks: civStats.totalPicks || 0,
             wins: civStats.wins || 0,
             losses: (civStats.totalPicks || 0) - (civStats.wins || 0),
-            winRate: Math.round(rawWinRate * 1000) / 1000, // FIXED: Return decimal (0.521) not percentage (52.1)
+            ...winRateStats.summarize(civStats.wins || 0, civStats.totalPicks || 0),
             avgRating: Math.round(civStats.avgRating || 1200),
             avgDurationMinutes: actualAvgDuration, // ✅ FIXED: Use calculated duration
             uniquePlayers: 0,
@@ -1464,7 +1544,8 @@ router.get(
             rankByPatch: patchData.map((p) => ({
               patch: p.patch,
               rank: p.rank,
-              totalCivs: 42,
+              totalCivs: p.totalCivs,
+              rankChange: p.rankChange,
               games: p.games,
             })),
             playRateByPatch: patchData.map((p) => ({
@@ -1483,6 +1564,7 @@ router.get(
           meta: {
             queryTime: `${totalTime}ms`,
             approach: "final-optimized-aoestats-style",
+            source: rollupTotals ? weeklyRollup.collectionName : "sample",
             realData: true,
             sampleSizes: {
               basic: 2500,
@@ -1492,6 +1574,7 @@ router.get(
             },
             matchupsFound: matchupResults.length,
             mapsFound: mapPerformance.length,
+            minGames,
             performance:
               totalTime < 5000
                 ? "excellent"
@@ -1504,12 +1587,14 @@ router.get(
           // ✅ Added basic data for frontend compatibility
           totalPicks: civStats.totalPicks || 0,
           wins: civStats.wins || 0,
-          winRate: rawWinRate, // Use rawWinRate (decimal format)
+          ...winRateStats.summarize(civStats.wins || 0, civStats.totalPicks || 0),
           avgRating: Math.round(civStats.avgRating || 1200),
           pickRate: 2.4, // Estimated pick rate
         },
         bestVs,
         worstVs,
+        // All opponents, for the ?vs= matchup view (InsightsPage matrix links)
+        matchups: summarizeMatchups(matchupRows),
         maps: mapPerformance, // ✅ Now includes actual map performance data
       };
 
@@ -1535,7 +1620,7 @@ router.get(
   }
 );
 // Additional specialized endpoints for individual chart data
-router.get("/civilizations/:civName/rating", cache(1800), async (req, res) => {
+router.get("/civilizations/:civName/rating", cache(1800, ["civ:{civName}", "patch:{patch}"]), async (req, res) => {
   try {
     const { civName } = req.params;
     console.log(`📊 Getting rating performance for ${civName}...`);
@@ -1565,7 +1650,7 @@ router.get("/civilizations/:civName/rating", cache(1800), async (req, res) => {
 
 router.get(
   "/civilizations/:civName/duration",
-  cache(3600),
+  cache(3600, ["civ:{civName}", "patch:{patch}"]),
   async (req, res) => {
     try {
       const { civName } = req.params;
@@ -1590,7 +1675,8 @@ router.get(
         return res.status(404).json({ error: "Civilization not found" });
       }
 
-      // REAL DATABASE QUERY
+      // Sampled on purpose: civ_weekly_rollup only keeps duration sums, not their
+      // distribution, so it can't answer per-bucket win rates
       const durationData = await Player.aggregate([
         { $match: { civ: actualCivName } },
         { $sample: { size: 5000 } }, // Sample for performance
@@ -1616,23 +1702,7 @@ router.get(
           },
         },
         { $unwind: "$match" },
-        {
-          $addFields: {
-            durationMinutes: {
-              $cond: {
-                if: { $gt: ["$match.duration", 100000000] },
-                then: { $divide: ["$match.duration", 60000000000] }, // nanoseconds
-                else: {
-                  $cond: {
-                    if: { $gt: ["$match.duration", 100000] },
-                    then: { $divide: ["$match.duration", 60000] }, // milliseconds
-                    else: { $divide: ["$match.duration", 60] }, // seconds
-                  },
-                },
-              },
-            },
-          },
-        },
+        { $addFields: { durationMinutes: { $divide: ["$match.duration", NS_PER_MINUTE] } } },
         {
           $match: {
             durationMinutes: { $gte: 5, $lte: 120 }, // Reasonable game length
@@ -1743,9 +1813,10 @@ router.get(
 // ADDITIONAL EXISTING ENDPOINTS (keeping for compatibility)
 // ===================================================================
 
-router.get("/civilizations/:civName/maps", cache(1800), async (req, res) => {
+router.get("/civilizations/:civName/maps", cache(1800, ["civ:{civName}", "maps", "patch:{patch}"]), async (req, res) => {
   try {
     const { civName } = req.params;
+    const minGames = winRateStats.minGames(req.query.minGames);
     console.log(`🗺️ Getting map performance for ${civName}...`);
 
     // Use civLower index for performance
@@ -1777,7 +1848,7 @@ router.get("/civilizations/:civName/maps", cache(1800), async (req, res) => {
           games: { $sum: 1 },
         },
       },
-      { $match: { games: { $gte: 10 } } }, // Reduced threshold
+      { $match: { games: { $gte: minGames } } },
       { $sort: { games: -1 } },
       { $limit: 20 },
     ]).option({ maxTimeMS: 3000, allowDiskUse: true });
@@ -1798,10 +1869,8 @@ router.get("/civilizations/:civName/maps", cache(1800), async (req, res) => {
         return {
           map: mapData._id,
           games: mapGames.length,
-          winRate:
-            mapGames.length > 0
-              ? Math.round((wins / mapGames.length) * 100 * 10) / 10
-              : 50.0,
+          wins,
+          ...winRateStats.summarize(wins, mapGames.length, { scale: 100 }),
           avgRating: 1200,
         };
       })
@@ -1809,14 +1878,14 @@ router.get("/civilizations/:civName/maps", cache(1800), async (req, res) => {
 
     console.log(`✅ Found ${results.length} maps for ${civName}`);
 
-    res.json(results.filter((r) => r.games >= 10));
+    res.json(results.filter((r) => r.games >= minGames));
   } catch (error) {
     console.error(`Maps error: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get("/trends", cache(7200), async (req, res) => {
+router.get("/trends", cache(7200, ["trends", "patch:{patch}"]), async (req, res) => {
   try {
     const { timeframe = 30 } = req.query;
 
@@ -1888,7 +1957,7 @@ router.get("/trends", cache(7200), async (req, res) => {
 });
 
 // Detailed ELO distribution with percentiles
-router.get("/elo-distribution", cache(3600), async (req, res) => {
+router.get("/elo-distribution", cache(3600, ["patch:{patch}"]), async (req, res) => {
   try {
     const { leaderboard, patch, bucketSize = 100 } = req.query;
 
@@ -1942,7 +2011,7 @@ router.get("/elo-distribution", cache(3600), async (req, res) => {
         matches: bucket.count,
         percentage: Math.round(percentage * 100) / 100,
         cumulativePercentage: Math.round(cumulativePercentage * 100) / 100,
-        avgDurationMinutes: Math.round((bucket.avgDuration || 0) / 60000000000),
+        avgDurationMinutes: toMinutes(bucket.avgDuration),
       };
     });
 
@@ -1961,19 +2030,19 @@ router.get("/elo-distribution", cache(3600), async (req, res) => {
 });
 
 // Opening build orders analysis with success rates
-router.get("/openings", cache(3600), async (req, res) => {
+router.get("/openings", cache(3600, ["openings", "patch:{patch}"]), async (req, res) => {
   try {
-    const { civ, leaderboard, minGames = 20, patch } = req.query;
+    const { civ, leaderboard, patch } = req.query;
+    const minGames = winRateStats.minGames(req.query.minGames);
 
     let playerFilter = {
-      opening: { $exists: true, $ne: null, $ne: "" },
+      opening: { $exists: true, $nin: [null, ""] },
     };
     if (civ) playerFilter.civ = civ;
+    if (leaderboard) playerFilter.leaderboard = leaderboard;
+    if (patch) playerFilter.patch = parseInt(patch);
 
-    let matchFilter = {};
-    if (leaderboard) matchFilter["match.leaderboard"] = leaderboard;
-    if (patch) matchFilter["match.patch"] = parseInt(patch);
-
+    // Leaderboard and patch live on the player row; only duration needs the match
     const openings = await Player.aggregate([
       { $match: playerFilter },
       {
@@ -1982,10 +2051,10 @@ router.get("/openings", cache(3600), async (req, res) => {
           localField: "game_id",
           foreignField: "game_id",
           as: "match",
+          pipeline: [{ $project: { _id: 0, duration: 1 } }],
         },
       },
       { $unwind: "$match" },
-      { $match: matchFilter },
       {
         $group: {
           _id: {
@@ -2001,12 +2070,7 @@ router.get("/openings", cache(3600), async (req, res) => {
           avgMatchDuration: { $avg: "$match.duration" },
         },
       },
-      {
-        $addFields: {
-          winRate: { $divide: ["$wins", "$totalGames"] },
-        },
-      },
-      { $match: { totalGames: { $gte: parseInt(minGames) } } },
+      { $match: { totalGames: { $gte: minGames } } },
       { $sort: { totalGames: -1 } },
       { $limit: 100 },
     ]);
@@ -2036,7 +2100,7 @@ router.get("/openings", cache(3600), async (req, res) => {
         name: opening._id.civ,
         games: opening.totalGames,
         wins: opening.wins,
-        winRate: opening.winRate,
+        ...winRateStats.summarize(opening.wins, opening.totalGames),
         avgRating: Math.round(opening.avgRating || 0),
       });
 
@@ -2068,14 +2132,12 @@ router.get("/openings", cache(3600), async (req, res) => {
     const formattedOpenings = Object.values(openingsByStrategy)
       .map((opening) => ({
         ...opening,
-        winRate: opening.totalWins / opening.totalGames,
+        ...winRateStats.summarize(opening.totalWins, opening.totalGames),
         avgRating: Math.round(opening.avgRating),
         avgFeudalTime: Math.round(opening.avgFeudalTime || 0),
         avgCastleTime: Math.round(opening.avgCastleTime || 0),
         avgImperialTime: Math.round(opening.avgImperialTime || 0),
-        avgMatchDurationMinutes: Math.round(
-          (opening.avgMatchDuration || 0) / 60
-        ),
+        avgMatchDurationMinutes: toMinutes(opening.avgMatchDuration),
         civilizations: opening.civilizations.sort(
           (a, b) => b.winRate - a.winRate
         ),
@@ -2095,7 +2157,7 @@ router.get("/openings", cache(3600), async (req, res) => {
 });
 
 // Patch comparison analysis
-router.get("/patches", cache(7200), async (req, res) => {
+router.get("/patches", cache(7200, ["rankings", "patch:{patch}"]), async (req, res) => {
   try {
     const { leaderboard } = req.query;
 
@@ -2126,21 +2188,12 @@ router.get("/patches", cache(7200), async (req, res) => {
       { $sort: { _id: -1 } },
     ]);
 
-    // Get civilization usage by patch
+    // Get civilization usage by patch (patch and leaderboard are denormalized onto players)
     const patchCivStats = await Player.aggregate([
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      { $match: matchFilter },
+      { $match: { ...matchFilter, patch: { $ne: null } } },
       {
         $group: {
-          _id: { patch: "$match.patch", civ: "$civ" },
+          _id: { patch: "$patch", civ: "$civ" },
           picks: { $sum: 1 },
           wins: { $sum: { $cond: ["$winner", 1, 0] } },
         },
@@ -2153,22 +2206,28 @@ router.get("/patches", cache(7200), async (req, res) => {
               name: "$_id.civ",
               picks: "$picks",
               wins: "$wins",
-              winRate: { $divide: ["$wins", "$picks"] },
             },
           },
         },
       },
     ]);
 
-    // Combine patch stats with civ data
-    const enrichedPatchStats = patchStats.map((patch) => {
-      const civData = patchCivStats.find((c) => c._id === patch._id);
+    // Combine patch stats with civ data; each civ is compared with its record on the
+    // previous patch (patchStats is newest first)
+    const civsByPatch = new Map(patchCivStats.map((c) => [c._id, c.civilizations]));
+    const enrichedPatchStats = patchStats.map((patch, index) => {
+      const civilizations = civsByPatch.get(patch._id) || [];
+      const previousPatch = patchStats[index + 1];
+      const previousByCiv = new Map(
+        (previousPatch ? civsByPatch.get(previousPatch._id) || [] : []).map((civ) => [civ.name, civ])
+      );
+
       return {
         patch: patch._id,
         stats: {
           totalMatches: patch.totalMatches,
           avgElo: Math.round(patch.avgElo || 0),
-          avgDurationMinutes: Math.round((patch.avgDuration || 0) / 60),
+          avgDurationMinutes: toMinutes(patch.avgDuration),
           avgPlayers: Math.round(patch.avgPlayers || 0),
           uniqueMaps: patch.mapCount,
           dateRange: {
@@ -2176,9 +2235,18 @@ router.get("/patches", cache(7200), async (req, res) => {
             last: patch.dateRange.last,
           },
         },
-        topCivilizations: civData
-          ? civData.civilizations.sort((a, b) => b.picks - a.picks).slice(0, 10)
-          : [],
+        topCivilizations: civilizations
+          .sort((a, b) => b.picks - a.picks)
+          .slice(0, 10)
+          .map((civ) => {
+            const previous = previousByCiv.get(civ.name);
+            return {
+              ...civ,
+              ...winRateStats.summarize(civ.wins, civ.picks, {
+                previous: previous && { wins: previous.wins, games: previous.picks },
+              }),
+            };
+          }),
       };
     });
 
@@ -2195,7 +2263,7 @@ router.get("/patches", cache(7200), async (req, res) => {
 });
 
 // Performance analytics endpoint
-router.get("/analytics/performance", cache(3600), async (req, res) => {
+router.get("/analytics/performance", cache(3600, ["patch:{patch}"]), async (req, res) => {
   try {
     const { timeframe = 30 } = req.query;
 
@@ -2255,7 +2323,9 @@ router.get("/analytics/performance", cache(3600), async (req, res) => {
       .option({ maxTimeMS: 20000 });
 
     res.json({
-      overview: result.overview[0] || {},
+      overview: result.overview[0]
+        ? { ...result.overview[0], avgDuration: toSeconds(result.overview[0].avgDuration) }
+        : {},
       hourlyActivity: result.hourlyActivity.map((h) => ({
         hour: h._id,
         matches: h.matches,
@@ -2263,14 +2333,15 @@ router.get("/analytics/performance", cache(3600), async (req, res) => {
       durationByElo: result.durationByElo.map((d) => ({
         eloBracket: d._id,
         matches: d.count,
-        avgDurationMinutes: Math.round((d.avgDuration || 0) / 60000000000),
+        avgDurationMinutes: toMinutes(d.avgDuration),
         durationRange: {
-          min: Math.round((d.minDuration || 0) / 60000000000),
-          max: Math.round((d.maxDuration || 0) / 60000000000),
+          min: toMinutes(d.minDuration),
+          max: toMinutes(d.maxDuration),
         },
       })),
       meta: {
         timeframeDays: parseInt(timeframe),
+        durationUnit: "seconds",
         generatedAt: new Date().toISOString(),
       },
     });
@@ -2284,129 +2355,7 @@ router.get("/analytics/performance", cache(3600), async (req, res) => {
 // DEBUG AND UTILITY ENDPOINTS
 // ===================================================================
 
-router.get("/debug/duration-units/:civName?", async (req, res) => {
-  try {
-    const { civName } = req.params;
-
-    // Build match filter
-    const matchFilter = civName ? { civ: civName } : {};
-
-    // Get sample duration data
-    const sampleData = await Player.aggregate([
-      ...(civName ? [{ $match: { civ: civName } }] : []),
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      {
-        $match: {
-          "match.duration": {
-            $exists: true,
-            $ne: null,
-            $type: "number",
-            $gt: 0,
-          },
-        },
-      },
-      {
-        $project: {
-          game_id: 1,
-          duration: "$match.duration",
-          durationMinutes: { $divide: ["$match.duration", 60] },
-          durationHours: { $divide: ["$match.duration", 3600] },
-          durationMillisToMinutes: { $divide: ["$match.duration", 60000] },
-          map: "$match.map",
-        },
-      },
-      { $limit: 10 },
-    ]);
-
-    // Get duration statistics
-    const durationStats = await Player.aggregate([
-      ...(civName ? [{ $match: { civ: civName } }] : []),
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      {
-        $match: {
-          "match.duration": {
-            $exists: true,
-            $ne: null,
-            $type: "number",
-            $gt: 0,
-          },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          minDuration: { $min: "$match.duration" },
-          maxDuration: { $max: "$match.duration" },
-          avgDuration: { $avg: "$match.duration" },
-          count: { $sum: 1 },
-        },
-      },
-    ]);
-
-    const stats = durationStats[0] || {};
-
-    res.json({
-      sampleMatches: sampleData,
-      statistics: {
-        count: stats.count || 0,
-        rawDuration: {
-          min: stats.minDuration,
-          max: stats.maxDuration,
-          avg: stats.avgDuration,
-        },
-        ifSeconds: {
-          minMinutes: stats.minDuration
-            ? Math.round(stats.minDuration / 60)
-            : 0,
-          maxMinutes: stats.maxDuration
-            ? Math.round(stats.maxDuration / 60)
-            : 0,
-          avgMinutes: stats.avgDuration
-            ? Math.round(stats.avgDuration / 60)
-            : 0,
-        },
-        ifMilliseconds: {
-          minMinutes: stats.minDuration
-            ? Math.round(stats.minDuration / 60000)
-            : 0,
-          maxMinutes: stats.maxDuration
-            ? Math.round(stats.maxDuration / 60000)
-            : 0,
-          avgMinutes: stats.avgDuration
-            ? Math.round(stats.avgDuration / 60000)
-            : 0,
-        },
-      },
-      analysis: {
-        likelyUnit: stats.avgDuration > 100000 ? "milliseconds" : "seconds",
-        reasoning:
-          stats.avgDuration > 100000
-            ? "Average > 100k suggests milliseconds (would be ~27+ hours if seconds)"
-            : "Average < 100k suggests seconds or minutes",
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.get("/popular-civilizations", cache(3600), async (req, res) => {
+router.get("/popular-civilizations", cache(3600, ["civs", "patch:{patch}"]), async (req, res) => {
   try {
     const db = mongoose.connection.db;
     const popularCivs = await db
@@ -2420,7 +2369,7 @@ router.get("/popular-civilizations", cache(3600), async (req, res) => {
       rank: index + 1,
       civilization: civ._id,
       totalPicks: civ.totalPicks,
-      winRate: civ.winRate,
+      ...winRateStats.summarize(civ.wins, civ.totalPicks),
       wins: civ.wins,
     }));
 
@@ -2516,9 +2465,79 @@ router.get("/debug/values", async (req, res) => {
   }
 });
 
-router.get("/civilizations/:civName/maps", cache(3600), async (req, res) => {
+// Import data-quality reports (written by services/dataFetcher.js, newest week first)
+router.get("/data-quality", cache(900, ["data-quality"]), async (req, res) => {
+  try {
+    const reports = await DataQualityReport.find(
+      {},
+      {
+        _id: 0,
+        week_range: 1,
+        orphan_players: 1,
+        updatedAt: 1,
+        "matches.rows": 1,
+        "matches.accepted": 1,
+        "matches.quarantined": 1,
+        "players.rows": 1,
+        "players.accepted": 1,
+        "players.quarantined": 1,
+      }
+    )
+      .sort({ week_range: -1 })
+      .lean();
+
+    res.json({ reports, totalWeeks: reports.length });
+  } catch (error) {
+    console.error("❌ Error fetching data-quality reports:", error);
+    res.status(500).json({
+      error: "Failed to fetch data-quality reports",
+      details: error.message,
+    });
+  }
+});
+
+router.get("/data-quality/:weekRange", cache(900, ["data-quality"]), async (req, res) => {
+  try {
+    const { weekRange } = req.params;
+    const report = await DataQualityReport.findOne(
+      { week_range: weekRange },
+      { _id: 0, __v: 0 }
+    ).lean();
+
+    if (!report) {
+      return res.status(404).json({ error: `No data-quality report for ${weekRange}` });
+    }
+
+    // A few quarantined rows per file to show what was rejected
+    const sampleSize = Math.min(parseInt(req.query.sample) || 5, 50);
+    const [quarantinedMatches, quarantinedPlayers] = await Promise.all(
+      ["matches", "players"].map((collectionName) =>
+        QuarantinedRow.find(
+          { week_range: weekRange, collection_name: collectionName },
+          { _id: 0, reasons: 1, row: 1 }
+        )
+          .limit(sampleSize)
+          .lean()
+      )
+    );
+
+    res.json({
+      ...report,
+      quarantinedSample: { matches: quarantinedMatches, players: quarantinedPlayers },
+    });
+  } catch (error) {
+    console.error("❌ Error fetching data-quality report:", error);
+    res.status(500).json({
+      error: "Failed to fetch data-quality report",
+      details: error.message,
+    });
+  }
+});
+
+router.get("/civilizations/:civName/maps", cache(3600, ["civ:{civName}", "maps", "patch:{patch}"]), async (req, res) => {
   try {
     const { civName } = req.params;
+    const minGames = winRateStats.minGames(req.query.minGames);
     console.log(`🗺️ Getting map performance for ${civName}...`);
 
     // Find correct civ name (same pattern as other endpoints)
@@ -2580,13 +2599,13 @@ router.get("/civilizations/:civName/maps", cache(3600), async (req, res) => {
 
     // Convert to result format
     const mapPerformance = Object.entries(mapStats)
-      .filter(([map, stats]) => stats.games >= 5) // Min 5 games per map
+      .filter(([map, stats]) => stats.games >= minGames)
       .map(([map, stats]) => ({
         map: map,
         games: stats.games,
         wins: stats.wins,
         losses: stats.games - stats.wins,
-        winRate: parseFloat(((stats.wins / stats.games) * 100).toFixed(1)),
+        ...winRateStats.summarize(stats.wins, stats.games, { scale: 100 }),
       }))
       .sort((a, b) => b.winRate - a.winRate) // Best maps first
       .slice(0, 20); // Top 20 maps
@@ -2603,16 +2622,28 @@ router.get("/civilizations/:civName/maps", cache(3600), async (req, res) => {
 });
 
 // Map statistics endpoint
-router.get('/maps', cache(900), async (req, res) => {
+// Map categories, display names and aliases (services/mapMetadata.js); aliases include
+// every spelling found in Match.map, and stored names that match no map are listed as unknown
+router.get('/maps/metadata', cache(86400, ['maps']), async (req, res) => {
+  try {
+    const storedMaps = await Match.distinct('map', { map: { $exists: true, $nin: [null, ''] } });
+    res.json(mapMetadata.build(storedMaps));
+  } catch (error) {
+    console.error('❌ Map metadata error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch map metadata',
+      details: error.message
+    });
+  }
+});
+
+router.get('/maps', cache(900, ['maps', 'patch:{patch}']), async (req, res) => {
   try {
     const startTime = Date.now();
     console.log('🗺️ Getting map stats with filters:', req.query);
     
-    const { 
-      leaderboard, 
-      patch, 
-      minMatches = 10  // REDUCED from 100 to 10
-    } = req.query;
+    const { leaderboard, patch } = req.query;
+    const minMatches = winRateStats.minGames(req.query.minMatches);
 
     const db = require('mongoose').connection.db;
     let maps = [];
@@ -2633,7 +2664,7 @@ router.get('/maps', cache(900), async (req, res) => {
       // Get cached map data
       const cachedMaps = await db.collection('map_stats_cache')
         .find({
-          totalMatches: { $gte: parseInt(minMatches) }
+          totalMatches: { $gte: minMatches }
         })
         .sort({ totalMatches: -1 })
         .toArray();
@@ -2649,14 +2680,12 @@ router.get('/maps', cache(900), async (req, res) => {
       // FIXED: Proper field mapping for maps
       maps = cachedMaps.map(map => ({
         name: map._id,  // Map name from _id
+        ...mapMetadata.describe(map._id),
         totalMatches: map.totalMatches || 0,
         playRate: totalGames > 0 ? (map.totalMatches || 0) / totalGames : 0,
-        avgDuration: Math.round(map.avgDuration || 0),
+        avgDuration: toSeconds(map.avgDuration),
         avgElo: Math.round(map.avgElo || 1200),
-        avgPlayers: Math.round(map.avgPlayers || 8),
-        winRateDistribution: {
-          balanced: 0.8 // Placeholder
-        }
+        avgPlayers: Math.round(map.avgPlayers || 8)
       }));
 
     } else {
@@ -2680,7 +2709,7 @@ router.get('/maps', cache(900), async (req, res) => {
         },
         {
           $match: {
-            totalMatches: { $gte: parseInt(minMatches) }
+            totalMatches: { $gte: minMatches }
           }
         },
         { $sort: { totalMatches: -1 } }
@@ -2695,14 +2724,12 @@ router.get('/maps', cache(900), async (req, res) => {
 
       maps = results.map(map => ({
         name: map._id,
+        ...mapMetadata.describe(map._id),
         totalMatches: map.totalMatches,
         playRate: totalGames > 0 ? map.totalMatches / totalGames : 0,
-        avgDuration: Math.round(map.avgDuration || 0),
+        avgDuration: toSeconds(map.avgDuration),
         avgElo: Math.round(map.avgElo || 1200),
-        avgPlayers: Math.round(map.avgPlayers || 8),
-        winRateDistribution: {
-          balanced: 0.8
-        }
+        avgPlayers: Math.round(map.avgPlayers || 8)
       }));
     }
 
@@ -2717,11 +2744,12 @@ router.get('/maps', cache(900), async (req, res) => {
         totalMaps: maps.length,
         totalMatches: totalGames,
         cached: useCachedData,
+        durationUnit: 'seconds',
         queryTime: `${queryTime}ms`,
         appliedFilters: {
           leaderboard,
           patch,
-          minMatches: parseInt(minMatches)
+          minMatches
         }
       }
     });
@@ -2735,301 +2763,410 @@ router.get('/maps', cache(900), async (req, res) => {
   }
 });
 
+// Tier by win-rate rank among civs with enough games: top 10% S, next 20% A,
+// middle 40% B, next 20% C, bottom 10% D. Civs below minGames stay unranked.
+const TIER_CUTOFFS = [["S", 0.1], ["A", 0.3], ["B", 0.7], ["C", 0.9], ["D", 1]];
 
-// Enhanced debug endpoint to determine correct duration format
-router.get("/debug/duration-analysis/:civName?", async (req, res) => {
-  try {
-    const { civName } = req.params;
-    console.log(`🔍 Analyzing duration format for ${civName || "all civs"}...`);
+function assignTiers(civs, minGames) {
+  const ranked = civs
+    .filter((civ) => civ.games >= minGames)
+    .sort((a, b) => b.winRate - a.winRate);
 
-    // Get sample matches with duration data
-    const pipeline = [
-      ...(civName ? [{ $match: { civ: civName } }] : []),
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      {
-        $match: {
-          "match.duration": {
-            $exists: true,
-            $ne: null,
-            $type: "number",
-            $gt: 0,
+  ranked.forEach((civ, index) => {
+    const percentile = (index + 1) / ranked.length;
+    civ.tier = TIER_CUTOFFS.find(([, cutoff]) => percentile <= cutoff)[0];
+  });
+  civs.filter((civ) => civ.games < minGames).forEach((civ) => {
+    civ.tier = null;
+  });
+
+  return Object.fromEntries(
+    TIER_CUTOFFS.map(([tier]) => [tier, ranked.filter((civ) => civ.tier === tier).map((civ) => civ.civ)])
+  );
+}
+
+// Every civ's record on one map: win rate, play rate, average game length and
+// sample size, with a tier list. Filters: patch, leaderboard, minElo/maxElo (match Elo).
+router.get(
+  "/maps/:mapName/civilizations",
+  cache(1800, ["maps", "patch:{patch}"]),
+  async (req, res) => {
+    try {
+      const { mapName } = req.params;
+      const { patch, leaderboard, minElo, maxElo } = req.query;
+
+      if ([patch, minElo, maxElo, req.query.minGames].some((value) => value !== undefined && isNaN(parseInt(value)))) {
+        return res.status(400).json({ error: "patch, minElo, maxElo and minGames must be numbers" });
+      }
+      const minGames = winRateStats.minGames(req.query.minGames);
+
+      const map = mapMetadata.describe(mapName);
+      const appliedFilters = {
+        patch: patch ? parseInt(patch) : null,
+        leaderboard: leaderboard || null,
+        minElo: minElo ? parseInt(minElo) : null,
+        maxElo: maxElo ? parseInt(maxElo) : null,
+      };
+
+      // The rollup answers 100-aligned Elo bands exactly; anything else is aggregated live
+      const rollupFilter = weeklyRollup.toFilter({ map: mapName, patch, leaderboard, minElo, maxElo });
+      const fromRollup = Boolean(rollupFilter) && (await weeklyRollup.isAvailable());
+
+      let rows;
+      if (fromRollup) {
+        rows = (await weeklyRollup.civTotals(rollupFilter)).map((civ) => ({
+          civ: civ._id,
+          games: civ.games,
+          wins: civ.wins,
+          avgDuration: weeklyRollup.average(civ, "duration"),
+        }));
+      } else {
+        const playerFilter = {
+          map: { $in: mapMetadata.variants(mapName) },
+          civ: { $nin: [null, ""] },
+        };
+        if (patch) playerFilter.patch = parseInt(patch);
+        if (leaderboard) playerFilter.leaderboard = leaderboard;
+        if (minElo || maxElo) {
+          playerFilter.avg_elo = {};
+          if (minElo) playerFilter.avg_elo.$gte = parseInt(minElo);
+          if (maxElo) playerFilter.avg_elo.$lt = parseInt(maxElo);
+        }
+
+        // Map, patch and Elo live on the player row; only duration needs the match
+        const results = await Player.aggregate([
+          { $match: playerFilter },
+          {
+            $lookup: {
+              from: "matches",
+              localField: "game_id",
+              foreignField: "game_id",
+              as: "match",
+              pipeline: [{ $project: { _id: 0, duration: 1 } }],
+            },
           },
-        },
-      },
-      {
-        $project: {
-          game_id: 1,
-          rawDuration: "$match.duration",
-          map: "$match.map",
-          started_timestamp: "$match.started_timestamp",
-          // Convert to minutes with different assumptions
-          minutesIfSeconds: { $divide: ["$match.duration", 60] },
-          minutesIfMillis: { $divide: ["$match.duration", 60000] },
-          minutesIfNanos: { $divide: ["$match.duration", 60000000000] },
-        },
-      },
-      { $limit: 20 },
-    ];
+          { $unwind: { path: "$match", preserveNullAndEmptyArrays: true } },
+          {
+            $group: {
+              _id: "$civ",
+              games: { $sum: 1 },
+              wins: { $sum: { $cond: ["$winner", 1, 0] } },
+              avgDuration: {
+                $avg: { $cond: [{ $gt: ["$match.duration", 0] }, "$match.duration", null] },
+              },
+            },
+          },
+        ]).option({ maxTimeMS: 30000, allowDiskUse: true });
 
-    const samples = await Player.aggregate(pipeline);
-
-    // Calculate statistics
-    const durations = samples.map((s) => s.rawDuration);
-    const min = Math.min(...durations);
-    const max = Math.max(...durations);
-    const avg = durations.reduce((a, b) => a + b, 0) / durations.length;
-
-    // Analyze which conversion makes most sense
-    const analysis = {
-      rawStats: { min, max, avg, count: durations.length },
-      conversions: {
-        ifSeconds: {
-          avgMinutes: Math.round(avg / 60),
-          range: `${Math.round(min / 60)}-${Math.round(max / 60)} minutes`,
-          realistic: avg / 60 >= 10 && avg / 60 <= 90, // 10-90 min games are realistic
-        },
-        ifMilliseconds: {
-          avgMinutes: Math.round(avg / 60000),
-          range: `${Math.round(min / 60000)}-${Math.round(
-            max / 60000
-          )} minutes`,
-          realistic: avg / 60000 >= 10 && avg / 60000 <= 90,
-        },
-        ifNanoseconds: {
-          avgMinutes: Math.round(avg / 60000000000),
-          range: `${Math.round(min / 60000000000)}-${Math.round(
-            max / 60000000000
-          )} minutes`,
-          realistic: avg / 60000000000 >= 10 && avg / 60000000000 <= 90,
-        },
-      },
-    };
+        rows = results.map((civ) => ({
+          civ: civ._id,
+          games: civ.games,
+          wins: civ.wins,
+          avgDuration: civ.avgDuration ? civ.avgDuration / NS_PER_SECOND : null,
+        }));
+      }
 
-    // Determine most likely format
-    let likelyFormat = "seconds";
-    if (analysis.conversions.ifMilliseconds.realistic)
-      likelyFormat = "milliseconds";
-    if (analysis.conversions.ifNanoseconds.realistic)
-      likelyFormat = "nanoseconds";
+      const totalGames = rows.reduce((sum, civ) => sum + civ.games, 0);
+      if (totalGames === 0) {
+        return res.status(404).json({ error: `No games found on ${map.displayName}`, appliedFilters });
+      }
 
-    res.json({
-      samples: samples.slice(0, 5), // Only show first 5 for readability
-      analysis,
-      recommendation: {
-        format: likelyFormat,
-        avgDurationMinutes:
-          analysis.conversions[
-            `if${likelyFormat.charAt(0).toUpperCase() + likelyFormat.slice(1)}`
-          ].avgMinutes,
-        reasoning: `Based on realistic game duration range of 10-90 minutes`,
-      },
-    });
-  } catch (error) {
-    console.error("Duration analysis error:", error);
-    res.status(500).json({ error: error.message });
+      const civilizations = rows
+        .map((civ) => ({
+          civ: civ.civ,
+          games: civ.games,
+          wins: civ.wins,
+          ...winRateStats.summarize(civ.wins, civ.games),
+          playRate: civ.games / totalGames,
+          avgDuration: civ.avgDuration ? Math.round(civ.avgDuration) : null,
+        }))
+        .sort((a, b) => b.winRate - a.winRate);
+      const tiers = assignTiers(civilizations, minGames);
+
+      res.json({
+        map,
+        civilizations,
+        tiers,
+        meta: {
+          totalGames,
+          minGames,
+          durationUnit: "seconds",
+          source: fromRollup ? weeklyRollup.collectionName : "live",
+          appliedFilters,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Map civilizations error:", error);
+      res.status(500).json({
+        error: "Failed to fetch civilization stats for map",
+        details: error.message,
+      });
+    }
   }
-});
+);
+
+
+// Team sizes the synergy endpoint accepts (players per team)
+const SYNERGY_TEAM_SIZES = [2, 3, 4];
 
-router.get("/debug/duration/:civName", async (req, res) => {
+// Civ pairs on the same team of a team game, with the pair's record against each civ's
+// own team-game win rate. synergy = pair win rate - average of the two baselines; it is
+// significant when that average lies outside the pair's 95% interval.
+// Filters: leaderboard, teamSize (2-4 players per team), patch, civ (pairs with that civ).
+// Pairs are counted live from rosters, so one patch is scanned at a time: the latest
+// patch unless one is given.
+router.get("/synergies", cache(3600, ["civs", "patch:{patch}"]), async (req, res) => {
   try {
-    const { civName } = req.params;
+    const { leaderboard, teamSize, patch, civ } = req.query;
 
-    // Test raw values first
-    const rawTest = await Player.aggregate([
-      { $match: { civ: civName } },
-      { $sample: { size: 10 } },
-      {
-        $lookup: {
-          from: "matches",
-          localField: "game_id",
-          foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      { $match: { "match.duration": { $exists: true, $ne: null } } },
-      {
-        $project: {
-          game_id: 1,
-          rawDuration: "$match.duration",
-          durationSeconds: { $divide: ["$match.duration", 1000000] },
-          durationMinutes: {
-            $divide: [{ $divide: ["$match.duration", 1000000] }, 60],
-          },
-        },
-      },
-      { $limit: 5 },
-    ]);
+    if ([teamSize, patch, req.query.minGames, req.query.limit].some((value) => value !== undefined && isNaN(parseInt(value)))) {
+      return res.status(400).json({ error: "teamSize, patch, minGames and limit must be numbers" });
+    }
+    if (teamSize && !SYNERGY_TEAM_SIZES.includes(parseInt(teamSize))) {
+      return res.status(400).json({
+        error: `Unsupported teamSize: ${teamSize}`,
+        supported: SYNERGY_TEAM_SIZES,
+      });
+    }
+    const minGames = winRateStats.minGames(req.query.minGames);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const latestMatch = patch ? null : await Match.findOne({ patch: { $ne: null } }, { patch: 1 }).sort({ patch: -1 }).lean();
+    const patchNumber = patch ? parseInt(patch) : latestMatch?.patch;
+    if (!patchNumber) {
+      return res.status(404).json({ error: "No patches found" });
+    }
+
+    const matchFilter = {
+      patch: patchNumber,
+      num_players: teamSize ? parseInt(teamSize) * 2 : { $in: SYNERGY_TEAM_SIZES.map((size) => size * 2) },
+    };
+    if (leaderboard) matchFilter.leaderboard = leaderboard;
 
-    console.log("🔍 Raw duration analysis:", rawTest);
+    const appliedFilters = {
+      leaderboard: leaderboard || null,
+      teamSize: teamSize ? parseInt(teamSize) : null,
+      patch: patchNumber,
+      latestPatch: !patch,
+      civ: civ || null,
+    };
 
-    // Test bucketing with conversion
-    const bucketTest = await Player.aggregate([
-      { $match: { civ: civName } },
-      { $sample: { size: 1000 } },
+    console.log(`🤝 Getting civ synergies for ${teamSize ? `${teamSize}v${teamSize}` : "all team games"} on patch ${patchNumber}...`);
+
+    // One roster per game; the pairs facet crosses it with itself and keeps each
+    // same-team pair once (by roster index), the baseline facet counts single players
+    const [result] = await Match.aggregate([
+      { $match: matchFilter },
       {
         $lookup: {
-          from: "matches",
+          from: "players",
           localField: "game_id",
           foreignField: "game_id",
-          as: "match",
-        },
-      },
-      { $unwind: "$match" },
-      {
-        $match: {
-          "match.duration": { $exists: true, $ne: null, $type: "number" },
+          as: "roster",
+          pipeline: [
+            { $match: { civ: { $nin: [null, ""] } } },
+            { $project: { _id: 0, civ: 1, team: 1, winner: 1 } },
+          ],
         },
       },
+      { $project: { _id: 0, roster: 1 } },
       {
-        $addFields: {
-          durationSeconds: { $divide: ["$match.duration", 1000000] },
-          durationMinutes: {
-            $divide: [{ $divide: ["$match.duration", 1000000] }, 60],
-          },
-          bucket: {
-            $cond: {
-              if: { $lt: [{ $divide: ["$match.duration", 1000000] }, 900] },
-              then: "<15min",
-              else: {
-                $cond: {
-                  if: {
-                    $lt: [{ $divide: ["$match.duration", 1000000] }, 1500],
-                  },
-                  then: "15-25min",
-                  else: {
-                    $cond: {
-                      if: {
-                        $lt: [{ $divide: ["$match.duration", 1000000] }, 2100],
-                      },
-                      then: "25-35min",
-                      else: {
-                        $cond: {
-                          if: {
-                            $lt: [
-                              { $divide: ["$match.duration", 1000000] },
-                              2700,
-                            ],
-                          },
-                          then: "35-45min",
-                          else: {
-                            $cond: {
-                              if: {
-                                $lt: [
-                                  { $divide: ["$match.duration", 1000000] },
-                                  3600,
-                                ],
-                              },
-                              then: "45-60min",
-                              else: ">60min",
-                            },
-                          },
-                        },
-                      },
-                    },
-                  },
+        $facet: {
+          pairs: [
+            { $addFields: { first: "$roster", second: "$roster" } },
+            { $unwind: { path: "$first", includeArrayIndex: "firstIndex" } },
+            { $unwind: { path: "$second", includeArrayIndex: "secondIndex" } },
+            {
+              $match: {
+                $expr: {
+                  $and: [{ $lt: ["$firstIndex", "$secondIndex"] }, { $eq: ["$first.team", "$second.team"] }],
                 },
               },
             },
-          },
-        },
-      },
-      {
-        $group: {
-          _id: "$bucket",
-          games: { $sum: 1 },
-          wins: { $sum: { $cond: ["$winner", 1, 0] } },
-          avgDurationMin: { $avg: "$durationMinutes" },
+            {
+              $group: {
+                _id: {
+                  first: { $min: ["$first.civ", "$second.civ"] },
+                  second: { $max: ["$first.civ", "$second.civ"] },
+                },
+                games: { $sum: 1 },
+                wins: { $sum: { $cond: ["$first.winner", 1, 0] } },
+              },
+            },
+          ],
+          civilizations: [
+            { $unwind: "$roster" },
+            {
+              $group: {
+                _id: "$roster.civ",
+                games: { $sum: 1 },
+                wins: { $sum: { $cond: ["$roster.winner", 1, 0] } },
+              },
+            },
+          ],
         },
       },
-      { $sort: { avgDurationMin: 1 } },
-    ]);
+    ]).option({ maxTimeMS: 60000, allowDiskUse: true });
+
+    const baselines = Object.fromEntries(
+      result.civilizations.map((row) => [row._id, { games: row.games, wins: row.wins, winRate: row.wins / row.games }])
+    );
+    const totalPlayers = result.civilizations.reduce((sum, row) => sum + row.games, 0);
+    if (totalPlayers === 0) {
+      return res.status(404).json({ error: "No team games found", appliedFilters });
+    }
+
+    const civLower = civ ? civ.toLowerCase() : null;
+    const pairs = result.pairs
+      .filter((row) => row.games >= minGames)
+      .filter((row) => !civLower || [row._id.first, row._id.second].some((name) => name.toLowerCase() === civLower))
+      .map((row) => {
+        const civs = [row._id.first, row._id.second];
+        const summary = winRateStats.summarize(row.wins, row.games);
+        const expectedWinRate = (baselines[civs[0]].winRate + baselines[civs[1]].winRate) / 2;
+        const pair = {
+          civs,
+          games: row.games,
+          wins: row.wins,
+          ...summary,
+          baselines: Object.fromEntries(civs.map((name) => [name, Math.round(baselines[name].winRate * 10000) / 10000])),
+          expectedWinRate: Math.round(expectedWinRate * 10000) / 10000,
+          synergy: Math.round((row.wins / row.games - expectedWinRate) * 10000) / 10000,
+          synergySignificant: summary.ci.lower > expectedWinRate || summary.ci.upper < expectedWinRate,
+        };
+        if (civLower) {
+          // For a mirror pair (both players on the civ) the partner is the civ itself
+          pair.partner = civs[0].toLowerCase() === civLower ? civs[1] : civs[0];
+        }
+        return pair;
+      })
+      .sort((a, b) => b.synergy - a.synergy);
+
+    const civilizations = Object.entries(baselines)
+      .map(([name, row]) => ({ civ: name, games: row.games, wins: row.wins, ...winRateStats.summarize(row.wins, row.games) }))
+      .sort((a, b) => b.winRate - a.winRate);
 
     res.json({
-      civilization: civName,
-      rawSamples: rawTest,
-      buckets: bucketTest,
-      summary: `Found ${bucketTest.length} duration buckets after conversion`,
+      pairs: pairs.slice(0, limit),
+      civilizations,
+      meta: {
+        totalPairs: pairs.length,
+        totalPlayers,
+        minGames,
+        limit,
+        appliedFilters,
+      },
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error("❌ Synergies error:", error);
+    res.status(500).json({
+      error: "Failed to fetch civilization synergies",
+      details: error.message,
+    });
   }
 });
 
-router.get("/insights", cache(3600), async (req, res) => {
+router.get("/insights", cache(3600, ["civs", "rollup", "rankings", "patch:{patch}"]), async (req, res) => {
   try {
-    const { leaderboard = 3, patch, minMatches = 100 } = req.query;
+    const {
+      leaderboard,
+      patch,
+      minElo,
+      maxElo,
+      matrixSize = 15,
+      patches = 6,
+    } = req.query;
     
-    console.log(`📊 Getting insights data for leaderboard ${leaderboard}...`);
-
-    // Get civilization statistics with enhanced data for insights
-    const insights = await Player.aggregate([
-      { $match: { civ: { $exists: true, $ne: null } } },
-      { $sample: { size: 200000 } }, // Sample for performance
-      {
-        $group: {
-          _id: "$civ",
-          totalMatches: { $sum: 1 },
-          wins: { $sum: { $cond: [{ $eq: ["$winner", true] }, 1, 0] } },
-          avgRating: { $avg: "$old_rating" },
-          avgFeudalTime: { $avg: "$feudal_age_uptime" },
-          avgCastleTime: { $avg: "$castle_age_uptime" },
-          avgImperialTime: { $avg: "$imperial_age_uptime" },
-          ratingDistribution: {
-            $push: {
-              $cond: [
-                { $ne: ["$old_rating", null] },
-                "$old_rating",
-                "$$REMOVE"
-              ]
+    const minMatches = winRateStats.minGames(req.query.minMatches);
+    console.log(`📊 Getting insights data for leaderboard ${leaderboard || "all"}...`);
+
+    // Civilization statistics: exact from the weekly rollup, sampled otherwise
+    const fromRollup = await weeklyRollup.isAvailable();
+    // Same rounding as the sampled path below; age-ups are stored in seconds
+    const rollupAverage = (civ, field, places = 0) => {
+      const average = weeklyRollup.average(civ, field);
+      return average === null ? null : Math.round(average * 10 ** places) / 10 ** places;
+    };
+    let insights;
+    if (fromRollup) {
+      const totals = await weeklyRollup.civTotals();
+      insights = totals
+        .filter((civ) => civ.games >= minMatches)
+        .map((civ) => ({
+          _id: civ._id,
+          name: civ._id,
+          totalMatches: civ.games,
+          wins: civ.wins,
+          avgRating: rollupAverage(civ, "rating"),
+          avgFeudalTime: rollupAverage(civ, "feudal", 1),
+          avgCastleTime: rollupAverage(civ, "castle", 1),
+          avgImperialTime: rollupAverage(civ, "imperial", 1),
+        }));
+    } else {
+      insights = await Player.aggregate([
+        { $match: { civ: { $exists: true, $ne: null } } },
+        { $sample: { size: 200000 } }, // Sample for performance
+        {
+          $group: {
+            _id: "$civ",
+            totalMatches: { $sum: 1 },
+            wins: { $sum: { $cond: [{ $eq: ["$winner", true] }, 1, 0] } },
+            avgRating: { $avg: "$old_rating" },
+            avgFeudalTime: { $avg: "$feudal_age_uptime" },
+            avgCastleTime: { $avg: "$castle_age_uptime" },
+            avgImperialTime: { $avg: "$imperial_age_uptime" },
+            ratingDistribution: {
+              $push: {
+                $cond: [
+                  { $ne: ["$old_rating", null] },
+                  "$old_rating",
+                  "$$REMOVE"
+                ]
+              }
             }
           }
-        }
-      },
-      { $match: { totalMatches: { $gte: parseInt(minMatches) } } },
-      {
-        $project: {
-          name: "$_id",
-          totalMatches: 1,
-          winRate: { $divide: ["$wins", "$totalMatches"] },
-          avgRating: { $round: ["$avgRating", 0] },
-          avgFeudalTime: { $round: [{ $divide: ["$avgFeudalTime", 1000] }, 1] },
-          avgCastleTime: { $round: [{ $divide: ["$avgCastleTime", 1000] }, 1] },
-          avgImperialTime: { $round: [{ $divide: ["$avgImperialTime", 1000] }, 1] },
-          // Calculate confidence interval (simplified)
-          confidenceInterval: {
-            $divide: [
-              { $sqrt: { $divide: [{ $multiply: ["$wins", { $subtract: ["$totalMatches", "$wins"] }] }, "$totalMatches"] } },
-              { $sqrt: "$totalMatches" }
-            ]
+        },
+        { $match: { totalMatches: { $gte: minMatches } } },
+        {
+          $project: {
+            name: "$_id",
+            totalMatches: 1,
+            wins: 1,
+            avgRating: { $round: ["$avgRating", 0] },
+            avgFeudalTime: { $round: ["$avgFeudalTime", 1] },
+            avgCastleTime: { $round: ["$avgCastleTime", 1] },
+            avgImperialTime: { $round: ["$avgImperialTime", 1] },
           }
-        }
-      },
-      { $sort: { totalMatches: -1 } }
-    ]).maxTimeMS(30000);
+        },
+        { $sort: { totalMatches: -1 } }
+      ]).maxTimeMS(30000);
+    }
 
     // Calculate total matches and play rates
     const totalMatches = insights.reduce((sum, civ) => sum + civ.totalMatches, 0);
     
-    const enhancedInsights = insights.map(civ => ({
-      ...civ,
-      playRate: totalMatches > 0 ? civ.totalMatches / totalMatches : 0,
-      classification: classifyCivilization(civ.winRate, civ.totalMatches / totalMatches),
-      // Mock historical data for patch trails (you can enhance this with real data)
-      historical: generateHistoricalData(civ.name, civ.winRate, civ.totalMatches / totalMatches)
-    }));
+    // Patch trails come from civ_patch_history (scripts/precompute-patch-history.js)
+    const historyByCiv = await loadPatchHistory(
+      insights.map(civ => civ.name),
+      parseInt(patches) || 6
+    );
+
+    const enhancedInsights = insights.map(civ => {
+      const summary = winRateStats.summarize(civ.wins, civ.totalMatches);
+      return {
+        ...civ,
+        ...summary,
+        playRate: totalMatches > 0 ? civ.totalMatches / totalMatches : 0,
+        classification: classifyCivilization(summary, civ.totalMatches / totalMatches),
+        historical: historyByCiv[civ.name] || []
+      };
+    });
 
-    // Generate matchup matrix (simplified for now)
-    const topCivs = enhancedInsights.slice(0, 10);
-    const matchupMatrix = generateMatchupMatrix(topCivs);
+    // Real 1v1 matchup matrix for the civs most played under the matrix filters
+    const matchupMatrix = await buildMatchupMatrix(
+      { leaderboard, patch, minElo, maxElo },
+      Math.min(parseInt(matrixSize) || 15, 50)
+    );
 
     console.log(`✅ Generated insights for ${enhancedInsights.length} civilizations`);
 
@@ -3037,9 +3174,11 @@ router.get("/insights", cache(3600), async (req, res) => {
       meta: {
         totalMatches,
         totalCivilizations: enhancedInsights.length,
-        leaderboard: parseInt(leaderboard),
+        leaderboard: leaderboard || 'all',
         patch: patch || 'latest',
-        minMatches: parseInt(minMatches),
+        minMatches,
+        ageUpUnit: "seconds",
+        source: fromRollup ? weeklyRollup.collectionName : "sample",
         lastUpdated: new Date().toISOString()
       },
       civilizations: enhancedInsights,
@@ -3061,45 +3200,178 @@ router.get("/insights", cache(3600), async (req, res) => {
     });
   }
 });
-function classifyCivilization(winRate, playRate) {
-  if (winRate >= 0.52) return 'high_winrate';
-  if (winRate <= 0.48) return 'low_winrate';
+// High/low win rate only when the gap from 50% is both large and significant
+function classifyCivilization({ winRate, significant }, playRate) {
+  if (significant && winRate >= 0.52) return 'high_winrate';
+  if (significant && winRate <= 0.48) return 'low_winrate';
   if (playRate >= 0.08) return 'popular';
   return 'balanced';
 }
 
-// Helper function to generate mock historical data
-function generateHistoricalData(civName, currentWinRate, currentPlayRate) {
-  const patches = ['146', '147', '148', '149'];
-  const baseWinRate = currentWinRate;
-  const basePlayRate = currentPlayRate;
-  
-  return patches.map((patch, index) => ({
-    patch,
-    winRate: Math.max(0.3, Math.min(0.7, baseWinRate + (Math.random() - 0.5) * 0.08)),
-    playRate: Math.max(0.001, basePlayRate + (Math.random() - 0.5) * 0.04),
-    totalMatches: Math.floor(Math.random() * 50000) + 10000
-  }));
+// Read precomputed per-patch history for the given civs, oldest patch first
+async function loadPatchHistory(civNames, patchCount) {
+  const collection = mongoose.connection.db.collection("civ_patch_history");
+
+  const latestPatches = (await collection.distinct("patch"))
+    .sort((a, b) => b - a)
+    .slice(0, patchCount);
+
+  if (latestPatches.length === 0) {
+    console.log("⚠️ civ_patch_history is empty - run scripts/precompute-patch-history.js");
+    return {};
+  }
+
+  const rows = await collection
+    .find({ civ: { $in: civNames }, patch: { $in: latestPatches } })
+    .sort({ patch: 1 })
+    .toArray();
+
+  // Rows are oldest first, so each point is compared with the one before it
+  return rows.reduce((acc, row) => {
+    if (!acc[row.civ]) acc[row.civ] = [];
+    const previous = acc[row.civ][acc[row.civ].length - 1];
+    acc[row.civ].push({
+      patch: row.patch.toString(),
+      ...winRateStats.summarize(row.wins, row.games, {
+        previous: previous && { wins: previous.wins, games: previous.totalMatches },
+      }),
+      wins: row.wins,
+      playRate: row.playRate,
+      totalMatches: row.games,
+    });
+    return acc;
+  }, {});
 }
 
-// Helper function to generate matchup matrix
-function generateMatchupMatrix(civilizations) {
+// Most recent 1v1 games read when the matrix can't come from the weekly rollup
+const LIVE_MATRIX_MAX_MATCHES = 50000;
+
+// Build a real civ-vs-civ matrix from 1v1 games. Each game is read from both
+// sides, so matrix[a][b] is a's record against b and matrix[b][a] the inverse.
+// The civs are the matrixSize most played in the filtered games themselves.
+async function buildMatchupMatrix(filters = {}, matrixSize = 15) {
+  const { leaderboard, patch, minElo, maxElo } = filters;
+
+  const matchFilter = { num_players: 2 };
+  if (leaderboard) matchFilter.leaderboard = leaderboard;
+  if (patch) matchFilter.patch = parseInt(patch);
+  if (minElo || maxElo) {
+    matchFilter.avg_elo = {};
+    if (minElo) matchFilter.avg_elo.$gte = parseInt(minElo);
+    if (maxElo) matchFilter.avg_elo.$lt = parseInt(maxElo);
+  }
+
+  // The rollup already holds 1v1 records from both sides; fall back to a live join
+  // when it is empty or the Elo bounds don't line up with its buckets. The live join
+  // only reads the most recent LIVE_MATRIX_MAX_MATCHES games.
+  const rollupFilter = weeklyRollup.toFilter({ leaderboard, patch, minElo, maxElo });
+  const fromRollup = Boolean(rollupFilter) && (await weeklyRollup.isAvailable());
+
+  const pairs = fromRollup ? await weeklyRollup.matchups(rollupFilter) : await Match.aggregate([
+    { $match: matchFilter },
+    { $sort: { started_timestamp: -1 } },
+    { $limit: LIVE_MATRIX_MAX_MATCHES },
+    { $project: { _id: 0, game_id: 1 } },
+    {
+      $lookup: {
+        from: "players",
+        localField: "game_id",
+        foreignField: "game_id",
+        pipeline: [{ $project: { _id: 0, civ: 1, team: 1, winner: 1 } }],
+        as: "players",
+      },
+    },
+    // Exactly two players on opposite teams with one winner
+    { $match: { "players.1": { $exists: true }, "players.2": { $exists: false } } },
+    {
+      $project: {
+        a: { $arrayElemAt: ["$players", 0] },
+        b: { $arrayElemAt: ["$players", 1] },
+      },
+    },
+    {
+      $match: {
+        $expr: {
+          $and: [
+            { $ne: ["$a.team", "$b.team"] },
+            { $ne: ["$a.winner", "$b.winner"] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { civ: "$a.civ", opponent: "$b.civ" },
+        games: { $sum: 1 },
+        wins: { $sum: { $cond: ["$a.winner", 1, 0] } },
+      },
+    },
+  ]).option({ maxTimeMS: 30000, allowDiskUse: true });
+
+  // Games per civ in the filtered pairs (rollup rows already hold each side)
+  const civGames = {};
+  pairs.forEach(({ _id, games }) => {
+    civGames[_id.civ] = (civGames[_id.civ] || 0) + games;
+    if (!fromRollup) civGames[_id.opponent] = (civGames[_id.opponent] || 0) + games;
+  });
+  const civNames = Object.keys(civGames)
+    .filter(Boolean)
+    .sort((a, b) => civGames[b] - civGames[a])
+    .slice(0, matrixSize);
+
+  const civSet = new Set(civNames);
+  const tally = {};
+  const add = (civ, opponent, games, wins) => {
+    if (!civSet.has(civ) || !civSet.has(opponent)) return;
+    tally[civ] = tally[civ] || {};
+    const cell = (tally[civ][opponent] = tally[civ][opponent] || { games: 0, wins: 0 });
+    cell.games += games;
+    cell.wins += wins;
+  };
+
+  let totalGames = 0;
+  pairs.forEach(({ _id, games, wins }) => {
+    add(_id.civ, _id.opponent, games, wins);
+    if (fromRollup) return;
+    add(_id.opponent, _id.civ, games, games - wins);
+    if (civSet.has(_id.civ) && civSet.has(_id.opponent)) totalGames += games;
+  });
+  // Rollup rows count each game once per side
+  if (fromRollup) {
+    totalGames = pairs
+      .filter(({ _id }) => civSet.has(_id.civ) && civSet.has(_id.opponent))
+      .reduce((sum, { games }) => sum + games, 0) / 2;
+  }
+
   const matrix = {};
-  
-  civilizations.forEach(civA => {
-    matrix[civA.name] = {};
-    civilizations.forEach(civB => {
-      if (civA.name === civB.name) {
-        matrix[civA.name][civB.name] = 0.5; // Mirror match
-      } else {
-        // Generate mock matchup data based on civ characteristics
-        const baseBias = (civA.winRate - civB.winRate) * 0.3;
-        const randomFactor = (Math.random() - 0.5) * 0.2;
-        matrix[civA.name][civB.name] = Math.max(0.3, Math.min(0.7, 0.5 + baseBias + randomFactor));
-      }
+  civNames.forEach((civA) => {
+    matrix[civA] = {};
+    civNames.forEach((civB) => {
+      const cell = tally[civA]?.[civB];
+      matrix[civA][civB] = cell
+        ? {
+            games: cell.games,
+            wins: cell.wins,
+            ...winRateStats.summarize(cell.wins, cell.games),
+          }
+        : null;
     });
   });
-  
-  return matrix;
+
+  return {
+    civilizations: civNames,
+    matrix,
+    totalGames,
+    source: fromRollup ? weeklyRollup.collectionName : "live",
+    // The live join reads at most this many of the most recent games
+    liveMatchLimit: fromRollup ? null : LIVE_MATRIX_MAX_MATCHES,
+    filters: {
+      leaderboard: leaderboard || "all",
+      patch: patch ? parseInt(patch) : "all",
+      minElo: minElo ? parseInt(minElo) : null,
+      maxElo: maxElo ? parseInt(maxElo) : null,
+    },
+  };
 }
-module.exports = router;
\ No newline at end of file
+
+module.exports = router;
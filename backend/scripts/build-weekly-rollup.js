@@ -0,0 +1,53 @@
+// scripts/build-weekly-rollup.js - Rebuild civ_weekly_rollup from matches + players
+require('dotenv').config();
+const mongoose = require('mongoose');
+const weeklyRollup = require('../services/weeklyRollup');
+const { invalidateTags } = require('../middleware/cache');
+
+// ─── Rebuild one week, the missing weeks, or every week in the matches collection ──
+async function buildWeeklyRollup({ week = null, missingOnly = false } = {}) {
+  console.log(`🔄 Building weekly rollup for ${week || (missingOnly ? 'missing weeks' : 'all weeks')}...`);
+
+  let results;
+  if (week) {
+    results = [await weeklyRollup.buildWeek(week)];
+  } else if (missingOnly) {
+    results = await weeklyRollup.ensureCoverage();
+  } else {
+    results = await weeklyRollup.rebuildAll();
+  }
+
+  const documents = results.reduce((sum, result) => sum + result.documents, 0);
+  console.log(`✅ Rolled up ${results.length} weeks into ${documents.toLocaleString()} rows`);
+
+  await invalidateTags(['rollup']);
+
+  return { weeks: results.length, documents };
+}
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  const weekIndex = process.argv.indexOf('--week');
+  const week = weekIndex !== -1 ? process.argv[weekIndex + 1] : null;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await buildWeeklyRollup({ week, missingOnly: process.argv.includes('--missing') });
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildWeeklyRollup
+};
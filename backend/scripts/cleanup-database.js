@@ -82,7 +82,8 @@ const cleanupDatabase = async () => {
       console.log(`📦 Archive candidates:`);
       console.log(`   - ${oldMatches.toLocaleString()} matches older than 6 months`);
       console.log(`   - ${oldPlayerCount.toLocaleString()} player records from old matches`);
-      console.log(`💾 This could free up significant space\n`);
+      console.log(`💾 This could free up significant space`);
+      console.log(`💡 Preview a retention policy: npm run prune -- --keep-weeks 26 --dry-run\n`);
     }
     
     // ═══════════════════════════════════════════════════════════
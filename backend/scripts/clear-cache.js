@@ -2,6 +2,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Match = require('../models/Match');
 const Player = require('../models/Player');
+const { invalidateTags } = require('../middleware/cache');
 
 const clearAllCaches = async () => {
   try {
@@ -124,6 +125,8 @@ Usage:
   npm run clear-cache           - Clear all caches and rebuild basic stats
   npm run clear-cache --force   - Force clear everything including temp data
   npm run clear-cache --stats   - Just show current stats without clearing
+  npm run clear-cache --tags civ:britons,patch:149
+                                - Only drop cached API responses with these tags
   npm run clear-cache --help    - Show this help
 `);
 };
@@ -165,6 +168,17 @@ const showStatsOnly = async () => {
   }
 };
 
+const clearTags = async (tags) => {
+  try {
+    const removed = await invalidateTags(tags);
+    console.log(`✅ Removed ${removed} cached responses tagged ${tags.join(', ')}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Tag invalidation failed:', error);
+    process.exit(1);
+  }
+};
+
 // Handle commands
 switch (command) {
   case '--help':
@@ -174,6 +188,13 @@ switch (command) {
   case '--stats':
     showStatsOnly();
     break;
+  case '--tags':
+    if (!process.argv[3]) {
+      showUsage();
+      process.exit(1);
+    }
+    clearTags(process.argv[3].split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean));
+    break;
   case '--force':
   case undefined:
     clearAllCaches();
@@ -52,6 +52,12 @@ async function createIndexes() {
       'compound_civ_idx'
     );
     
+    // Denormalized match fields on players (scripts/denormalize-match-fields.js)
+    await createIndexSafe('players', { patch: 1, civ: 1 }, 'patch_civ_idx');
+    await createIndexSafe('players', { leaderboard: 1, patch: 1, civ: 1 }, 'leaderboard_patch_civ_idx');
+    await createIndexSafe('players', { map: 1, civ: 1 }, 'map_civ_idx');
+    await createIndexSafe('players', { profile_id: 1, started_timestamp: -1 }, 'profile_time_idx');
+    
     // List all indexes
     console.log('\n📋 Verifying all indexes...\n');
     
@@ -0,0 +1,82 @@
+// scripts/denormalize-match-fields.js - Backfill match fields (patch, leaderboard, map, ...) onto players
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Player = require('../models/Player');
+const dataFetcher = require('../services/dataFetcher');
+require('dotenv').config();
+
+const BATCH_SIZE = 1000;
+
+// ─── Copy match fields onto every player of each match ──────────
+// Only touches players missing any of the fields unless { force: true }.
+async function denormalizeMatchFields({ week = null, force = false } = {}) {
+  const fields = dataFetcher.denormalizedMatchFields;
+  const missingAny = { $or: fields.map(field => ({ [field]: { $exists: false } })) };
+  console.log(`🔄 Copying ${fields.join(', ')} onto players${week ? ` for ${week}` : ''}...`);
+
+  const projection = { _id: 0, game_id: 1, ...Object.fromEntries(fields.map(field => [field, 1])) };
+  const cursor = Match.find(week ? { week_range: week } : {}, projection).lean().cursor();
+
+  let operations = [];
+  let matchesProcessed = 0;
+  let playersUpdated = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Player.bulkWrite(operations, { ordered: false });
+    playersUpdated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const { game_id, ...values } of cursor) {
+    operations.push({
+      updateMany: {
+        filter: {
+          game_id,
+          ...(!force && missingAny)
+        },
+        update: { $set: values }
+      }
+    });
+    matchesProcessed++;
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+      console.log(`   💾 ${matchesProcessed.toLocaleString()} matches, ${playersUpdated.toLocaleString()} players updated`);
+    }
+  }
+  await flush();
+
+  await Player.createIndexes();
+
+  console.log(`✅ Updated ${playersUpdated.toLocaleString()} players from ${matchesProcessed.toLocaleString()} matches`);
+  return { matchesProcessed, playersUpdated };
+}
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  const weekIndex = process.argv.indexOf('--week');
+  const week = weekIndex !== -1 ? process.argv[weekIndex + 1] : null;
+  const force = process.argv.includes('--force');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await denormalizeMatchFields({ week, force });
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  denormalizeMatchFields
+};
@@ -4,6 +4,7 @@ const connectDB = require('../config/database');
 const dataFetcher = require('../services/dataFetcher');
 const Match = require('../models/Match');
 const Player = require('../models/Player');
+const SyncRun = require('../models/SyncRun');
 
 const showUsage = () => {
   console.log(`
@@ -14,12 +15,20 @@ Usage:
   npm run incremental-seed <date_range>       - Add specific week (e.g., 2024-01-01_2024-01-07)
   npm run incremental-seed --recent <count>   - Add recent N weeks (e.g., --recent 5)
   npm run incremental-seed --list             - List available dumps and their status
+  npm run incremental-seed --local <dir>      - Import weekly dumps from a local directory (no network)
+  npm run incremental-seed --matches <file> --players <file> --week <date_range>
+                                              - Import one week from local parquet files
   npm run incremental-seed --help             - Show this help message
 
+Local directory layout (one folder per week):
+  <dir>/2024-12-23_2024-12-29/matches.parquet
+  <dir>/2024-12-23_2024-12-29/players.parquet
+
 Examples:
   npm run incremental-seed --recent 5         # Add 5 most recent weeks
   npm run incremental-seed 2024-12-23_2024-12-29  # Add Christmas week 2024
   npm run incremental-seed --list             # See what's available vs what you have
+  npm run incremental-seed --local ./dumps    # Load every week found under ./dumps
 `);
 };
 
@@ -43,16 +52,40 @@ const runIncrementalSeed = async () => {
     // Check current data
     const existingMatchCount = await Match.countDocuments();
     const existingPlayerCount = await Player.countDocuments();
-    const existingWeeks = await Match.distinct('week_range');
+    // Only verified weeks count as loaded; partial ones resume in syncWeeklyData
+    const existingWeeks = await dataFetcher.getVerifiedWeeks();
     
     console.log(`📊 Current Database Status:`);
     console.log(`   • Matches: ${existingMatchCount.toLocaleString()}`);
     console.log(`   • Players: ${existingPlayerCount.toLocaleString()}`);
-    console.log(`   • Weeks: ${existingWeeks.length} (${existingWeeks.slice(0, 3).join(', ')}...)`);
+    console.log(`   • Verified weeks: ${existingWeeks.length} (${existingWeeks.slice(0, 3).join(', ')}...)`);
     console.log('');
     
     // Determine what to seed
-    if (args.includes('--recent')) {
+    if (args.includes('--local')) {
+      const dirPath = args[args.indexOf('--local') + 1];
+      if (!dirPath) {
+        console.error('❌ Missing directory. Use: --local <dir>');
+        process.exit(1);
+      }
+      await seedLocalWeeks(dataFetcher.getLocalDumps(dirPath), existingWeeks);
+    } else if (args.includes('--matches') || args.includes('--players')) {
+      const matchesPath = args[args.indexOf('--matches') + 1];
+      const playersPath = args[args.indexOf('--players') + 1];
+      const dateRange = args.includes('--week') ? args[args.indexOf('--week') + 1] : null;
+      if (!args.includes('--matches') || !args.includes('--players') || !matchesPath || !playersPath) {
+        console.error('❌ Both --matches <file> and --players <file> are required');
+        process.exit(1);
+      }
+      if (!dateRange || !/^\d{4}-\d{2}-\d{2}_\d{4}-\d{2}-\d{2}$/.test(dateRange)) {
+        console.error('❌ Missing or invalid --week. Use: --week YYYY-MM-DD_YYYY-MM-DD');
+        process.exit(1);
+      }
+      await seedLocalWeeks(
+        [dataFetcher.createLocalDump(matchesPath, playersPath, dateRange)],
+        existingWeeks
+      );
+    } else if (args.includes('--recent')) {
       const countIndex = args.indexOf('--recent') + 1;
       const count = parseInt(args[countIndex]) || 3;
       await seedRecentWeeks(count, existingWeeks);
@@ -91,7 +124,7 @@ const seedRecentWeeks = async (count, existingWeeks) => {
   
   // Get all available dumps
   const dumps = await dataFetcher.getAvailableDumps();
-  console.log(`📥 Found ${dumps.length} dumps available on aoestats.io`);
+  console.log(`📥 Found ${dumps.length} dumps available on ${dataFetcher.baseUrl}`);
   
   // Sort by date (newest first) and filter out existing ones
   const sortedDumps = dumps.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
@@ -112,9 +145,44 @@ const seedRecentWeeks = async (count, existingWeeks) => {
   });
   console.log('');
   
-  // Process the requested number of weeks
+  await processWeeks(newDumps.slice(0, count));
+};
+
+// Import weeks from local parquet files - same pipeline as remote dumps
+const seedLocalWeeks = async (dumps, existingWeeks) => {
+  if (dumps.length === 0) {
+    console.log('⚠️  No local weeks found (expected <YYYY-MM-DD_YYYY-MM-DD>/matches.parquet and players.parquet)');
+    return;
+  }
+  
+  console.log(`📂 Found ${dumps.length} local weeks`);
+  
+  // Initialize data fetcher
+  await dataFetcher.initialize();
+  
+  const newDumps = dumps
+    .sort((a, b) => new Date(b.start_date) - new Date(a.start_date))
+    .filter(dump => {
+      const weekRange = `${dump.start_date}_${dump.end_date}`;
+      if (existingWeeks.includes(weekRange)) {
+        console.log(`   ⏭️  ${weekRange} already verified, skipping`);
+        return false;
+      }
+      return true;
+    });
+  
+  if (newDumps.length === 0) {
+    console.log('✅ All local weeks are already in the database');
+    return;
+  }
+  
+  await processWeeks(newDumps);
+};
+
+const processWeeks = async (weeksToProcess) => {
+  const startMatchCount = await Match.countDocuments();
+  const startPlayerCount = await Player.countDocuments();
   let successCount = 0;
-  const weeksToProcess = newDumps.slice(0, count);
   
   for (let i = 0; i < weeksToProcess.length; i++) {
     const dump = weeksToProcess[i];
@@ -128,10 +196,13 @@ const seedRecentWeeks = async (count, existingWeeks) => {
       if (result.success && !result.skipped) {
         successCount++;
         console.log(`✅ Week ${weekRange} added successfully`);
-        console.log(`   📊 Matches: +${result.matches?.count || 0}`);
-        console.log(`   👥 Players: +${result.players?.count || 0}`);
+        console.log(`   📊 Matches: +${result.matchCount || 0}`);
+        console.log(`   👥 Players: +${result.playerCount || 0}`);
       } else {
-        console.log(`⚠️  Week ${weekRange} skipped: ${result.error || 'Already exists'}`);
+        console.log(`⚠️  Week ${weekRange} skipped: ${result.error || 'Already verified'}`);
+        if (result.stage) {
+          console.log(`   💡 Completed up to ${result.stage} - rerun to resume from there`);
+        }
       }
     } catch (error) {
       console.log(`❌ Week ${weekRange} failed: ${error.message}`);
@@ -148,12 +219,12 @@ const seedRecentWeeks = async (count, existingWeeks) => {
   // Show updated stats
   const newMatchCount = await Match.countDocuments();
   const newPlayerCount = await Player.countDocuments();
-  console.log(`   📈 Database growth: +${(newMatchCount - existingMatchCount).toLocaleString()} matches, +${(newPlayerCount - existingPlayerCount).toLocaleString()} players`);
+  console.log(`   📈 Database growth: +${(newMatchCount - startMatchCount).toLocaleString()} matches, +${(newPlayerCount - startPlayerCount).toLocaleString()} players`);
 };
 
 const seedSpecificWeek = async (dateRange, existingWeeks) => {
   if (existingWeeks.includes(dateRange)) {
-    console.log(`⚠️  Week ${dateRange} already exists in database`);
+    console.log(`⚠️  Week ${dateRange} is already verified in sync_runs`);
     console.log('🔄 Use --force flag to re-seed this week (not implemented yet)');
     return;
   }
@@ -178,8 +249,8 @@ const seedSpecificWeek = async (dateRange, existingWeeks) => {
   }
   
   console.log(`✅ Successfully added ${dateRange}`);
-  console.log(`   📊 Matches: +${result.matches?.count || 0}`);
-  console.log(`   👥 Players: +${result.players?.count || 0}`);
+  console.log(`   📊 Matches: +${result.matchCount || 0}`);
+  console.log(`   👥 Players: +${result.playerCount || 0}`);
 };
 
 const listAvailableVsExisting = async () => {
@@ -188,29 +259,35 @@ const listAvailableVsExisting = async () => {
   // Initialize data fetcher
   await dataFetcher.initialize();
   
-  const [dumps, existingWeeks] = await Promise.all([
+  const [dumps, runs] = await Promise.all([
     dataFetcher.getAvailableDumps(),
-    Match.distinct('week_range')
+    SyncRun.find({}, { week_range: 1, status: 1, lastCompletedStage: 1, matches: 1 }).lean()
   ]);
+  const runsByWeek = new Map(runs.map(run => [run.week_range, run]));
+  const existingWeeks = runs.filter(run => run.status === 'verified').map(run => run.week_range);
   
   const sortedDumps = dumps.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
   
-  console.log(`📥 Total available on aoestats.io: ${dumps.length} weeks`);
-  console.log(`💾 Already in your database: ${existingWeeks.length} weeks\n`);
+  console.log(`📥 Total available on ${dataFetcher.baseUrl}: ${dumps.length} weeks`);
+  console.log(`💾 Verified in your database: ${existingWeeks.length} weeks\n`);
   
-  console.log('Status Legend: ✅ In DB | ⭐ New Available | ❌ Missing/Old\n');
+  console.log('Status Legend: ✅ In DB | ⚠️  Partial (resumable) | 🗄️  Pruned | ⭐ New Available\n');
   console.log('Most Recent 15 Weeks:');
   console.log('─'.repeat(50));
   
   for (const dump of sortedDumps.slice(0, 15)) {
     const weekRange = `${dump.start_date}_${dump.end_date}`;
-    const status = existingWeeks.includes(weekRange) ? '✅ In DB' : '⭐ New';
-    const matchCount = existingWeeks.includes(weekRange) 
-      ? await Match.countDocuments({ week_range: weekRange })
-      : 0;
+    const run = runsByWeek.get(weekRange);
     
-    const matchInfo = status === '✅ In DB' ? `(${matchCount.toLocaleString()} matches)` : '';
-    console.log(`  ${weekRange} ${status} ${matchInfo}`);
+    if (run?.status === 'verified') {
+      console.log(`  ${weekRange} ✅ In DB (${(run.matches?.stored || 0).toLocaleString()} matches)`);
+    } else if (run?.status === 'pruned') {
+      console.log(`  ${weekRange} 🗄️  Pruned (retention policy)`);
+    } else if (run) {
+      console.log(`  ${weekRange} ⚠️  Partial (${run.status}, after ${run.lastCompletedStage})`);
+    } else {
+      console.log(`  ${weekRange} ⭐ New`);
+    }
   }
   
   const newAvailable = sortedDumps.filter(dump => {
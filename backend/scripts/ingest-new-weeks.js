@@ -0,0 +1,27 @@
+// scripts/ingest-new-weeks.js - Run the scheduled dump ingestion once from the command line
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ingestionJob = require('../services/ingestionJob');
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const result = await ingestionJob.run();
+    if (result.failed?.length) {
+      result.failed.forEach(({ weekRange, error }) => console.log(`   ❌ ${weekRange}: ${error}`));
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
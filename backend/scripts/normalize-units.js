@@ -0,0 +1,108 @@
+// scripts/normalize-units.js - Convert stored durations and age-ups to the import units
+//
+// Rows imported before schema validation kept whatever unit their dump used. Each week is
+// sampled, its unit detected the same way the importer does (services/schemaValidator.js)
+// and rescaled to nanoseconds (Match.duration) or seconds (player age-ups). Weeks already
+// in those units are left alone, so the script can be rerun safely. Converted weeks are
+// rolled up again, since the rollup sums were built from the old values.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Player = require('../models/Player');
+const schemaValidator = require('../services/schemaValidator');
+const ingestionJob = require('../services/ingestionJob');
+const weeklyRollup = require('../services/weeklyRollup');
+
+const SAMPLE_SIZE = 1001;
+
+const FIELDS = [
+  { Model: Match, label: 'matches', field: 'duration', kind: 'duration' },
+  { Model: Player, label: 'players', field: 'feudal_age_uptime', kind: 'ageUp' },
+  { Model: Player, label: 'players', field: 'castle_age_uptime', kind: 'ageUp' },
+  { Model: Player, label: 'players', field: 'imperial_age_uptime', kind: 'ageUp' }
+];
+
+// ─── Detect the unit of one field in one week ───────────────────
+async function detectWeekUnit({ Model, field, kind }, week) {
+  const sample = await Model.aggregate([
+    { $match: { week_range: week, [field]: { $gt: 0 } } },
+    { $sample: { size: SAMPLE_SIZE } },
+    { $project: { _id: 0, value: `$${field}` } }
+  ]).option({ maxTimeMS: 60000 });
+
+  return schemaValidator.detectUnit(kind, sample.map(row => row.value));
+}
+
+// ─── Rescale every week whose unit differs from the stored one ──
+async function normalizeUnits({ week = null, dryRun = false } = {}) {
+  const weeks = week ? [week] : (await Match.distinct('week_range')).filter(Boolean).sort();
+  console.log(`🔍 Checking units for ${weeks.length} weeks${dryRun ? ' (dry run)' : ''}...`);
+
+  const changedWeeks = new Set();
+  let rowsUpdated = 0;
+
+  for (const weekRange of weeks) {
+    for (const spec of FIELDS) {
+      const detected = await detectWeekUnit(spec, weekRange);
+      if (!detected || detected.factor === 1) continue;
+
+      console.log(`   - ${weekRange} ${spec.label}.${spec.field}: ${detected.unit} (x${detected.factor})`);
+      changedWeeks.add(weekRange);
+      if (dryRun) continue;
+
+      const result = await spec.Model.updateMany(
+        { week_range: weekRange, [spec.field]: { $gt: 0 } },
+        [{ $set: { [spec.field]: { $round: [{ $multiply: [`$${spec.field}`, detected.factor] }, 0] } } }]
+      );
+      rowsUpdated += result.modifiedCount;
+    }
+  }
+
+  if (changedWeeks.size === 0) {
+    console.log('✅ All weeks already use the stored units');
+    return { weeks: [], rowsUpdated: 0 };
+  }
+  if (dryRun) {
+    console.log(`💡 Dry run - ${changedWeeks.size} weeks would be converted`);
+    return { weeks: [...changedWeeks], rowsUpdated: 0, dryRun: true };
+  }
+
+  // Averages in the rollup and the precomputed collections were built from the old values
+  for (const weekRange of changedWeeks) {
+    await weeklyRollup.buildWeek(weekRange);
+  }
+  await ingestionJob.refreshPrecomputedStats();
+  await ingestionJob.invalidateCachedResponses(
+    await Match.distinct('patch', { week_range: { $in: [...changedWeeks] } })
+  );
+
+  console.log(`✅ Converted ${rowsUpdated.toLocaleString()} values in ${changedWeeks.size} weeks`);
+  return { weeks: [...changedWeeks], rowsUpdated };
+}
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  const weekIndex = process.argv.indexOf('--week');
+  const week = weekIndex !== -1 ? process.argv[weekIndex + 1] : null;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await normalizeUnits({ week, dryRun: process.argv.includes('--dry-run') });
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  normalizeUnits
+};
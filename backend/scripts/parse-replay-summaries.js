@@ -0,0 +1,84 @@
+// scripts/parse-replay-summaries.js - Backfill Player.replay_summary from replay_summary_raw
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const replaySummaryParser = require('../services/replaySummaryParser');
+const { invalidateTags } = require('../middleware/cache');
+
+const BATCH_SIZE = 1000;
+
+// ─── Parse every player that has a raw summary but no parsed one ──
+// Pass { reparse: true } to overwrite summaries parsed by an older parser.
+async function parseReplaySummaries({ reparse = false } = {}) {
+  console.log('🔄 Parsing replay summaries...');
+
+  const filter = {
+    replay_summary_raw: { $exists: true, $nin: [null, ''] },
+    ...(!reparse && { 'replay_summary.status': { $exists: false } })
+  };
+
+  const cursor = Player.find(filter, { replay_summary_raw: 1 }).lean().cursor();
+  const statusCounts = {};
+  let operations = [];
+  let processed = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Player.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const player of cursor) {
+    const replaySummary = replaySummaryParser.parse(player.replay_summary_raw);
+    statusCounts[replaySummary.status] = (statusCounts[replaySummary.status] || 0) + 1;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: player._id },
+        update: { $set: { replay_summary: replaySummary } }
+      }
+    });
+    processed++;
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+      console.log(`   💾 Parsed ${processed.toLocaleString()} summaries`);
+    }
+  }
+  await flush();
+
+  console.log(`✅ Parsed ${processed.toLocaleString()} replay summaries`);
+  Object.entries(statusCounts).forEach(([status, count]) => {
+    console.log(`   - ${status}: ${count.toLocaleString()}`);
+  });
+
+  await invalidateTags(['replays']);
+
+  return { processed, statusCounts };
+}
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  const reparse = process.argv.includes('--reparse');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await parseReplaySummaries({ reparse });
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseReplaySummaries
+};
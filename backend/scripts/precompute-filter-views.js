@@ -28,31 +28,15 @@ async function precomputeFilterViews() {
         
         // Create filtered stats for this leaderboard
         const pipeline = [
-          // Step 1: Get all players
+          // Step 1: Players in this leaderboard (denormalized from the match)
           {
             $match: {
-              civ: { $exists: true, $ne: null, $ne: '' }
+              leaderboard: leaderboard,
+              civ: { $exists: true, $nin: [null, ''] }
             }
           },
           
-          // Step 2: Join with matches to filter by leaderboard
-          {
-            $lookup: {
-              from: 'matches',
-              localField: 'game_id',
-              foreignField: 'game_id',
-              as: 'match',
-              pipeline: [
-                { $match: { leaderboard: leaderboard } },
-                { $project: { _id: 1 } }
-              ]
-            }
-          },
-          
-          // Step 3: Only keep players who played in this leaderboard
-          { $match: { 'match.0': { $exists: true } } },
-          
-          // Step 4: Aggregate by civilization
+          // Step 2: Aggregate by civilization
           {
             $group: {
               _id: '$civ',
@@ -65,7 +49,7 @@ async function precomputeFilterViews() {
             }
           },
           
-          // Step 5: Add calculated fields
+          // Step 3: Add calculated fields
           {
             $addFields: {
               winRate: { $divide: ['$wins', '$totalPicks'] },
@@ -74,13 +58,13 @@ async function precomputeFilterViews() {
             }
           },
           
-          // Step 6: Filter minimum games
+          // Step 4: Filter minimum games
           { $match: { totalPicks: { $gte: 10 } } },
           
-          // Step 7: Sort by win rate
+          // Step 5: Sort by win rate
           { $sort: { winRate: -1 } },
           
-          // Step 8: Save to collection
+          // Step 6: Save to collection
           { $out: `civ_stats_${leaderboard}` }
         ];
         
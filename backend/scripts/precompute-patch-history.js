@@ -0,0 +1,111 @@
+// scripts/precompute-patch-history.js - Per-patch civ win/play rates for insights trails
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Player = require('../models/Player');
+const Match = require('../models/Match');
+const { invalidateTags } = require('../middleware/cache');
+
+const DEFAULT_PATCH_COUNT = 6;
+
+// ─── Compute history for a single patch ─────────────────────────────
+async function computePatchHistory(patch) {
+  const civPerformance = await Player.aggregate([
+    { $match: { patch, civ: { $exists: true, $ne: null } } },
+    {
+      $group: {
+        _id: '$civ',
+        games: { $sum: 1 },
+        wins: { $sum: { $cond: ['$winner', 1, 0] } }
+      }
+    }
+  ]).option({ maxTimeMS: 60000, allowDiskUse: true });
+
+  const totalGames = civPerformance.reduce((sum, civ) => sum + civ.games, 0);
+
+  return civPerformance.map(civ => ({
+    patch,
+    civ: civ._id,
+    games: civ.games,
+    wins: civ.wins,
+    winRate: civ.games > 0 ? civ.wins / civ.games : 0,
+    playRate: totalGames > 0 ? civ.games / totalGames : 0,
+    totalGames,
+    lastUpdated: new Date()
+  }));
+}
+
+// ─── Refresh the last N patches (uses the current connection) ──────
+async function updatePatchHistory(patchCount = DEFAULT_PATCH_COUNT) {
+  console.log(`🔄 Updating civ patch history for the last ${patchCount} patches...`);
+
+  const patches = await Match.aggregate([
+    { $match: { patch: { $type: 'number' } } },
+    { $group: { _id: '$patch' } },
+    { $sort: { _id: -1 } },
+    { $limit: patchCount }
+  ]);
+
+  const patchList = patches.map(p => p._id);
+  if (patchList.length === 0) {
+    console.log('⚠️  No patches found');
+    return 0;
+  }
+
+  const db = mongoose.connection.db;
+  const collection = db.collection('civ_patch_history');
+  let written = 0;
+
+  for (const patch of patchList) {
+    try {
+      const startTime = Date.now();
+      const docs = await computePatchHistory(patch);
+
+      await collection.deleteMany({ patch });
+      if (docs.length > 0) {
+        await collection.insertMany(docs);
+      }
+      written += docs.length;
+
+      console.log(`   ✅ Patch ${patch}: ${docs.length} civs in ${Date.now() - startTime}ms`);
+    } catch (patchError) {
+      console.error(`   ❌ Failed patch ${patch}:`, patchError.message);
+    }
+  }
+
+  // Drop patches that fell out of the window
+  await collection.deleteMany({ patch: { $nin: patchList } });
+
+  await collection.createIndex({ civ: 1, patch: 1 }, { background: true });
+  await collection.createIndex({ patch: 1 }, { background: true });
+
+  await invalidateTags(['rankings']);
+
+  console.log(`✅ Patch history updated: ${written} rows across ${patchList.length} patches`);
+  return written;
+}
+
+// ─── Command line interface ─────────────────────────────────────
+async function main() {
+  const patchCount = parseInt(process.argv[2]) || DEFAULT_PATCH_COUNT;
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await updatePatchHistory(patchCount);
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  updatePatchHistory
+};
@@ -0,0 +1,227 @@
+// scripts/prune-weeks.js - Retention policy: archive and delete all but the newest weeks or patches
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Player = require('../models/Player');
+const SyncRun = require('../models/SyncRun');
+const DataQualityReport = require('../models/DataQualityReport');
+const QuarantinedRow = require('../models/QuarantinedRow');
+const dataFetcher = require('../services/dataFetcher');
+const weeklyRollup = require('../services/weeklyRollup');
+const ingestionJob = require('../services/ingestionJob');
+const { updatePatchRankings } = require('./update-rankings');
+
+const ARCHIVE_FORMATS = ['ndjson', 'parquet'];
+
+// Fields added at import; left out of parquet archives so they match the original dumps
+const DERIVED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'week_range'];
+const DERIVED_PLAYER_FIELDS = ['civLower', 'replay_summary', ...dataFetcher.denormalizedMatchFields];
+
+// ─── Pick the weeks outside the retention window ────────────────
+async function selectWeeksToPrune({ keepWeeks, keepPatches }) {
+  const [matchWeeks, playerWeeks] = await Promise.all([
+    Match.distinct('week_range'),
+    Player.distinct('week_range')
+  ]);
+  const weeks = [...new Set([...matchWeeks, ...playerWeeks])].filter(Boolean).sort();
+
+  let keep;
+  if (keepWeeks) {
+    keep = weeks.slice(-keepWeeks);
+  } else {
+    const patches = (await Match.distinct('patch'))
+      .filter(patch => typeof patch === 'number')
+      .sort((a, b) => b - a)
+      .slice(0, keepPatches);
+    keep = await Match.distinct('week_range', { patch: { $in: patches } });
+  }
+
+  return weeks.filter(week => !keep.includes(week));
+}
+
+// ─── Archive one week as <dir>/<week>/{matches,players}.<format> ─
+// The parquet layout is what `incremental-seed --local <dir>` reads back.
+async function archiveWeek(week, archiveDir, format) {
+  const weekDir = path.join(archiveDir, week);
+  await fs.promises.mkdir(weekDir, { recursive: true });
+
+  const files = {};
+  for (const [label, Model, dropped] of [
+    ['matches', Match, DERIVED_FIELDS],
+    ['players', Player, [...DERIVED_FIELDS, ...DERIVED_PLAYER_FIELDS]]
+  ]) {
+    const filePath = path.join(weekDir, `${label}.${format}`);
+    const cursor = Model.find({ week_range: week }).lean().cursor();
+
+    if (format === 'ndjson') {
+      const stream = fs.createWriteStream(filePath);
+      for await (const doc of cursor) {
+        if (!stream.write(JSON.stringify(doc) + '\n')) {
+          await new Promise(resolve => stream.once('drain', resolve));
+        }
+      }
+      await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+    } else {
+      const rows = [];
+      for await (const doc of cursor) {
+        dropped.forEach(field => delete doc[field]);
+        rows.push(doc);
+      }
+      if (rows.length > 0) await dataFetcher.writeParquetFile(filePath, rows);
+    }
+
+    files[label] = filePath;
+  }
+
+  return files;
+}
+
+// ─── Keep a sync_runs record so ingestion doesn't re-import the week ─
+async function markWeeksPruned(weeks) {
+  const prunedAt = new Date();
+  await SyncRun.bulkWrite(weeks.map(week => ({
+    updateOne: {
+      filter: { week_range: week },
+      update: {
+        $set: { status: 'pruned', lastCompletedStage: 'pending', prunedAt, error: null },
+        $unset: { matches: '', players: '', completedAt: '' }
+      },
+      upsert: true
+    }
+  })));
+}
+
+// ─── Apply the retention policy ─────────────────────────────────
+async function pruneWeeks({ keepWeeks = null, keepPatches = null, archiveDir = null, format = 'ndjson', dryRun = false } = {}) {
+  if (!keepWeeks === !keepPatches) {
+    throw new Error('Specify exactly one of keepWeeks or keepPatches');
+  }
+  if (!ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported archive format: ${format} (use ${ARCHIVE_FORMATS.join(' or ')})`);
+  }
+
+  const policy = keepWeeks ? `last ${keepWeeks} weeks` : `last ${keepPatches} patches`;
+  console.log(`🔍 Retention policy: keep the ${policy}${dryRun ? ' (dry run)' : ''}`);
+
+  const weeks = await selectWeeksToPrune({ keepWeeks, keepPatches });
+  if (weeks.length === 0) {
+    console.log('✅ Nothing to prune');
+    return { weeks: [], matches: 0, players: 0 };
+  }
+
+  let totalMatches = 0;
+  let totalPlayers = 0;
+  console.log(`📋 ${weeks.length} weeks outside the retention window:`);
+  for (const week of weeks) {
+    const [matches, players] = await Promise.all([
+      Match.countDocuments({ week_range: week }),
+      Player.countDocuments({ week_range: week })
+    ]);
+    totalMatches += matches;
+    totalPlayers += players;
+    console.log(`   - ${week}: ${matches.toLocaleString()} matches, ${players.toLocaleString()} players`);
+  }
+  console.log(`   Total: ${totalMatches.toLocaleString()} matches, ${totalPlayers.toLocaleString()} players`);
+
+  if (dryRun) {
+    console.log('💡 Dry run - nothing was archived or deleted');
+    return { weeks, matches: totalMatches, players: totalPlayers, dryRun: true };
+  }
+
+  // Rankings of patches that lose data have to be recomputed afterwards
+  const touchedPatches = await Match.distinct('patch', { week_range: { $in: weeks } });
+
+  for (const week of weeks) {
+    if (archiveDir) {
+      const files = await archiveWeek(week, path.resolve(archiveDir), format);
+      console.log(`   📦 Archived ${week} to ${path.dirname(files.matches)}`);
+    }
+
+    const [players, matches] = await Promise.all([
+      Player.deleteMany({ week_range: week }),
+      Match.deleteMany({ week_range: week })
+    ]);
+    console.log(`   🗑️  Removed ${week}: ${matches.deletedCount.toLocaleString()} matches, ${players.deletedCount.toLocaleString()} players`);
+  }
+
+  // Derived data
+  await weeklyRollup.removeWeeks(weeks);
+  await markWeeksPruned(weeks);
+  await DataQualityReport.deleteMany({ week_range: { $in: weeks } });
+  await QuarantinedRow.deleteMany({ week_range: { $in: weeks } });
+
+  const db = mongoose.connection.db;
+  const remainingPatches = await Match.distinct('patch');
+  await db.collection('civ_rankings').deleteMany({ patch: { $nin: remainingPatches } });
+  await db.collection('civ_patch_history').deleteMany({ patch: { $nin: remainingPatches } });
+  for (const patch of touchedPatches.filter(patch => remainingPatches.includes(patch))) {
+    await updatePatchRankings(patch);
+  }
+
+  await ingestionJob.refreshPrecomputedStats();
+  await ingestionJob.invalidateCachedResponses(touchedPatches);
+
+  console.log(`✅ Pruned ${weeks.length} weeks (${totalMatches.toLocaleString()} matches, ${totalPlayers.toLocaleString()} players)`);
+  console.log('💡 Per-leaderboard caches (civ_stats_<leaderboard>) are rebuilt by scripts/precompute-filter-views.js');
+
+  return { weeks, matches: totalMatches, players: totalPlayers };
+}
+
+// ─── Command line interface ─────────────────────────────────────
+const showUsage = () => {
+  console.log(`
+🗓️  Week Retention
+
+Usage:
+  npm run prune -- --keep-weeks <n>       - Delete all but the newest n weeks
+  npm run prune -- --keep-patches <n>     - Delete weeks with no matches in the newest n patches
+
+Options:
+  --dry-run                   Print what would be removed without changing anything
+  --archive <dir>             Save each week to <dir>/<week>/ before deleting it
+  --format ndjson|parquet     Archive format (default ndjson; parquet can be re-imported
+                              with npm run incremental-seed --local <dir>)
+`);
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+
+  const keepWeeks = parseInt(option('--keep-weeks')) || null;
+  const keepPatches = parseInt(option('--keep-patches')) || null;
+
+  if (args.includes('--help') || !keepWeeks === !keepPatches) {
+    showUsage();
+    process.exit(args.includes('--help') ? 0 : 1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    await pruneWeeks({
+      keepWeeks,
+      keepPatches,
+      archiveDir: option('--archive'),
+      format: option('--format') || 'ndjson',
+      dryRun: args.includes('--dry-run')
+    });
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+if (require.main === module) {
+  main().then(() => {
+    console.log('✅ Script completed');
+    process.exit(0);
+  }).catch((error) => {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  pruneWeeks
+};
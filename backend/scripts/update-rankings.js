@@ -1,8 +1,9 @@
 // scripts/update-rankings.js - Standalone script for ranking computation
+require('dotenv').config();
 const mongoose = require('mongoose');
 const Player = require('../models/Player');
 const Match = require('../models/Match');
-require('dotenv').config();
+const { invalidateTags } = require('../middleware/cache');
 
 // ─── Main ranking computation function ─────────────────────────────
 async function precomputeAllRankings() {
@@ -43,19 +44,7 @@ async function precomputeAllRankings() {
         
         // Get civ performance for this patch
         const civPerformance = await Player.aggregate([
-          {
-            $lookup: {
-              from: 'matches',
-              localField: 'game_id',
-              foreignField: 'game_id',
-              as: 'match',
-              pipeline: [
-                { $match: { patch: patch } },
-                { $project: { patch: 1, duration: 1 } }
-              ]
-            }
-          },
-          { $unwind: '$match' },
+          { $match: { patch: patch } },
           {
             $group: {
               _id: '$civ',
@@ -129,6 +118,8 @@ async function precomputeAllRankings() {
     console.log(`📊 Total rankings created: ${totalRankings}`);
     console.log(`⏱️  Rankings are now cached and ready for instant queries`);
     
+    await invalidateTags(['rankings']);
+    
     return totalRankings;
     
   } catch (error) {
@@ -140,6 +131,53 @@ async function precomputeAllRankings() {
   }
 }
 
+// ─── Recompute rankings for one patch (uses the current connection) ──
+async function updatePatchRankings(patch) {
+  // Remove old rankings for this patch
+  const db = mongoose.connection.db;
+  await db.collection('civ_rankings').deleteMany({ patch });
+  
+  // Compute new rankings (same logic as above but for one patch)
+  const civPerformance = await Player.aggregate([
+    { $match: { patch } },
+    {
+      $group: {
+        _id: '$civ',
+        games: { $sum: 1 },
+        wins: { $sum: { $cond: ['$winner', 1, 0] } },
+        avgRating: { $avg: '$old_rating' }
+      }
+    },
+    { $match: { games: { $gte: 10 } } },
+    {
+      $addFields: {
+        winRate: { $divide: ['$wins', '$games'] }
+      }
+    },
+    { $sort: { winRate: -1 } }
+  ]).option({ maxTimeMS: 30000 });
+  
+  const rankingDocs = civPerformance.map((civ, index) => ({
+    patch,
+    civ: civ._id,
+    rank: index + 1,
+    winRate: Math.round(civ.winRate * 10000) / 100,
+    games: civ.games,
+    wins: civ.wins,
+    losses: civ.games - civ.wins,
+    avgRating: Math.round(civ.avgRating || 0),
+    lastUpdated: new Date(),
+    totalCivs: civPerformance.length
+  }));
+  
+  if (rankingDocs.length > 0) {
+    await db.collection('civ_rankings').insertMany(rankingDocs);
+    console.log(`✅ Updated ${rankingDocs.length} rankings for patch ${patch}`);
+  }
+  
+  return rankingDocs.length;
+}
+
 // ─── Update function for live server ─────────────────────────────
 async function updateRecentRankings() {
   try {
@@ -159,60 +197,8 @@ async function updateRecentRankings() {
     
     const patch = latestPatch._id;
     console.log(`📈 Updating rankings for latest patch: ${patch}`);
-    
-    // Remove old rankings for this patch
-    const db = mongoose.connection.db;
-    await db.collection('civ_rankings').deleteMany({ patch });
-    
-    // Compute new rankings (same logic as above but for one patch)
-    const civPerformance = await Player.aggregate([
-      {
-        $lookup: {
-          from: 'matches',
-          localField: 'game_id',
-          foreignField: 'game_id',
-          as: 'match',
-          pipeline: [
-            { $match: { patch } },
-            { $project: { patch: 1 } }
-          ]
-        }
-      },
-      { $unwind: '$match' },
-      {
-        $group: {
-          _id: '$civ',
-          games: { $sum: 1 },
-          wins: { $sum: { $cond: ['$winner', 1, 0] } },
-          avgRating: { $avg: '$old_rating' }
-        }
-      },
-      { $match: { games: { $gte: 10 } } },
-      {
-        $addFields: {
-          winRate: { $divide: ['$wins', '$games'] }
-        }
-      },
-      { $sort: { winRate: -1 } }
-    ]).option({ maxTimeMS: 30000 });
-    
-    const rankingDocs = civPerformance.map((civ, index) => ({
-      patch,
-      civ: civ._id,
-      rank: index + 1,
-      winRate: Math.round(civ.winRate * 10000) / 100,
-      games: civ.games,
-      wins: civ.wins,
-      losses: civ.games - civ.wins,
-      avgRating: Math.round(civ.avgRating || 0),
-      lastUpdated: new Date(),
-      totalCivs: civPerformance.length
-    }));
-    
-    if (rankingDocs.length > 0) {
-      await db.collection('civ_rankings').insertMany(rankingDocs);
-      console.log(`✅ Updated ${rankingDocs.length} rankings for patch ${patch}`);
-    }
+    await updatePatchRankings(patch);
+    await invalidateTags(['rankings']);
     
   } catch (error) {
     console.error('❌ Recent rankings update failed:', error);
@@ -266,5 +252,6 @@ if (require.main === module) {
 
 module.exports = {
   precomputeAllRankings,
-  updateRecentRankings
+  updateRecentRankings,
+  updatePatchRankings
 };
\ No newline at end of file
@@ -13,7 +13,10 @@ const errorHandler = require('./middleware/errorHandler');
 const matchRoutes = require('./routes/matches');
 const playerRoutes = require('./routes/player');
 const statsRoutes = require('./routes/stats');
+const adminRoutes = require('./routes/admin');
 const { updateRecentRankings } = require('./scripts/update-rankings');
+const { updatePatchHistory } = require('./scripts/precompute-patch-history');
+const ingestionJob = require('./services/ingestionJob');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,7 +29,8 @@ app.use(helmet()); // Security headers
 app.use(compression()); // Gzip compression
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: false
+  credentials: false,
+  exposedHeaders: ['X-Cache'] // L1-HIT / L2-HIT / MISS from middleware/cache.js
 })); // CORS
 app.use(morgan('combined')); // Logging
 app.use(express.json({ limit: '10mb' }));
@@ -70,11 +74,20 @@ app.get('/api', (req, res) => {
       stats: {
         'GET /api/stats/civilizations': 'Civilization statistics',
         'GET /api/stats/maps': 'Map statistics',
+        'GET /api/stats/maps/metadata': 'Map categories, display names and aliases',
+        'GET /api/stats/maps/:mapName/civilizations': 'Civ win rates and tier list on one map',
+        'GET /api/stats/synergies': 'Same-team civ pair win rates vs each civ baseline (team games)',
         'GET /api/stats/trends': 'Meta trends over time',
         'GET /api/stats/elo-distribution': 'ELO distribution',
         'GET /api/stats/openings': 'Opening build orders analysis',
         'GET /api/stats/patches': 'Patch comparison',
-        'GET /api/stats/analytics/performance': 'Performance analytics'
+        'GET /api/stats/analytics/performance': 'Performance analytics',
+        'GET /api/stats/data-quality': 'Import data-quality reports per week'
+      },
+      admin: {
+        'GET /api/admin/cache/tags': 'List cache tags (x-admin-token header)',
+        'DELETE /api/admin/cache/tags/:tag': 'Purge cached responses with a tag',
+        'POST /api/admin/cache/purge': 'Purge cached responses for several tags'
       }
     }
   });
@@ -84,6 +97,7 @@ app.get('/api', (req, res) => {
 app.use('/api/matches', matchRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -108,6 +122,7 @@ const startBackgroundJobs = () => {
     try {
       console.log('⏰ Running scheduled ranking update...');
       await updateRecentRankings();
+      await updatePatchHistory();
       console.log('✅ Scheduled ranking update completed');
     } catch (error) {
       console.error('❌ Scheduled ranking update failed:', error.message);
@@ -119,15 +134,36 @@ const startBackgroundJobs = () => {
     try {
       console.log('🚀 Running initial ranking update...');
       await updateRecentRankings();
+      await updatePatchHistory();
       console.log('✅ Initial ranking update completed');
     } catch (error) {
       console.error('❌ Initial ranking update failed:', error.message);
     }
   }, 5 * 60 * 1000); // 5 minutes delay
   
+  // Import new weekly dumps (set INGESTION_INTERVAL_HOURS=0 to turn off)
+  const ingestionHours = parseFloat(process.env.INGESTION_INTERVAL_HOURS ?? '24');
+  const runIngestion = async () => {
+    try {
+      console.log('⏰ Running scheduled dump ingestion...');
+      await ingestionJob.run();
+    } catch (error) {
+      console.error('❌ Scheduled dump ingestion failed:', error.message);
+    }
+  };
+  
+  if (ingestionHours > 0) {
+    setInterval(runIngestion, ingestionHours * 60 * 60 * 1000);
+    setTimeout(runIngestion, 10 * 60 * 1000); // after the initial ranking update
+  }
+  
   console.log('📅 Background jobs scheduled:');
   console.log('   - Initial update: in 5 minutes');
   console.log('   - Recurring updates: every 2 hours');
+  console.log('   - Patch history: refreshed with each ranking update');
+  console.log(ingestionHours > 0
+    ? `   - Dump ingestion: in 10 minutes, then every ${ingestionHours} hours`
+    : '   - Dump ingestion: disabled (INGESTION_INTERVAL_HOURS=0)');
 };
 
 // STEP 4: Modify your app.listen() section
@@ -1,7 +1,69 @@
 // services/dataFetcher.js - Updated with modern parquet reading
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
 const Match = require('../models/Match');
 const Player = require('../models/Player');
+const SyncRun = require('../models/SyncRun');
+const DataQualityReport = require('../models/DataQualityReport');
+const QuarantinedRow = require('../models/QuarantinedRow');
+const replaySummaryParser = require('./replaySummaryParser');
+const schemaValidator = require('./schemaValidator');
+const weeklyRollup = require('./weeklyRollup');
+
+// Match attributes stored on each Player row as well (see models/Player.js)
+const DENORMALIZED_MATCH_FIELDS = ['patch', 'leaderboard', 'map', 'started_timestamp', 'avg_elo'];
+
+// Streaming import limits (override with INGEST_MEMORY_LIMIT_MB / INGEST_BATCH_ROWS)
+const DEFAULT_MEMORY_LIMIT_MB = 1024;
+const DEFAULT_BATCH_ROWS = 10000;
+const MIN_BATCH_ROWS = 1000;
+
+// Quarantined rows kept per file; beyond this they are only counted in the report
+const MAX_QUARANTINED_ROWS = 10000;
+
+// Tracks rows, speed and the RSS high-water mark of one streamed file, halving the
+// record batch size for the next row group whenever memory goes over the ceiling
+class IngestionMeter {
+  constructor(label) {
+    this.label = label;
+    this.limitBytes = (parseInt(process.env.INGEST_MEMORY_LIMIT_MB) || DEFAULT_MEMORY_LIMIT_MB) * 1024 * 1024;
+    this.batchRows = parseInt(process.env.INGEST_BATCH_ROWS) || DEFAULT_BATCH_ROWS;
+    this.rows = 0;
+    this.peakRss = 0;
+    this.startTime = Date.now();
+  }
+
+  record(rows) {
+    this.rows += rows;
+  }
+
+  sample() {
+    let { rss } = process.memoryUsage();
+    if (rss > this.limitBytes && global.gc) {
+      global.gc();
+      rss = process.memoryUsage().rss;
+    }
+    this.peakRss = Math.max(this.peakRss, rss);
+
+    if (rss > this.limitBytes && this.batchRows > MIN_BATCH_ROWS) {
+      this.batchRows = Math.max(MIN_BATCH_ROWS, Math.floor(this.batchRows / 2));
+      console.warn(`    ⚠️  Memory at ${this.toMb(rss)} MB (limit ${this.toMb(this.limitBytes)} MB) - batch size now ${this.batchRows} rows`);
+    }
+  }
+
+  report() {
+    const seconds = Math.max((Date.now() - this.startTime) / 1000, 0.001);
+    console.log(`  ✅ Upserted ${this.rows.toLocaleString()} ${this.label} in ${seconds.toFixed(1)}s (${Math.round(this.rows / seconds).toLocaleString()} rows/s, peak memory ${this.toMb(this.peakRss)} MB)`);
+  }
+
+  toMb(bytes) {
+    return Math.round(bytes / 1024 / 1024);
+  }
+}
 
 class DataFetcher {
   constructor() {
@@ -9,6 +71,15 @@ class DataFetcher {
     this.arrow = null;
   }
 
+  // Dump source; point AOESTATS_BASE_URL at a mirror or local mock server to override
+  get baseUrl() {
+    return (process.env.AOESTATS_BASE_URL || 'https://aoestats.io').replace(/\/+$/, '');
+  }
+
+  get denormalizedMatchFields() {
+    return DENORMALIZED_MATCH_FIELDS;
+  }
+
   async initialize() {
     if (this.parquet && this.arrow) return;
     
@@ -25,7 +96,7 @@ class DataFetcher {
 
   async getAvailableDumps() {
     try {
-      const { data } = await axios.get('https://aoestats.io/api/db_dumps', {
+      const { data } = await axios.get(`${this.baseUrl}/api/db_dumps`, {
         timeout: 10000
       });
       return data.db_dumps;
@@ -35,96 +106,163 @@ class DataFetcher {
     }
   }
 
+  // Weeks move pending -> matches_done -> players_done -> verified, recorded in sync_runs.
+  // Every stage upserts, so an interrupted or failed week resumes where it stopped.
   async syncWeeklyData(dump) {
     const dateRange = `${dump.start_date}_${dump.end_date}`;
     console.log(`🔄 Syncing data for ${dateRange}`);
     
-    // Check if already seeded
-    const existingMatches = await Match.countDocuments({ week_range: dateRange });
-    if (existingMatches > 0) {
-      console.log(`  • Already seeded (${existingMatches} matches), skipping`);
+    const run = await this.getSyncRun(dateRange);
+    if (run.status === 'verified') {
+      console.log(`  • Already verified (${run.matches?.stored ?? 0} matches), skipping`);
       return { success: true, skipped: true };
     }
+    if (run.status === 'pruned') {
+      console.log(`  • Re-importing a week removed by the retention policy`);
+    } else if (run.lastCompletedStage !== 'pending') {
+      console.log(`  • Resuming after ${run.lastCompletedStage}`);
+    }
+
+    Object.assign(run, {
+      source: dump.matches_path ? 'local' : 'remote',
+      attempts: run.attempts + 1,
+      startedAt: new Date(),
+      error: null
+    });
+    await run.save();
 
     try {
       await this.initialize();
       
-      const matchResult = await this.processMatches(dump, dateRange);
-      const playerResult = await this.processPlayers(dump, dateRange);
+      if (run.lastCompletedStage === 'pending') {
+        run.matches = await this.processMatches(dump, dateRange);
+        await this.completeStage(run, 'matches_done');
+      }
+      
+      if (run.lastCompletedStage === 'matches_done') {
+        run.players = await this.processPlayers(dump, dateRange);
+        await this.completeStage(run, 'players_done');
+      }
       
-      console.log(`  ✅ Completed ${dateRange} - ${matchResult.count} matches, ${playerResult.count} players`);
+      if (run.lastCompletedStage === 'players_done') {
+        await this.verifyWeek(run);
+        run.completedAt = new Date();
+        await this.completeStage(run, 'verified');
+      }
+
+      // A failed rollup shouldn't fail the import; stats fall back to live queries
+      try {
+        await weeklyRollup.buildWeek(dateRange);
+      } catch (error) {
+        console.warn(`  ⚠️ Weekly rollup failed for ${dateRange}:`, error.message);
+      }
+      
+      console.log(`  ✅ Completed ${dateRange} - ${run.matches.stored} matches, ${run.players.stored} players`);
       return { 
         success: true, 
-        matchCount: matchResult.count,
-        playerCount: playerResult.count
+        matchCount: run.matches.stored,
+        playerCount: run.players.stored
       };
     } catch (error) {
-      console.error(`  ❌ Failed ${dateRange}:`, error.message);
-      return { success: false, error: error.message };
+      console.error(`  ❌ Failed ${dateRange} after ${run.lastCompletedStage}:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+      await run.save();
+      return { success: false, error: error.message, stage: run.lastCompletedStage };
     }
   }
 
+  // Load the week's run, registering weeks imported before sync_runs existed. A legacy
+  // week with matches is registered as matches_done even if it has players: there is no
+  // telling whether its player import finished, and re-upserting them is safe.
+  async getSyncRun(dateRange) {
+    const existing = await SyncRun.findOne({ week_range: dateRange });
+    if (existing) return existing;
+
+    const [matchCount, playerCount] = await Promise.all([
+      Match.countDocuments({ week_range: dateRange }),
+      Player.countDocuments({ week_range: dateRange })
+    ]);
+    const stage = matchCount > 0 ? 'matches_done' : 'pending';
+
+    return SyncRun.create({
+      week_range: dateRange,
+      status: stage,
+      lastCompletedStage: stage,
+      ...(matchCount > 0 && { matches: { stored: matchCount } }),
+      ...(playerCount > 0 && { players: { stored: playerCount } })
+    });
+  }
+
+  async completeStage(run, stage) {
+    run.status = stage;
+    run.lastCompletedStage = stage;
+    await run.save();
+  }
+
+  // Every distinct row from the files must be stored under this week
+  async verifyWeek(run) {
+    const [matchCount, playerCount] = await Promise.all([
+      Match.countDocuments({ week_range: run.week_range }),
+      Player.countDocuments({ week_range: run.week_range })
+    ]);
+
+    run.matches = { ...run.matches?.toObject(), stored: matchCount };
+    run.players = { ...run.players?.toObject(), stored: playerCount };
+
+    const problems = [];
+    if (matchCount === 0) problems.push('no matches stored');
+    if (playerCount === 0) problems.push('no players stored');
+    if (run.matches.unique != null && matchCount < run.matches.unique) {
+      problems.push(`${matchCount}/${run.matches.unique} matches stored`);
+    }
+    if (run.players.unique != null && playerCount < run.players.unique) {
+      problems.push(`${playerCount}/${run.players.unique} players stored`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Verification failed: ${problems.join(', ')}`);
+    }
+    console.log(`  🔍 Verified ${matchCount} matches, ${playerCount} players`);
+  }
+
+  async getVerifiedWeeks() {
+    return SyncRun.distinct('week_range', { status: 'verified' });
+  }
+
+  // Weeks deleted by the retention policy, which scheduled ingestion must not bring back
+  async getPrunedWeeks() {
+    return SyncRun.distinct('week_range', { status: 'pruned' });
+  }
+
   async processMatches(dump, dateRange) {
-    const url = `https://aoestats.io${dump.matches_url}`;
-    console.log(`  📥 Fetching matches from: ${url}`);
-    
+    const meter = new IngestionMeter('matches');
+    const quality = schemaValidator.createTracker('matches');
+    let source = null;
     try {
-      // Download parquet file
-      const { data } = await axios.get(url, { 
-        responseType: 'arraybuffer',
-        timeout: 120000, // 2 minute timeout for large files
-        onDownloadProgress: (progressEvent) => {
-          if (progressEvent.total) {
-            const percent = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            if (percent % 25 === 0) {
-              console.log(`    📊 ${percent}% downloaded`);
-            }
-          }
-        }
-      });
+      source = await this.openParquetSource(dump.matches_path, dump.matches_url);
+      const gameIds = new Set();
+      await QuarantinedRow.deleteMany({ week_range: dateRange, collection_name: 'matches' });
       
-      if (!data || data.byteLength === 0) {
-        throw new Error('Empty response received');
+      // Convert, validate and upsert one record batch at a time
+      for await (const table of this.readParquetBatches(source.filePath, meter)) {
+        const { accepted: matches, quarantined } = schemaValidator.validateBatch(
+          'matches', this.convertTableToMatches(table, dateRange), quality
+        );
+        await this.upsertInBatches(Match, matches, ['game_id']);
+        await this.quarantineRows(dateRange, 'matches', quarantined, quality);
+        matches.forEach(match => gameIds.add(match.game_id));
+        meter.record(table.numRows);
       }
-
-      console.log(`  📦 Downloaded ${(data.byteLength / 1024 / 1024).toFixed(2)} MB`);
-      
-      // Parse with parquet-wasm
-      const uint8Array = new Uint8Array(data);
-      const wasmTable = this.parquet.readParquet(uint8Array);
-      const ipcStream = wasmTable.intoIPCStream();
-      const jsTable = this.arrow.tableFromIPC(ipcStream);
-      
-      console.log(`  📖 Parsed ${jsTable.numRows.toLocaleString()} match records`);
-      
-      // Convert to JavaScript objects and insert
-      const matches = this.convertTableToMatches(jsTable, dateRange);
       
-      // Insert in batches
-      const batchSize = 1000;
-      let insertedCount = 0;
-      
-      for (let i = 0; i < matches.length; i += batchSize) {
-        const batch = matches.slice(i, i + batchSize);
-        try {
-          await Match.insertMany(batch, { ordered: false });
-          insertedCount += batch.length;
-        } catch (error) {
-          // Handle duplicate key errors gracefully
-          if (error.code === 11000) {
-            console.log(`    ⚠️  Skipped ${batch.length} duplicate matches`);
-          } else {
-            throw error;
-          }
-        }
-        
-        if (i % (batchSize * 5) === 0) {
-          console.log(`    💾 Inserted ${insertedCount}/${matches.length} matches`);
-        }
-      }
-      
-      console.log(`  ✅ Inserted ${insertedCount} match records`);
-      return { count: insertedCount };
+      await this.saveQualityReport(dateRange, { matches: quality.summary() });
+      meter.report();
+      return {
+        rows: meter.rows,
+        unique: gameIds.size,
+        stored: await Match.countDocuments({ week_range: dateRange }),
+        checksum: source.checksum
+      };
       
     } catch (error) {
       if (error.response?.status === 404) {
@@ -134,69 +272,48 @@ class DataFetcher {
         throw new Error(`Invalid parquet format - dump may be corrupted`);
       }
       throw error;
+    } finally {
+      await source?.cleanup();
     }
   }
 
   async processPlayers(dump, dateRange) {
-    const url = `https://aoestats.io${dump.players_url}`;
-    console.log(`  📥 Fetching players from: ${url}`);
-    
+    const meter = new IngestionMeter('players');
+    const quality = schemaValidator.createTracker('players');
+    let source = null;
     try {
-      const { data } = await axios.get(url, { 
-        responseType: 'arraybuffer',
-        timeout: 120000,
-        onDownloadProgress: (progressEvent) => {
-          if (progressEvent.total) {
-            const percent = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            if (percent % 25 === 0) {
-              console.log(`    📊 ${percent}% downloaded`);
-            }
-          }
-        }
-      });
+      source = await this.openParquetSource(dump.players_path, dump.players_url);
+      const playerKeys = new Set();
+      let orphanPlayers = 0;
+      await QuarantinedRow.deleteMany({ week_range: dateRange, collection_name: 'players' });
       
-      if (!data || data.byteLength === 0) {
-        throw new Error('Empty response received');
+      // Convert, validate, add each row's match fields and upsert one record batch at a time
+      for await (const table of this.readParquetBatches(source.filePath, meter)) {
+        const { accepted: players, quarantined } = schemaValidator.validateBatch(
+          'players', this.convertTableToPlayers(table, dateRange), quality
+        );
+        const matchFields = await this.loadMatchFields([...new Set(players.map(player => player.game_id))]);
+        players.forEach(player => {
+          if (!matchFields.has(player.game_id)) orphanPlayers++;
+          this.completePlayer(player, matchFields);
+        });
+        await this.upsertInBatches(Player, players, ['game_id', 'profile_id']);
+        await this.quarantineRows(dateRange, 'players', quarantined, quality);
+        players.forEach(player => playerKeys.add(`${player.game_id}:${player.profile_id}`));
+        meter.record(table.numRows);
       }
-
-      console.log(`  📦 Downloaded ${(data.byteLength / 1024 / 1024).toFixed(2)} MB`);
-      
-      // Parse with parquet-wasm
-      const uint8Array = new Uint8Array(data);
-      const wasmTable = this.parquet.readParquet(uint8Array);
-      const ipcStream = wasmTable.intoIPCStream();
-      const jsTable = this.arrow.tableFromIPC(ipcStream);
-      
-      console.log(`  📖 Parsed ${jsTable.numRows.toLocaleString()} player records`);
-      
-      // Convert to JavaScript objects and insert
-      const players = this.convertTableToPlayers(jsTable, dateRange);
       
-      // Insert in batches
-      const batchSize = 1000;
-      let insertedCount = 0;
-      
-      for (let i = 0; i < players.length; i += batchSize) {
-        const batch = players.slice(i, i + batchSize);
-        try {
-          await Player.insertMany(batch, { ordered: false });
-          insertedCount += batch.length;
-        } catch (error) {
-          // Handle duplicate key errors gracefully
-          if (error.code === 11000) {
-            console.log(`    ⚠️  Skipped ${batch.length} duplicate players`);
-          } else {
-            throw error;
-          }
-        }
-        
-        if (i % (batchSize * 5) === 0) {
-          console.log(`    💾 Inserted ${insertedCount}/${players.length} players`);
-        }
+      await this.saveQualityReport(dateRange, { players: quality.summary(), orphan_players: orphanPlayers });
+      if (orphanPlayers > 0) {
+        console.warn(`  ⚠️ ${orphanPlayers.toLocaleString()} players have no stored match`);
       }
-      
-      console.log(`  ✅ Inserted ${insertedCount} player records`);
-      return { count: insertedCount };
+      meter.report();
+      return {
+        rows: meter.rows,
+        unique: playerKeys.size,
+        stored: await Player.countDocuments({ week_range: dateRange }),
+        checksum: source.checksum
+      };
       
     } catch (error) {
       if (error.response?.status === 404) {
@@ -206,7 +323,195 @@ class DataFetcher {
         throw new Error(`Invalid parquet format - dump may be corrupted`);
       }
       throw error;
+    } finally {
+      await source?.cleanup();
+    }
+  }
+
+  // Match attributes copied onto player rows, keyed by game_id
+  async loadMatchFields(gameIds) {
+    const matches = await Match.find(
+      { game_id: { $in: gameIds } },
+      { _id: 0, game_id: 1, ...Object.fromEntries(DENORMALIZED_MATCH_FIELDS.map(field => [field, 1])) }
+    ).lean();
+    
+    return new Map(matches.map(({ game_id, ...fields }) => [game_id, fields]));
+  }
+
+  async quarantineRows(dateRange, collectionName, quarantined, tracker) {
+    const room = MAX_QUARANTINED_ROWS - (tracker.quarantined - quarantined.length);
+    if (quarantined.length === 0 || room <= 0) return;
+
+    await QuarantinedRow.insertMany(
+      quarantined.slice(0, room).map(({ row, reasons }) => ({
+        week_range: dateRange,
+        collection_name: collectionName,
+        reasons,
+        row
+      })),
+      { ordered: false }
+    );
+  }
+
+  async saveQualityReport(dateRange, sections) {
+    await DataQualityReport.updateOne(
+      { week_range: dateRange },
+      { $set: sections },
+      { upsert: true }
+    );
+
+    const quarantined = Object.values(sections).reduce((sum, section) => sum + (section?.quarantined || 0), 0);
+    if (quarantined > 0) {
+      console.warn(`  ⚠️ Quarantined ${quarantined.toLocaleString()} rows failing the schema check`);
+    }
+  }
+
+  // Resolve a parquet file on disk: local files are used in place, remote ones are
+  // streamed to a temp file so the download never sits in memory as a whole
+  async openParquetSource(localPath, remoteUrl) {
+    let filePath = localPath;
+    let cleanup = async () => {};
+    
+    if (localPath) {
+      console.log(`  📂 Reading local file: ${localPath}`);
+    } else {
+      const url = `${this.baseUrl}${remoteUrl}`;
+      console.log(`  📥 Fetching from: ${url}`);
+      
+      filePath = path.join(os.tmpdir(), `aoe-dump-${process.pid}-${crypto.randomUUID()}.parquet`);
+      cleanup = () => fs.promises.rm(filePath, { force: true });
+      
+      try {
+        const response = await axios.get(url, {
+          responseType: 'stream',
+          timeout: 120000 // 2 minute timeout for large files
+        });
+        const total = parseInt(response.headers['content-length']) || 0;
+        let loaded = 0;
+        let lastLogged = 0;
+        response.data.on('data', (chunk) => {
+          loaded += chunk.length;
+          const percent = total ? Math.floor((loaded * 100) / total) : 0;
+          if (percent >= lastLogged + 25) {
+            lastLogged = percent - (percent % 25);
+            console.log(`    📊 ${lastLogged}% downloaded`);
+          }
+        });
+        await pipeline(response.data, fs.createWriteStream(filePath));
+      } catch (error) {
+        await cleanup();
+        throw error;
+      }
+    }
+    
+    const { size } = await fs.promises.stat(filePath);
+    if (size === 0) {
+      await cleanup();
+      throw new Error('Empty response received');
+    }
+    console.log(`  📦 Loaded ${(size / 1024 / 1024).toFixed(2)} MB`);
+    
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    
+    return { filePath, checksum: hash.digest('hex'), cleanup };
+  }
+
+  // Yield the file as Arrow tables of at most meter.batchRows rows. The file is read lazily
+  // from disk row group by row group, and the batch size shrinks when memory runs high.
+  async *readParquetBatches(filePath, meter) {
+    await this.initialize();
+    
+    const file = await this.parquet.ParquetFile.fromFile(await fs.openAsBlob(filePath));
+    const rowGroups = file.metadata().numRowGroups();
+    
+    try {
+      for (let rowGroup = 0; rowGroup < rowGroups; rowGroup++) {
+        const stream = await file.stream({ rowGroups: [rowGroup], batchSize: meter.batchRows });
+        for await (const wasmBatch of stream) {
+          yield this.arrow.tableFromIPC(wasmBatch.intoIPCStream());
+          meter.sample();
+        }
+        console.log(`    💾 ${meter.rows.toLocaleString()} ${meter.label} (row group ${rowGroup + 1}/${rowGroups})`);
+      }
+    } finally {
+      file.free();
+    }
+  }
+
+  // Write plain rows to a parquet file readable by readParquetBatches. Dates are stored as
+  // epoch milliseconds (arrow's Date64 drops the time of day on read).
+  async writeParquetFile(filePath, rows) {
+    await this.initialize();
+    
+    const table = this.arrow.tableFromJSON(rows.map(row => Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, value instanceof Date ? value.getTime() : value])
+    )));
+    const wasmTable = this.parquet.Table.fromIPCStream(this.arrow.tableToIPC(table, 'stream'));
+    const bytes = this.parquet.writeParquet(wasmTable);
+    
+    await fs.promises.writeFile(filePath, bytes);
+    return bytes.byteLength;
+  }
+
+  // Upsert on keyFields so re-running a stage updates rows instead of failing on duplicates
+  async upsertInBatches(Model, docs, keyFields) {
+    const batchSize = 1000;
+    let writtenCount = 0;
+    
+    for (let i = 0; i < docs.length; i += batchSize) {
+      const batch = docs.slice(i, i + batchSize);
+      await Model.bulkWrite(batch.map(doc => ({
+        updateOne: {
+          filter: Object.fromEntries(keyFields.map(field => [field, doc[field]])),
+          update: { $set: doc },
+          upsert: true
+        }
+      })), { ordered: false });
+      writtenCount += batch.length;
     }
+    
+    return writtenCount;
+  }
+
+  // Build dump descriptors from local parquet files. Accepts either a directory of
+  // weekly folders named YYYY-MM-DD_YYYY-MM-DD (each holding matches.parquet and
+  // players.parquet) or a single such week folder.
+  getLocalDumps(inputPath) {
+    const weekPattern = /^(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})$/;
+    const resolved = path.resolve(inputPath);
+    
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      throw new Error(`Local dump directory not found: ${resolved}`);
+    }
+    
+    const toDump = (dir) => {
+      const match = path.basename(dir).match(weekPattern);
+      const matchesPath = path.join(dir, 'matches.parquet');
+      const playersPath = path.join(dir, 'players.parquet');
+      if (!match || !fs.existsSync(matchesPath) || !fs.existsSync(playersPath)) return null;
+      return this.createLocalDump(matchesPath, playersPath, `${match[1]}_${match[2]}`);
+    };
+    
+    const single = toDump(resolved);
+    if (single) return [single];
+    
+    return fs.readdirSync(resolved, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => toDump(path.join(resolved, entry.name)))
+      .filter(Boolean);
+  }
+
+  createLocalDump(matchesPath, playersPath, dateRange) {
+    const [start_date, end_date] = dateRange.split('_');
+    return {
+      start_date,
+      end_date,
+      matches_path: path.resolve(matchesPath),
+      players_path: path.resolve(playersPath)
+    };
   }
 
   convertTableToMatches(table, dateRange) {
@@ -275,6 +580,17 @@ class DataFetcher {
     return players;
   }
 
+  // Add the match fields and parsed replay summary to a validated player row
+  completePlayer(player, matchFields = new Map()) {
+    Object.assign(player, matchFields.get(player.game_id));
+    
+    if (player.replay_summary_raw) {
+      player.replay_summary = replaySummaryParser.parse(player.replay_summary_raw);
+    }
+    
+    return player;
+  }
+
   // Utility method to test connection and get sample data
   async testConnection(dateRange = null) {
     try {
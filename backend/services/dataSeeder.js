@@ -65,10 +65,12 @@ class DataSeeder {
     const dumps = await dataFetcher.getAvailableDumps();
     const sortedDumps = dumps.sort((a, b) => new Date(b.start_date) - new Date(a.start_date));
     
+    const verifiedWeeks = await dataFetcher.getVerifiedWeeks();
+    
     console.log(`\nMost recent ${limit} dumps:`);
     for (const dump of sortedDumps.slice(0, limit)) {
       const dateRange = `${dump.start_date}_${dump.end_date}`;
-      const isSeeded = await Match.countDocuments({ week_range: dateRange }) > 0;
+      const isSeeded = verifiedWeeks.includes(dateRange);
       const status = isSeeded ? '✓ seeded' : '○ not seeded';
       console.log(`  ${dateRange} ${status}`);
     }
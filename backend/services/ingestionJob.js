@@ -0,0 +1,153 @@
+// services/ingestionJob.js - Import new weekly dumps and refresh everything derived from them
+const mongoose = require('mongoose');
+const dataFetcher = require('./dataFetcher');
+const weeklyRollup = require('./weeklyRollup');
+const Player = require('../models/Player');
+const Match = require('../models/Match');
+const { invalidateTags } = require('../middleware/cache');
+const { updateRecentRankings } = require('../scripts/update-rankings');
+const { updatePatchHistory } = require('../scripts/precompute-patch-history');
+
+// Cache tags of responses that depend on any new week, whatever its patch
+const INVALIDATED_TAGS = ['patch:all', 'matches', 'players', 'data-quality'];
+
+class IngestionJob {
+  constructor() {
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  // Weeks imported per run; the rest are picked up by the next run
+  get maxWeeksPerRun() {
+    return parseInt(process.env.INGESTION_MAX_WEEKS) || 2;
+  }
+
+  async run() {
+    if (this.running) {
+      console.log('⏭️  Ingestion already running, skipping');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+
+    try {
+      // Weeks imported before the rollup existed, or whose rollup build failed, would
+      // keep stats on the slower live queries until they are rolled up
+      try {
+        await weeklyRollup.ensureCoverage();
+      } catch (error) {
+        console.warn('⚠️ Weekly rollup backfill failed:', error.message);
+      }
+
+      console.log(`📥 Checking ${dataFetcher.baseUrl} for new weekly dumps...`);
+
+      const [dumps, verifiedWeeks, prunedWeeks, storedWeeks] = await Promise.all([
+        dataFetcher.getAvailableDumps(),
+        dataFetcher.getVerifiedWeeks(),
+        dataFetcher.getPrunedWeeks(),
+        Match.distinct('week_range')
+      ]);
+
+      // Newest first, and nothing older than the oldest stored week: the schedule keeps
+      // the database current and retries unfinished weeks, it doesn't backfill history
+      // (use incremental-seed for that). Pruned weeks stay out of the database.
+      const oldestStored = storedWeeks.filter(Boolean).sort()[0] ?? null;
+      const pending = dumps
+        .filter(dump => {
+          const weekRange = `${dump.start_date}_${dump.end_date}`;
+          if (verifiedWeeks.includes(weekRange) || prunedWeeks.includes(weekRange)) return false;
+          return !oldestStored || weekRange >= oldestStored;
+        })
+        .sort((a, b) => new Date(b.start_date) - new Date(a.start_date))
+        .slice(0, this.maxWeeksPerRun);
+
+      if (pending.length === 0) {
+        console.log('✅ No new weeks to import');
+        this.lastRun = { finishedAt: new Date(), imported: [], failed: [] };
+        return this.lastRun;
+      }
+
+      const imported = [];
+      const failed = [];
+      for (const dump of pending) {
+        const weekRange = `${dump.start_date}_${dump.end_date}`;
+        const result = await dataFetcher.syncWeeklyData(dump);
+        if (result.success && !result.skipped) imported.push(weekRange);
+        if (!result.success) failed.push({ weekRange, error: result.error });
+      }
+
+      if (imported.length > 0) {
+        await this.refreshPrecomputedStats();
+        await this.invalidateCachedResponses(await Match.distinct('patch', { week_range: { $in: imported } }));
+      }
+
+      console.log(`✅ Ingestion finished in ${Math.round((Date.now() - startTime) / 1000)}s - ${imported.length} imported, ${failed.length} failed`);
+      this.lastRun = { finishedAt: new Date(), imported, failed };
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Drop cached responses for the patches whose data changed, plus everything not filtered by patch
+  async invalidateCachedResponses(patches = []) {
+    return invalidateTags([...INVALIDATED_TAGS, ...patches.map(patch => `patch:${patch}`)]);
+  }
+
+  // Rebuild civ_stats_cache, map_stats_cache, civ_rankings and civ_patch_history
+  async refreshPrecomputedStats() {
+    console.log('🔄 Refreshing precomputed stats...');
+
+    await Player.aggregate([
+      { $match: { civ: { $exists: true, $ne: null } } },
+      {
+        $group: {
+          _id: '$civ',
+          totalPicks: { $sum: 1 },
+          wins: { $sum: { $cond: ['$winner', 1, 0] } },
+          avgRating: { $avg: '$old_rating' },
+          avgFeudalTime: { $avg: '$feudal_age_uptime' },
+          avgCastleTime: { $avg: '$castle_age_uptime' },
+          avgImperialTime: { $avg: '$imperial_age_uptime' }
+        }
+      },
+      {
+        $addFields: {
+          winRate: { $divide: ['$wins', '$totalPicks'] },
+          losses: { $subtract: ['$totalPicks', '$wins'] }
+        }
+      },
+      { $match: { totalPicks: { $gte: 10 } } },
+      { $sort: { winRate: -1 } },
+      { $out: 'civ_stats_cache' }
+    ]).option({ allowDiskUse: true, maxTimeMS: 120000 });
+
+    await Match.aggregate([
+      { $match: { map: { $exists: true, $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: '$map',
+          totalMatches: { $sum: 1 },
+          avgDuration: { $avg: '$duration' },
+          avgElo: { $avg: '$avg_elo' },
+          avgPlayers: { $avg: '$num_players' }
+        }
+      },
+      { $sort: { totalMatches: -1 } },
+      { $out: 'map_stats_cache' }
+    ]).option({ allowDiskUse: true, maxTimeMS: 120000 });
+
+    const db = mongoose.connection.db;
+    await db.collection('civ_stats_cache').createIndex({ winRate: -1 });
+    await db.collection('civ_stats_cache').createIndex({ totalPicks: -1 });
+    await db.collection('map_stats_cache').createIndex({ totalMatches: -1 });
+
+    await updateRecentRankings();
+    await updatePatchHistory();
+
+    console.log('✅ Precomputed stats refreshed');
+  }
+}
+
+module.exports = new IngestionJob();
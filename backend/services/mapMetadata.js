@@ -0,0 +1,200 @@
+// services/mapMetadata.js - Map categories, display names and aliases for Match.map
+//
+// Dumps name maps in several spellings over time ('black_forest', 'Black Forest',
+// 'rm_black_forest.rms', 'blackforest'). Every spelling resolves to one canonical id
+// here, which is what filters and the frontend (utils/mapUtils.js) work with.
+
+const MAP_TYPES = {
+  LAND: 'land',       // open land maps
+  WATER: 'water',     // navy decides the game
+  HYBRID: 'hybrid',   // land and water both matter, plus random pools
+  CLOSED: 'closed',   // walled or forested starts
+  NOMAD: 'nomad'      // no starting town center
+};
+
+const MAP_TYPE_LABELS = {
+  [MAP_TYPES.LAND]: 'Land Maps',
+  [MAP_TYPES.WATER]: 'Water Maps',
+  [MAP_TYPES.HYBRID]: 'Hybrid Maps',
+  [MAP_TYPES.CLOSED]: 'Closed Maps',
+  [MAP_TYPES.NOMAD]: 'Nomad Maps'
+};
+
+const { LAND, WATER, HYBRID, CLOSED, NOMAD } = MAP_TYPES;
+
+// id -> [type, display name, extra aliases]. Spacing, case, underscores and the
+// rm_/.rms wrapping are normalized away, so aliases only list genuinely different names.
+const MAPS = {
+  acropolis: [CLOSED, 'Acropolis'],
+  african_clearing: [LAND, 'African Clearing'],
+  aftermath: [LAND, 'Aftermath'],
+  alpine_lakes: [LAND, 'Alpine Lakes'],
+  amazon_tunnel: [LAND, 'Amazon Tunnel'],
+  arabia: [LAND, 'Arabia'],
+  archipelago: [WATER, 'Archipelago'],
+  arena: [CLOSED, 'Arena'],
+  atacama: [LAND, 'Atacama'],
+  baltic: [WATER, 'Baltic'],
+  black_forest: [CLOSED, 'Black Forest', ['bf']],
+  blind_random: [HYBRID, 'Blind Random'],
+  bog: [LAND, 'Bog'],
+  bog_islands: [WATER, 'Bog Islands'],
+  budapest: [LAND, 'Budapest'],
+  burial_grounds: [LAND, 'Burial Grounds'],
+  cenotes: [LAND, 'Cenotes'],
+  city_of_lakes: [LAND, 'City of Lakes'],
+  coastal: [HYBRID, 'Coastal'],
+  continental: [HYBRID, 'Continental'],
+  crater_lake: [LAND, 'Crater Lake'],
+  cross: [LAND, 'Cross'],
+  earth: [LAND, 'Earth'],
+  enclosed: [CLOSED, 'Enclosed'],
+  far_out: [HYBRID, 'Far Out'],
+  fortified_clearing: [CLOSED, 'Fortified Clearing'],
+  fortress: [CLOSED, 'Fortress'],
+  four_lakes: [HYBRID, 'Four Lakes'],
+  full_random: [HYBRID, 'Full Random'],
+  ghost_lake: [LAND, 'Ghost Lake'],
+  glade: [LAND, 'Glade'],
+  gold_rush: [LAND, 'Gold Rush'],
+  golden_pit: [LAND, 'Golden Pit'],
+  golden_swamp: [HYBRID, 'Golden Swamp'],
+  graveyards: [LAND, 'Graveyards'],
+  greenland: [HYBRID, 'Greenland'],
+  haboob: [LAND, 'Haboob'],
+  hamburger: [LAND, 'Hamburger'],
+  hideout: [CLOSED, 'Hideout'],
+  highland: [HYBRID, 'Highland'],
+  hill_fort: [CLOSED, 'Hill Fort'],
+  holy_line: [LAND, 'Holy Line'],
+  iberia: [HYBRID, 'Iberia'],
+  india: [LAND, 'India'],
+  inner_circle: [LAND, 'Inner Circle'],
+  islands: [WATER, 'Islands'],
+  kawasan: [LAND, 'Kawasan'],
+  kilimanjaro: [LAND, 'Kilimanjaro'],
+  king_of_the_hill: [LAND, 'King of the Hill', ['koth']],
+  land_nomad: [NOMAD, 'Land Nomad'],
+  lombardia: [LAND, 'Lombardia'],
+  lowland: [HYBRID, 'Lowland'],
+  marketplace: [LAND, 'Marketplace'],
+  meadow: [LAND, 'Meadow'],
+  mediterranean: [HYBRID, 'Mediterranean'],
+  megarandom: [HYBRID, 'MegaRandom'],
+  michi: [CLOSED, 'Michi'],
+  migration: [WATER, 'Migration'],
+  mongolia: [LAND, 'Mongolia'],
+  mountain_range: [LAND, 'Mountain Range'],
+  nile_delta: [HYBRID, 'Nile Delta'],
+  nomad: [NOMAD, 'Nomad'],
+  oasis: [LAND, 'Oasis'],
+  pacific_islands: [WATER, 'Pacific Islands'],
+  passage: [HYBRID, 'Passage'],
+  ravines: [LAND, 'Ravines'],
+  ring_fortress: [CLOSED, 'Ring Fortress'],
+  rivers: [HYBRID, 'Rivers'],
+  runestones: [LAND, 'Runestones'],
+  sacred_springs: [LAND, 'Sacred Springs'],
+  salt_marsh: [HYBRID, 'Salt Marsh'],
+  sandbank: [HYBRID, 'Sandbank'],
+  scandinavia: [HYBRID, 'Scandinavia'],
+  serengeti: [LAND, 'Serengeti'],
+  sherwood_forest: [CLOSED, 'Sherwood Forest'],
+  shoals: [HYBRID, 'Shoals'],
+  snakepit: [LAND, 'Snakepit'],
+  socotra: [LAND, 'Socotra'],
+  steppe: [LAND, 'Steppe'],
+  team_glaciers: [LAND, 'Team Glaciers'],
+  team_islands: [WATER, 'Team Islands'],
+  team_moats: [CLOSED, 'Team Moats'],
+  texas: [LAND, 'Texas'],
+  the_unknown: [HYBRID, 'The Unknown', ['unknown']],
+  valley: [LAND, 'Valley'],
+  wade: [LAND, 'Wade'],
+  warring_islands: [WATER, 'Warring Islands'],
+  water_nomad: [NOMAD, 'Water Nomad'],
+  wolf_hill: [LAND, 'Wolf Hill'],
+  yucatan: [LAND, 'Yucatan']
+};
+
+// Lookup key: lowercase letters and digits only, without the rm_ prefix or .rms suffix
+const compactKey = (name) => String(name)
+  .toLowerCase()
+  .trim()
+  .replace(/\.rms$/, '')
+  .replace(/^rm[_\s-]/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+class MapMetadata {
+  constructor() {
+    this.byKey = new Map();
+    for (const [id, [, , aliases = []]] of Object.entries(MAPS)) {
+      [id, ...aliases].forEach(name => this.byKey.set(compactKey(name), id));
+    }
+  }
+
+  get types() {
+    return MAP_TYPES;
+  }
+
+  // Canonical entry for any spelling, or null for maps not in the table
+  resolve(name) {
+    if (!name) return null;
+    const id = this.byKey.get(compactKey(name));
+    if (!id) return null;
+
+    const [type, displayName, aliases = []] = MAPS[id];
+    return { id, displayName, type, aliases };
+  }
+
+  // Display fields for a raw Match.map value; unknown maps keep their name, untyped
+  describe(name) {
+    const entry = this.resolve(name);
+    if (entry) return { id: entry.id, displayName: entry.displayName, type: entry.type };
+
+    return {
+      id: name,
+      displayName: String(name || 'Unknown').replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase()),
+      type: null
+    };
+  }
+
+  // Spellings of the same map to match in { map: { $in: ... } } filters. Covers the
+  // canonical id, its spaced and display forms and the listed aliases.
+  variants(name) {
+    const entry = this.resolve(name);
+    if (!entry) return [name];
+
+    return [...new Set([name, entry.id, entry.id.replace(/_/g, ' '), entry.displayName, ...entry.aliases])];
+  }
+
+  // Full table for /api/stats/maps/metadata. storedNames are the distinct Match.map
+  // values: each becomes an alias of its map, and unmatched ones are listed separately.
+  build(storedNames = []) {
+    const seen = new Map(Object.keys(MAPS).map(id => [id, []]));
+    const unknown = [];
+
+    for (const stored of storedNames.filter(Boolean)) {
+      const entry = this.resolve(stored);
+      if (entry) {
+        seen.get(entry.id).push(stored);
+      } else {
+        unknown.push(stored);
+      }
+    }
+
+    return {
+      types: Object.values(MAP_TYPES).map(id => ({ id, label: MAP_TYPE_LABELS[id] })),
+      maps: Object.entries(MAPS).map(([id, [type, displayName, aliases = []]]) => ({
+        id,
+        displayName,
+        type,
+        aliases: [...new Set([...aliases, ...seen.get(id).filter(stored => stored !== id)])].sort(),
+        inData: seen.get(id).length > 0
+      })),
+      unknown: unknown.sort()
+    };
+  }
+}
+
+module.exports = new MapMetadata();
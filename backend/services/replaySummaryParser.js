@@ -0,0 +1,224 @@
+// services/replaySummaryParser.js - Turn Player.replay_summary_raw into structured fields
+//
+// The raw summary is whatever the dump exporter wrote: usually JSON, sometimes a
+// Python-style dict (single quotes, None/True/False), occasionally truncated.
+// parse() never throws - bad input comes back with status 'invalid' so imports keep going.
+
+const AGE_KEYS = {
+  feudal: ['feudal', 'feudal_age', 'feudal_time', 'feudal_age_uptime'],
+  castle: ['castle', 'castle_age', 'castle_time', 'castle_age_uptime'],
+  imperial: ['imperial', 'imperial_age', 'imperial_time', 'imperial_age_uptime']
+};
+const AGE_CONTAINER_KEYS = ['age_ups', 'ages', 'age_times', 'uptimes'];
+const UNIT_KEYS = ['units', 'unit_counts', 'units_trained', 'trained'];
+const TECH_KEYS = ['techs', 'technologies', 'researches', 'researched'];
+const ECO_KEYS = ['eco', 'economy', 'resources', 'resources_collected'];
+const ECO_FIELDS = {
+  food: ['food'],
+  wood: ['wood'],
+  gold: ['gold'],
+  stone: ['stone'],
+  villagers: ['villagers', 'max_villagers', 'villager_count', 'vills']
+};
+
+const MAX_HIGHLIGHTS = 5;
+
+class ReplaySummaryParser {
+  parse(raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      return { status: 'empty' };
+    }
+
+    let summary = this.decode(raw);
+    let truncated = false;
+    if (!summary) {
+      summary = this.decodeTruncated(String(raw));
+      truncated = Boolean(summary);
+    }
+    if (!summary) {
+      return { status: 'invalid' };
+    }
+
+    const ages = this.extractAges(summary);
+    const units = this.extractUnits(summary);
+    const techs = this.extractTechs(summary);
+    const eco = this.extractEco(summary);
+
+    const sectionsFound = [ages, units, techs, eco].filter(Boolean).length;
+    const result = {
+      status: sectionsFound === 4 && !truncated ? 'parsed' : sectionsFound > 0 ? 'partial' : 'unrecognized'
+    };
+
+    if (ages) Object.assign(result, ages);
+    if (units) result.units = units;
+    if (techs) result.techs = techs;
+    if (eco) result.eco = eco;
+
+    return result;
+  }
+
+  // ─── Decoding ─────────────────────────────────────────────────
+  decode(raw) {
+    if (typeof raw === 'object') return this.isPlainObject(raw) ? raw : null;
+
+    const text = String(raw).trim();
+    const attempts = [text, this.pythonToJson(text)];
+
+    for (const candidate of attempts) {
+      try {
+        const value = JSON.parse(candidate);
+        // Some exports double-encode the summary
+        if (typeof value === 'string') return this.decode(value);
+        if (this.isPlainObject(value)) return value;
+      } catch (error) {
+        // try the next representation
+      }
+    }
+
+    return null;
+  }
+
+  // Cut a truncated summary back to its last complete entry and close open brackets
+  decodeTruncated(raw) {
+    const text = this.pythonToJson(raw.trim());
+    let cut = text.length;
+
+    for (let attempt = 0; attempt < 50 && cut > 0; attempt++) {
+      cut = text.lastIndexOf(',', cut - 1);
+      if (cut <= 0) break;
+
+      const closing = this.closingBrackets(text.slice(0, cut));
+      if (closing === null) continue;
+
+      try {
+        const value = JSON.parse(text.slice(0, cut) + closing);
+        if (this.isPlainObject(value)) return value;
+      } catch (error) {
+        // keep cutting
+      }
+    }
+
+    return null;
+  }
+
+  // Brackets needed to close a prefix, or null if it ends inside a string
+  closingBrackets(prefix) {
+    const stack = [];
+    let inString = false;
+
+    for (let i = 0; i < prefix.length; i++) {
+      const char = prefix[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+      }
+    }
+
+    return inString ? null : stack.reverse().join('');
+  }
+
+  pythonToJson(text) {
+    return text
+      .replace(/\bNone\b/g, 'null')
+      .replace(/\bTrue\b/g, 'true')
+      .replace(/\bFalse\b/g, 'false')
+      .replace(/'/g, '"');
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  pick(source, keys) {
+    if (!this.isPlainObject(source)) return undefined;
+    for (const key of keys) {
+      if (source[key] !== undefined && source[key] !== null) return source[key];
+    }
+    return undefined;
+  }
+
+  // ─── Field extraction ─────────────────────────────────────────
+  // Seconds from seconds, milliseconds or "HH:MM:SS"/"MM:SS" strings
+  toSeconds(value) {
+    if (typeof value === 'string' && value.includes(':')) {
+      const parts = value.split(':').map(Number);
+      if (parts.some(isNaN)) return null;
+      return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    const number = Number(value);
+    if (!isFinite(number) || number <= 0) return null;
+    return number > 10000 ? Math.round(number / 1000) : Math.round(number);
+  }
+
+  extractAges(summary) {
+    const container = this.pick(summary, AGE_CONTAINER_KEYS) || summary;
+    const ages = {};
+
+    for (const [age, keys] of Object.entries(AGE_KEYS)) {
+      const seconds = this.toSeconds(this.pick(container, keys));
+      if (seconds !== null) ages[`${age}_time`] = seconds;
+    }
+
+    return Object.keys(ages).length > 0 ? ages : null;
+  }
+
+  extractUnits(summary) {
+    const units = this.toNamedList(this.pick(summary, UNIT_KEYS), 'count')
+      .filter(unit => unit.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_HIGHLIGHTS);
+
+    return units.length > 0 ? units : null;
+  }
+
+  extractTechs(summary) {
+    const techs = this.toNamedList(this.pick(summary, TECH_KEYS), 'time')
+      .map(tech => ({ name: tech.name, time: this.toSeconds(tech.time) }))
+      .sort((a, b) => (a.time ?? Infinity) - (b.time ?? Infinity))
+      .slice(0, MAX_HIGHLIGHTS);
+
+    return techs.length > 0 ? techs : null;
+  }
+
+  extractEco(summary) {
+    const container = this.pick(summary, ECO_KEYS) || summary;
+    const eco = {};
+
+    for (const [field, keys] of Object.entries(ECO_FIELDS)) {
+      const value = Number(this.pick(container, keys));
+      if (isFinite(value) && value >= 0) eco[field] = value;
+    }
+
+    return Object.keys(eco).length > 0 ? eco : null;
+  }
+
+  // Accepts { name: value }, [{ name, value }] or [name, ...]
+  toNamedList(source, valueKey) {
+    if (Array.isArray(source)) {
+      return source
+        .map(item => {
+          if (typeof item === 'string') return { name: item, [valueKey]: null };
+          if (this.isPlainObject(item) && item.name) {
+            return { name: String(item.name), [valueKey]: Number(item[valueKey] ?? item.value) };
+          }
+          return null;
+        })
+        .filter(Boolean);
+    }
+
+    if (this.isPlainObject(source)) {
+      return Object.entries(source).map(([name, value]) => ({ name, [valueKey]: Number(value) }));
+    }
+
+    return [];
+  }
+}
+
+module.exports = new ReplaySummaryParser();
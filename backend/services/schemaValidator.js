@@ -0,0 +1,226 @@
+// services/schemaValidator.js - Check parquet rows against the Match/Player schemas at import
+//
+// Dumps have shipped duration and age-up columns in several units over time. Each record
+// batch is checked once on the way in: the unit is detected from the batch median and
+// converted so stored documents always hold duration in nanoseconds and age-ups in seconds.
+// Rows missing a required field are quarantined; optional values of the wrong type or
+// outside a plausible range are dropped (stored as missing) and counted for the
+// week's data-quality report.
+
+const NS_PER_SECOND = 1e9;
+const MAX_RATING = 4000;
+
+// Unit detection by batch median. Typical games last ~30 minutes and reach feudal
+// around 10 minutes, which keeps the candidate units orders of magnitude apart.
+const UNIT_RULES = {
+  duration: [
+    { unit: 'nanoseconds', above: 1e9, factor: 1 },
+    { unit: 'milliseconds', above: 1e5, factor: 1e6 },
+    { unit: 'seconds', above: 300, factor: NS_PER_SECOND },
+    { unit: 'minutes', above: 0, factor: 60 * NS_PER_SECOND }
+  ],
+  ageUp: [
+    { unit: 'nanoseconds', above: 1e8, factor: 1 / NS_PER_SECOND },
+    { unit: 'milliseconds', above: 1e5, factor: 1 / 1000 },
+    { unit: 'seconds', above: 0, factor: 1 }
+  ]
+};
+
+// Field rules after unit conversion: type, required, min/max
+const MATCH_SCHEMA = {
+  game_id: { type: 'string', required: true },
+  started_timestamp: { type: 'date', required: true },
+  map: { type: 'string' },
+  duration: { type: 'number', unit: 'duration', min: 60 * NS_PER_SECOND, max: 6 * 3600 * NS_PER_SECOND },
+  avg_elo: { type: 'number', min: 0, max: MAX_RATING },
+  num_players: { type: 'number', min: 1, max: 8 },
+  team_0_elo: { type: 'number', min: 0, max: MAX_RATING },
+  team_1_elo: { type: 'number', min: 0, max: MAX_RATING },
+  replay_enhanced: { type: 'boolean' },
+  leaderboard: { type: 'string' },
+  mirror: { type: 'boolean' },
+  patch: { type: 'number', min: 0 },
+  raw_match_type: { type: 'number' },
+  game_type: { type: 'string' },
+  game_speed: { type: 'string' },
+  starting_age: { type: 'string' }
+};
+
+const PLAYER_SCHEMA = {
+  game_id: { type: 'string', required: true },
+  profile_id: { type: 'number', required: true },
+  civ: { type: 'string', required: true },
+  winner: { type: 'boolean' },
+  team: { type: 'number', min: 0 },
+  feudal_age_uptime: { type: 'number', unit: 'ageUp', min: 0, max: 4 * 3600 },
+  castle_age_uptime: { type: 'number', unit: 'ageUp', min: 0, max: 4 * 3600 },
+  imperial_age_uptime: { type: 'number', unit: 'ageUp', min: 0, max: 4 * 3600 },
+  opening: { type: 'string' },
+  old_rating: { type: 'number', min: 0, max: MAX_RATING },
+  new_rating: { type: 'number', min: 0, max: MAX_RATING },
+  match_rating_diff: { type: 'number', min: -MAX_RATING, max: MAX_RATING },
+  replay_summary_raw: { type: 'string' }
+};
+
+const SCHEMAS = { matches: MATCH_SCHEMA, players: PLAYER_SCHEMA };
+
+// Earliest plausible match start (the Definitive Edition release)
+const MIN_STARTED_AT = Date.UTC(2019, 10, 14);
+
+// Running totals for one file, turned into a report section by summary()
+class QualityTracker {
+  constructor(collection) {
+    this.collection = collection;
+    this.rows = 0;
+    this.accepted = 0;
+    this.quarantined = 0;
+    this.nulls = {};
+    this.outOfRange = {};
+    this.quarantineReasons = {};
+    this.units = {};
+    this.unknownColumns = new Set();
+  }
+
+  count(map, key, amount = 1) {
+    map[key] = (map[key] || 0) + amount;
+  }
+
+  summary() {
+    const rate = (count) => (this.rows > 0 ? Math.round((count / this.rows) * 10000) / 10000 : 0);
+    return {
+      rows: this.rows,
+      accepted: this.accepted,
+      quarantined: this.quarantined,
+      null_rates: Object.fromEntries(
+        Object.keys(SCHEMAS[this.collection]).map(field => [field, rate(this.nulls[field] || 0)])
+      ),
+      out_of_range: this.outOfRange,
+      quarantine_reasons: this.quarantineReasons,
+      units: this.units,
+      unknown_columns: [...this.unknownColumns].sort()
+    };
+  }
+}
+
+class SchemaValidator {
+  get collections() {
+    return Object.keys(SCHEMAS);
+  }
+
+  createTracker(collection) {
+    if (!SCHEMAS[collection]) throw new Error(`No schema for ${collection}`);
+    return new QualityTracker(collection);
+  }
+
+  // Validate one batch of converted rows. Returns the normalized rows to store and
+  // the rejected ones as { row, reasons }. week_range is set by the importer and kept as-is.
+  validateBatch(collection, rows, tracker) {
+    const schema = SCHEMAS[collection];
+    const conversions = this.detectUnits(schema, rows, tracker);
+    const accepted = [];
+    const quarantined = [];
+
+    for (const row of rows) {
+      const clean = { week_range: row.week_range };
+      const reasons = [];
+
+      for (const column of Object.keys(row)) {
+        if (column !== 'week_range' && !schema[column]) tracker.unknownColumns.add(column);
+      }
+
+      for (const [field, rule] of Object.entries(schema)) {
+        const raw = row[field];
+        if (raw === null || raw === undefined || raw === '') {
+          tracker.count(tracker.nulls, field);
+          if (rule.required) reasons.push(`missing ${field}`);
+          continue;
+        }
+
+        const value = this.checkValue(field, rule, raw, conversions[field]);
+        if (value === undefined) {
+          if (rule.required) {
+            reasons.push(`invalid ${field}`);
+          } else {
+            tracker.count(tracker.outOfRange, field);
+          }
+          continue;
+        }
+        clean[field] = value;
+      }
+
+      tracker.rows++;
+      if (reasons.length > 0) {
+        tracker.quarantined++;
+        reasons.forEach(reason => tracker.count(tracker.quarantineReasons, reason));
+        quarantined.push({ row, reasons });
+      } else {
+        tracker.accepted++;
+        accepted.push(clean);
+      }
+    }
+
+    return { accepted, quarantined };
+  }
+
+  // Pick a conversion factor per unit-bearing field from the batch median
+  detectUnits(schema, rows, tracker) {
+    const conversions = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+      if (!rule.unit) continue;
+
+      const match = this.detectUnit(rule.unit, rows.map(row => Number(row[field])));
+      if (!match) continue;
+      conversions[field] = match.factor;
+
+      tracker.units[field] = tracker.units[field] || {};
+      tracker.count(tracker.units[field], match.unit);
+    }
+
+    return conversions;
+  }
+
+  // { unit, factor } for a 'duration' or 'ageUp' sample, from its median. Factors convert
+  // to the stored units; scripts/normalize-units.js applies them to rows already stored.
+  detectUnit(kind, values) {
+    const sorted = values.filter(value => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return UNIT_RULES[kind].find(candidate => median > candidate.above);
+  }
+
+  // Coerce a value to the field's type and range; undefined means it failed
+  checkValue(field, rule, raw, factor = 1) {
+    switch (rule.type) {
+      case 'string': {
+        const value = String(raw).trim();
+        return value === '' ? undefined : value;
+      }
+      case 'boolean':
+        if (typeof raw === 'boolean') return raw;
+        if (raw === 0 || raw === 1) return raw === 1;
+        return undefined;
+      case 'date': {
+        const value = raw instanceof Date ? raw : new Date(raw);
+        const time = value.getTime();
+        return Number.isFinite(time) && time >= MIN_STARTED_AT && time <= Date.now() + 86400000
+          ? value
+          : undefined;
+      }
+      case 'number': {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) return undefined;
+
+        const value = rule.unit ? Math.round(number * factor) : number;
+        if (rule.min !== undefined && value < rule.min) return undefined;
+        if (rule.max !== undefined && value > rule.max) return undefined;
+        return value;
+      }
+      default:
+        throw new Error(`Unknown type ${rule.type} for ${field}`);
+    }
+  }
+}
+
+module.exports = new SchemaValidator();
@@ -0,0 +1,313 @@
+// services/weeklyRollup.js - Per-week civ aggregates built at ingestion time
+//
+// One document per week_range × civ × patch × leaderboard × map × Elo bucket × opponent civ,
+// holding counts and sums only. Anything built from sums (win rates, play rates,
+// averages, matchups) can be answered exactly by grouping these documents instead of
+// scanning players. Opponent civ is only set for 2-player games. The expected_* fields
+// hold Elo expectations (services/winRateStats.js) for games where both teams were rated.
+
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Player = require('../models/Player');
+const mapMetadata = require('./mapMetadata');
+const winRateStats = require('./winRateStats');
+
+const COLLECTION = 'civ_weekly_rollup';
+const ELO_BUCKET_SIZE = 100;
+const COVERAGE_TTL_MS = 60 * 1000;
+
+// Sum a field only where it holds a positive value, and count how often it did
+const positiveSum = (field) => ({ $sum: { $cond: [{ $gt: [field, 0] }, field, 0] } });
+const positiveCount = (field) => ({ $sum: { $cond: [{ $gt: [field, 0] }, 1, 0] } });
+
+class WeeklyRollup {
+  constructor() {
+    this.availability = null;
+  }
+
+  get collectionName() {
+    return COLLECTION;
+  }
+
+  collection() {
+    return mongoose.connection.db.collection(COLLECTION);
+  }
+
+  // Weeks with players but no rollup rows. Stats only read the rollup when nothing is
+  // missing, otherwise those weeks would silently drop out of every total.
+  async coverage() {
+    const [stored, rolledUp] = await Promise.all([
+      Player.distinct('week_range'),
+      this.collection().distinct('week_range')
+    ]);
+    const rolledUpWeeks = new Set(rolledUp);
+    const missing = stored.filter(week => week && !rolledUpWeeks.has(week)).sort();
+    return { rolledUp: rolledUp.length, missing };
+  }
+
+  // Checked on every stats request, so the answer is kept for a minute
+  async isAvailable() {
+    if (!this.availability || this.availability.expiresAt < Date.now()) {
+      const { rolledUp, missing } = await this.coverage();
+      this.availability = {
+        available: rolledUp > 0 && missing.length === 0,
+        expiresAt: Date.now() + COVERAGE_TTL_MS
+      };
+    }
+    return this.availability.available;
+  }
+
+  async ensureIndexes() {
+    const collection = this.collection();
+    await collection.createIndex({ week_range: 1 });
+    await collection.createIndex({ civ: 1, patch: 1, leaderboard: 1 });
+    await collection.createIndex({ leaderboard: 1, patch: 1, elo_bucket: 1 });
+    await collection.createIndex({ opponent_civ: 1, civ: 1 });
+  }
+
+  // ─── Building ─────────────────────────────────────────────────
+  // Rebuild a single week from matches + players; safe to run repeatedly. Sums are
+  // taken as stored, so a week has to be rebuilt whenever its rows are rewritten
+  // (scripts/normalize-units.js does this after converting units).
+  async buildWeek(weekRange) {
+    const startTime = Date.now();
+    const collection = this.collection();
+    this.availability = null;
+
+    await collection.deleteMany({ week_range: weekRange });
+
+    await Match.aggregate([
+      { $match: { week_range: weekRange } },
+      {
+        $project: {
+          _id: 0, game_id: 1, patch: 1, leaderboard: 1, map: 1, avg_elo: 1, duration: 1
+        }
+      },
+      {
+        $lookup: {
+          from: 'players',
+          localField: 'game_id',
+          foreignField: 'game_id',
+          pipeline: [{
+            $project: {
+              _id: 0, civ: 1, team: 1, winner: 1, old_rating: 1,
+              feudal_age_uptime: 1, castle_age_uptime: 1, imperial_age_uptime: 1
+            }
+          }],
+          as: 'roster'
+        }
+      },
+      { $addFields: { player: '$roster' } },
+      { $unwind: '$player' },
+      { $match: { 'player.civ': { $nin: [null, ''] } } },
+      {
+        $addFields: {
+          opponent: {
+            $cond: [
+              { $eq: [{ $size: '$roster' }, 2] },
+              {
+                $first: {
+                  $filter: { input: '$roster', cond: { $ne: ['$$this.team', '$player.team'] } }
+                }
+              },
+              null
+            ]
+          },
+          durationSeconds: {
+            $cond: [{ $gt: ['$duration', 0] }, { $divide: ['$duration', 1e9] }, 0]
+          },
+          expectedScore: winRateStats.expectedScoreExpression('$roster', '$player')
+        }
+      },
+      {
+        $group: {
+          _id: {
+            week_range: weekRange,
+            civ: '$player.civ',
+            patch: { $ifNull: ['$patch', null] },
+            leaderboard: { $ifNull: ['$leaderboard', null] },
+            map: { $ifNull: ['$map', null] },
+            elo_bucket: {
+              $cond: [
+                { $gt: ['$avg_elo', 0] },
+                { $multiply: [{ $floor: { $divide: ['$avg_elo', ELO_BUCKET_SIZE] } }, ELO_BUCKET_SIZE] },
+                null
+              ]
+            },
+            opponent_civ: { $ifNull: ['$opponent.civ', null] }
+          },
+          games: { $sum: 1 },
+          wins: { $sum: { $cond: ['$player.winner', 1, 0] } },
+          duration_sum: positiveSum('$durationSeconds'),
+          duration_count: positiveCount('$durationSeconds'),
+          rating_sum: positiveSum('$player.old_rating'),
+          rating_count: positiveCount('$player.old_rating'),
+          feudal_sum: positiveSum('$player.feudal_age_uptime'),
+          feudal_count: positiveCount('$player.feudal_age_uptime'),
+          castle_sum: positiveSum('$player.castle_age_uptime'),
+          castle_count: positiveCount('$player.castle_age_uptime'),
+          imperial_sum: positiveSum('$player.imperial_age_uptime'),
+          imperial_count: positiveCount('$player.imperial_age_uptime'),
+          expected_count: positiveCount('$expectedScore'),
+          expected_wins: {
+            $sum: { $cond: [{ $and: [{ $gt: ['$expectedScore', 0] }, '$player.winner'] }, 1, 0] }
+          },
+          expected_sum: positiveSum('$expectedScore'),
+          expected_variance_sum: {
+            $sum: {
+              $cond: [
+                { $gt: ['$expectedScore', 0] },
+                { $multiply: ['$expectedScore', { $subtract: [1, '$expectedScore'] }] },
+                0
+              ]
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          week_range: '$_id.week_range',
+          civ: '$_id.civ',
+          patch: '$_id.patch',
+          leaderboard: '$_id.leaderboard',
+          map: '$_id.map',
+          elo_bucket: '$_id.elo_bucket',
+          opponent_civ: '$_id.opponent_civ',
+          updatedAt: '$$NOW'
+        }
+      },
+      { $merge: { into: COLLECTION, on: '_id', whenMatched: 'replace', whenNotMatched: 'insert' } }
+    ]).option({ allowDiskUse: true });
+
+    await this.ensureIndexes();
+
+    const documents = await collection.countDocuments({ week_range: weekRange });
+    console.log(`  📦 Rolled up ${weekRange} into ${documents.toLocaleString()} rows in ${Date.now() - startTime}ms`);
+    return { weekRange, documents };
+  }
+
+  async rebuildAll() {
+    const weeks = (await Match.distinct('week_range')).filter(Boolean).sort();
+    const results = [];
+
+    for (const weekRange of weeks) {
+      results.push(await this.buildWeek(weekRange));
+    }
+
+    // Drop weeks whose matches no longer exist
+    await this.collection().deleteMany({ week_range: { $nin: weeks } });
+    return results;
+  }
+
+  // Build the weeks imported before the rollup existed or whose build failed
+  async ensureCoverage() {
+    const { missing } = await this.coverage();
+    const results = [];
+
+    if (missing.length > 0) {
+      console.log(`📦 Rolling up ${missing.length} weeks missing from ${COLLECTION}...`);
+    }
+    for (const weekRange of missing) {
+      results.push(await this.buildWeek(weekRange));
+    }
+    return results;
+  }
+
+  async removeWeeks(weekRanges) {
+    const { deletedCount } = await this.collection().deleteMany({ week_range: { $in: weekRanges } });
+    this.availability = null;
+    return deletedCount;
+  }
+
+  // ─── Querying ─────────────────────────────────────────────────
+  // Translate stats filters into a rollup filter, or null when the rollup
+  // can't answer them exactly (unknown keys, Elo bounds off the bucket grid)
+  toFilter(filters = {}) {
+    const { leaderboard, patch, map, minElo, maxElo, civ, ...rest } = filters;
+    if (Object.values(rest).some(value => value !== undefined && value !== null)) return null;
+
+    const filter = {};
+    if (leaderboard) filter.leaderboard = leaderboard;
+    if (patch) filter.patch = parseInt(patch);
+    if (map) filter.map = { $in: mapMetadata.variants(map) };
+    if (civ) filter.civ = civ;
+
+    const lower = minElo ? parseInt(minElo) : null;
+    const upper = maxElo ? parseInt(maxElo) : null;
+    if ([lower, upper].some(bound => bound !== null && bound % ELO_BUCKET_SIZE !== 0)) return null;
+    if (lower !== null || upper !== null) {
+      filter.elo_bucket = {};
+      if (lower !== null) filter.elo_bucket.$gte = lower;
+      if (upper !== null) filter.elo_bucket.$lt = upper;
+    }
+
+    return filter;
+  }
+
+  // Totals per civ: games, wins and the sums behind every average
+  async civTotals(filter = {}) {
+    return this.collection().aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: '$civ',
+          games: { $sum: '$games' },
+          wins: { $sum: '$wins' },
+          duration_sum: { $sum: '$duration_sum' },
+          duration_count: { $sum: '$duration_count' },
+          rating_sum: { $sum: '$rating_sum' },
+          rating_count: { $sum: '$rating_count' },
+          feudal_sum: { $sum: '$feudal_sum' },
+          feudal_count: { $sum: '$feudal_count' },
+          castle_sum: { $sum: '$castle_sum' },
+          castle_count: { $sum: '$castle_count' },
+          imperial_sum: { $sum: '$imperial_sum' },
+          imperial_count: { $sum: '$imperial_count' },
+          expected_count: { $sum: '$expected_count' },
+          expected_wins: { $sum: '$expected_wins' },
+          expected_sum: { $sum: '$expected_sum' },
+          expected_variance_sum: { $sum: '$expected_variance_sum' }
+        }
+      },
+      { $sort: { games: -1 } }
+    ]).toArray();
+  }
+
+  // Games, wins and player ratings per value of one dimension (map, elo_bucket, patch...)
+  async totalsBy(dimension, filter = {}) {
+    return this.collection().aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: `$${dimension}`,
+          games: { $sum: '$games' },
+          wins: { $sum: '$wins' },
+          rating_sum: { $sum: '$rating_sum' },
+          rating_count: { $sum: '$rating_count' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+  }
+
+  // 1v1 records: one row per civ/opponent pair from the civ's point of view
+  async matchups(filter = {}) {
+    return this.collection().aggregate([
+      { $match: { ...filter, opponent_civ: { $ne: null } } },
+      {
+        $group: {
+          _id: { civ: '$civ', opponent: '$opponent_civ' },
+          games: { $sum: '$games' },
+          wins: { $sum: '$wins' }
+        }
+      }
+    ]).toArray();
+  }
+
+  average(row, field) {
+    const count = row[`${field}_count`];
+    return count > 0 ? row[`${field}_sum`] / count : null;
+  }
+}
+
+module.exports = new WeeklyRollup();
@@ -0,0 +1,160 @@
+// services/winRateStats.js - Shared statistics for every win rate the API returns
+//
+// Civ, map, opening and matchup endpoints describe a record with summarize(): the win
+// rate, its 95% Wilson interval, the standard error and whether it differs from 50%
+// (the interval excludes 0.5). Given the same civ's record on the previous patch it
+// also runs a two-proportion z-test, so patch-to-patch swings are only flagged when
+// the samples support them. The minimum sample size is shared as well; endpoints take
+// minGames() instead of keeping their own cutoffs.
+//
+// Elo adjustment: each player's expected score comes from the average old_rating of
+// their team against the other team's. versusExpected() compares actual wins with the
+// sum of those expectations, so civs picked by higher-rated players aren't flattered.
+
+const Z_95 = 1.96;
+const DEFAULT_MIN_GAMES = parseInt(process.env.STATS_MIN_GAMES) || 20;
+const ELO_SCALE = 400;
+
+// Four decimals in 0-1 terms, then scaled (scale 100 keeps 2 decimals for percentages)
+const round = (value, scale) => (value === null ? null : (Math.round(value * 10000) * scale) / 10000);
+
+class WinRateStats {
+  get confidenceLevel() {
+    return 0.95;
+  }
+
+  get defaultMinGames() {
+    return DEFAULT_MIN_GAMES;
+  }
+
+  // minGames/minMatches query value, falling back to the shared default
+  minGames(value) {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_MIN_GAMES;
+  }
+
+  // Wilson score interval for a binomial win rate; stays inside 0-1 for small samples
+  wilson(wins, games, z = Z_95) {
+    if (!games) return { lower: 0, upper: 0 };
+
+    const p = wins / games;
+    const z2 = z * z;
+    const denominator = 1 + z2 / games;
+    const centre = p + z2 / (2 * games);
+    const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * games)) / games);
+
+    return {
+      lower: Math.max(0, (centre - margin) / denominator),
+      upper: Math.min(1, (centre + margin) / denominator),
+    };
+  }
+
+  standardError(wins, games) {
+    if (!games) return null;
+    const p = wins / games;
+    return Math.sqrt((p * (1 - p)) / games);
+  }
+
+  // Two-proportion z-test (pooled) of current vs previous, each { wins, games }
+  compare(current, previous) {
+    if (!current?.games || !previous?.games) return null;
+
+    const p1 = current.wins / current.games;
+    const p2 = previous.wins / previous.games;
+    const pooled = (current.wins + previous.wins) / (current.games + previous.games);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / current.games + 1 / previous.games));
+    const z = se > 0 ? (p1 - p2) / se : 0;
+
+    return { delta: p1 - p2, z, significant: Math.abs(z) > Z_95 };
+  }
+
+  // winRate, ci, standardError and significance vs 50% for one record. Pass the previous
+  // patch's { wins, games } to add vsPrevious. scale: 100 reports percentages, for the
+  // endpoints that already return win rates that way.
+  summarize(wins, games, { previous = null, scale = 1 } = {}) {
+    const winRate = games > 0 ? wins / games : null;
+    const ci = this.wilson(wins, games);
+    const summary = {
+      winRate: round(winRate, scale),
+      ci: { lower: round(ci.lower, scale), upper: round(ci.upper, scale) },
+      standardError: round(this.standardError(wins, games), scale),
+      significant: games > 0 && (ci.lower > 0.5 || ci.upper < 0.5),
+    };
+
+    if (previous) {
+      const comparison = this.compare({ wins, games }, previous);
+      summary.vsPrevious = comparison && {
+        winRate: round(previous.wins / previous.games, scale),
+        games: previous.games,
+        delta: round(comparison.delta, scale),
+        z: Math.round(comparison.z * 100) / 100,
+        significant: comparison.significant,
+      };
+    }
+
+    return summary;
+  }
+
+  // Aggregation expression for a player's Elo expected score against the other team.
+  // roster holds every player of the game, player the one being scored; each side is
+  // the average rating of its rated players, and the result is null if a side has none.
+  expectedScoreExpression(roster = '$roster', player = '$player') {
+    const sideRating = (comparison) => ({
+      $avg: {
+        $map: {
+          input: {
+            $filter: {
+              input: roster,
+              cond: {
+                $and: [
+                  { [comparison]: ['$$this.team', `${player}.team`] },
+                  { $gt: ['$$this.old_rating', 0] },
+                ],
+              },
+            },
+          },
+          in: '$$this.old_rating',
+        },
+      },
+    });
+
+    return {
+      $let: {
+        vars: { own: sideRating('$eq'), opponents: sideRating('$ne') },
+        in: {
+          $cond: [
+            { $and: [{ $gt: ['$$own', 0] }, { $gt: ['$$opponents', 0] }] },
+            {
+              $divide: [
+                1,
+                { $add: [1, { $pow: [10, { $divide: [{ $subtract: ['$$opponents', '$$own'] }, ELO_SCALE] }] }] },
+              ],
+            },
+            null,
+          ],
+        },
+      },
+    };
+  }
+
+  // Actual vs expected wins over the games that had an expected score. varianceSum is
+  // the sum of p(1-p) over those games, which gives the standard error of the difference.
+  versusExpected(wins, expectedWins, varianceSum, games) {
+    if (!games) return null;
+
+    const difference = (wins - expectedWins) / games;
+    const standardError = Math.sqrt(varianceSum) / games;
+
+    return {
+      games,
+      wins,
+      expectedWins: Math.round(expectedWins * 10) / 10,
+      expectedWinRate: round(expectedWins / games, 1),
+      winRateAboveExpected: round(difference, 1),
+      standardError: round(standardError, 1),
+      significant: standardError > 0 && Math.abs(difference) > Z_95 * standardError,
+    };
+  }
+}
+
+module.exports = new WinRateStats();
@@ -0,0 +1,56 @@
+// test/memoryCache.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryCache = require('../middleware/memoryCache');
+
+test('get returns stored bodies until they expire', (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const cache = new MemoryCache();
+
+  cache.set('a', '{"ok":true}', 60, []);
+  assert.equal(cache.get('a'), '{"ok":true}');
+  assert.equal(cache.get('missing'), null);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(cache.get('a'), null);
+  assert.equal(cache.stats().entries, 0);
+});
+
+test('evicts the least recently used entry past maxEntries', () => {
+  const cache = new MemoryCache({ maxEntries: 2 });
+
+  cache.set('a', 'A', 60, []);
+  cache.set('b', 'B', 60, []);
+  cache.get('a');
+  cache.set('c', 'C', 60, []);
+
+  assert.equal(cache.get('a'), 'A');
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('c'), 'C');
+});
+
+test('tracks bytes, skips oversized bodies and replaces existing keys', () => {
+  const cache = new MemoryCache({ maxMb: 1 });
+
+  cache.set('big', 'x'.repeat(2 * 1024 * 1024), 60, []);
+  assert.equal(cache.get('big'), null);
+
+  cache.set('a', 'xx', 60, []);
+  cache.set('a', 'xxxx', 60, []);
+  assert.equal(cache.bytes, 4);
+  assert.equal(cache.stats().entries, 1);
+
+  cache.delete('a');
+  assert.equal(cache.bytes, 0);
+});
+
+test('deleteWhere removes matching entries by tag', () => {
+  const cache = new MemoryCache();
+  cache.set('civs', '1', 60, ['civs', 'patch:all']);
+  cache.set('maps', '2', 60, ['maps', 'patch:all']);
+  cache.set('patch', '3', 60, ['civs', 'patch:120']);
+
+  const removed = cache.deleteWhere((key, entry) => entry.tags.includes('civs'));
+  assert.equal(removed, 2);
+  assert.equal(cache.get('maps'), '2');
+});
@@ -0,0 +1,55 @@
+// test/schemaValidator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schemaValidator = require('../services/schemaValidator');
+
+const NS_PER_SECOND = 1e9;
+
+test('detectUnit picks the duration unit from the median', () => {
+  // ~30 minute games in each unit
+  assert.equal(schemaValidator.detectUnit('duration', [1800 * NS_PER_SECOND, 1700 * NS_PER_SECOND]).unit, 'nanoseconds');
+  assert.equal(schemaValidator.detectUnit('duration', [1800000, 1700000, 1900000]).unit, 'milliseconds');
+  assert.equal(schemaValidator.detectUnit('duration', [1800, 1700, 1900]).factor, NS_PER_SECOND);
+  assert.equal(schemaValidator.detectUnit('duration', [30, 28, 35]).unit, 'minutes');
+});
+
+test('detectUnit picks the age-up unit and ignores empty values', () => {
+  assert.equal(schemaValidator.detectUnit('ageUp', [600, 620, 0, null]).unit, 'seconds');
+  assert.equal(schemaValidator.detectUnit('ageUp', [600000, 620000]).factor, 1 / 1000);
+  assert.equal(schemaValidator.detectUnit('ageUp', [600 * NS_PER_SECOND]).unit, 'nanoseconds');
+  assert.equal(schemaValidator.detectUnit('ageUp', [0, null, NaN]), null);
+});
+
+test('validateBatch converts units and quarantines rows missing required fields', () => {
+  const tracker = schemaValidator.createTracker('matches');
+  const { accepted, quarantined } = schemaValidator.validateBatch('matches', [
+    { game_id: '1', started_timestamp: '2024-05-01T12:00:00Z', duration: 1800, week_range: 'w' },
+    { game_id: '2', started_timestamp: '2024-05-01T13:00:00Z', duration: 2400, avg_elo: 99999, week_range: 'w' },
+    { started_timestamp: '2024-05-01T14:00:00Z', duration: 2000, week_range: 'w' }
+  ], tracker);
+
+  assert.equal(accepted.length, 2);
+  assert.equal(accepted[0].duration, 1800 * NS_PER_SECOND);
+  assert.equal(accepted[0].week_range, 'w');
+  assert.equal(accepted[1].avg_elo, undefined);
+  assert.deepEqual(quarantined[0].reasons, ['missing game_id']);
+
+  const summary = tracker.summary();
+  assert.equal(summary.rows, 3);
+  assert.equal(summary.quarantined, 1);
+  assert.equal(summary.out_of_range.avg_elo, 1);
+  assert.deepEqual(summary.units.duration, { seconds: 1 });
+});
+
+test('checkValue coerces types and rejects out-of-range values', () => {
+  assert.equal(schemaValidator.checkValue('winner', { type: 'boolean' }, 1), true);
+  assert.equal(schemaValidator.checkValue('winner', { type: 'boolean' }, 'yes'), undefined);
+  assert.equal(schemaValidator.checkValue('map', { type: 'string' }, '  arabia '), 'arabia');
+  assert.equal(schemaValidator.checkValue('started_timestamp', { type: 'date' }, '2010-01-01'), undefined);
+  assert.equal(schemaValidator.checkValue('team', { type: 'number', min: 0 }, -1), undefined);
+  assert.throws(() => schemaValidator.checkValue('x', { type: 'object' }, {}), /Unknown type/);
+});
+
+test('createTracker rejects unknown collections', () => {
+  assert.throws(() => schemaValidator.createTracker('replays'), /No schema/);
+});
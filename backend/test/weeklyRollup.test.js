@@ -0,0 +1,37 @@
+// test/weeklyRollup.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const weeklyRollup = require('../services/weeklyRollup');
+
+test('toFilter maps stats filters onto rollup fields', () => {
+  assert.deepEqual(weeklyRollup.toFilter(), {});
+  assert.deepEqual(weeklyRollup.toFilter({ leaderboard: 'random_map', patch: '125283', civ: 'Franks' }), {
+    leaderboard: 'random_map',
+    patch: 125283,
+    civ: 'Franks'
+  });
+});
+
+test('toFilter matches every stored variant of a map', () => {
+  const filter = weeklyRollup.toFilter({ map: 'arabia' });
+  assert.ok(filter.map.$in.includes('arabia'));
+  assert.ok(filter.map.$in.length >= 1);
+});
+
+test('toFilter turns Elo bounds into bucket ranges', () => {
+  assert.deepEqual(weeklyRollup.toFilter({ minElo: '1200', maxElo: '1600' }), {
+    elo_bucket: { $gte: 1200, $lt: 1600 }
+  });
+  assert.deepEqual(weeklyRollup.toFilter({ minElo: '1800' }), { elo_bucket: { $gte: 1800 } });
+});
+
+test('toFilter returns null for filters the rollup cannot answer exactly', () => {
+  assert.equal(weeklyRollup.toFilter({ minElo: '1250' }), null);
+  assert.equal(weeklyRollup.toFilter({ timeframe: '30' }), null);
+  assert.deepEqual(weeklyRollup.toFilter({ timeframe: undefined, matchType: null }), {});
+});
+
+test('average divides a sum by its count', () => {
+  assert.equal(weeklyRollup.average({ duration_sum: 3600, duration_count: 2 }, 'duration'), 1800);
+  assert.equal(weeklyRollup.average({ duration_sum: 0, duration_count: 0 }, 'duration'), null);
+});
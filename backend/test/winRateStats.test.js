@@ -0,0 +1,75 @@
+// test/winRateStats.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const winRateStats = require('../services/winRateStats');
+
+test('minGames falls back to the default for missing or invalid values', () => {
+  assert.equal(winRateStats.minGames('50'), 50);
+  assert.equal(winRateStats.minGames(undefined), winRateStats.defaultMinGames);
+  assert.equal(winRateStats.minGames('abc'), winRateStats.defaultMinGames);
+  assert.equal(winRateStats.minGames('0'), winRateStats.defaultMinGames);
+  assert.equal(winRateStats.minGames('-5'), winRateStats.defaultMinGames);
+});
+
+test('wilson interval stays inside 0-1 and contains the win rate', () => {
+  assert.deepEqual(winRateStats.wilson(0, 0), { lower: 0, upper: 0 });
+
+  const all = winRateStats.wilson(5, 5);
+  assert.ok(all.lower > 0.5 && all.lower < 1);
+  assert.equal(all.upper, 1);
+
+  const none = winRateStats.wilson(0, 5);
+  assert.equal(none.lower, 0);
+  assert.ok(none.upper < 0.5);
+
+  const { lower, upper } = winRateStats.wilson(550, 1000);
+  assert.ok(lower < 0.55 && upper > 0.55);
+  assert.ok(Math.abs(lower - 0.5191) < 0.001);
+  assert.ok(Math.abs(upper - 0.5805) < 0.001);
+});
+
+test('summarize flags records whose interval excludes 50%', () => {
+  const significant = winRateStats.summarize(550, 1000);
+  assert.equal(significant.winRate, 0.55);
+  assert.equal(significant.significant, true);
+
+  const noise = winRateStats.summarize(11, 20);
+  assert.equal(noise.winRate, 0.55);
+  assert.equal(noise.significant, false);
+
+  const empty = winRateStats.summarize(0, 0);
+  assert.equal(empty.winRate, null);
+  assert.equal(empty.standardError, null);
+  assert.equal(empty.significant, false);
+});
+
+test('summarize scales to percentages and adds vsPrevious', () => {
+  const summary = winRateStats.summarize(600, 1000, { previous: { wins: 500, games: 1000 }, scale: 100 });
+  assert.equal(summary.winRate, 60);
+  assert.ok(summary.ci.lower < 60 && summary.ci.upper > 60);
+  assert.equal(summary.vsPrevious.winRate, 50);
+  assert.equal(summary.vsPrevious.delta, 10);
+  assert.equal(summary.vsPrevious.significant, true);
+});
+
+test('compare needs games on both sides', () => {
+  assert.equal(winRateStats.compare({ wins: 5, games: 10 }, { wins: 0, games: 0 }), null);
+
+  const same = winRateStats.compare({ wins: 50, games: 100 }, { wins: 50, games: 100 });
+  assert.equal(same.delta, 0);
+  assert.equal(same.significant, false);
+});
+
+test('versusExpected compares wins with the Elo expectation', () => {
+  assert.equal(winRateStats.versusExpected(0, 0, 0, 0), null);
+
+  // 1000 even games (p = 0.5 each) won 560 times: 6 points above, SE ~1.6 points
+  const result = winRateStats.versusExpected(560, 500, 250, 1000);
+  assert.equal(result.expectedWinRate, 0.5);
+  assert.equal(result.winRateAboveExpected, 0.06);
+  assert.equal(result.standardError, 0.0158);
+  assert.equal(result.significant, true);
+
+  const within = winRateStats.versusExpected(510, 500, 250, 1000);
+  assert.equal(within.significant, false);
+});
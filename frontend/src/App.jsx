@@ -14,6 +14,9 @@ import CivilizationsPage      from './pages/CivilizationsPage';
 import CivilizationDetailPage from './pages/CivilizationDetailPage';
 import MapsPage               from './pages/MapsPage';
 import InsightsPage           from './pages/InsightsPage';
+import PlayerProfilePage      from './pages/PlayerProfilePage';
+import PlayerComparePage      from './pages/PlayerComparePage';
+import MatchDetailPage        from './pages/MatchDetailPage';
 
 function App() {
   // Theme state & persistence
@@ -64,6 +67,10 @@ function App() {
           <Route path="/civs/:civName" element={<CivilizationDetailPage />} />
           <Route path="/maps" element={<MapsPage />} />
           <Route path="/insights" element={<InsightsPage />} />
+          <Route path="/players/:profileId" element={<PlayerProfilePage />} />
+          <Route path="/players/:profileId/vs" element={<PlayerComparePage />} />
+          <Route path="/players/:profileId/vs/:opponentId" element={<PlayerComparePage />} />
+          <Route path="/matches/:gameId" element={<MatchDetailPage />} />
 
           {/* 404 */}
           <Route path="*" element={<h1 className="p-8">Page Not Found</h1>} />
@@ -1,7 +1,8 @@
 // components/Common/MapSelector.jsx - Interactive map selection component
 import React, { useState, useMemo } from 'react';
 import MapIcon from './MapIcon';
-import { getTopMapsByCategory, processMapData, MAP_TYPES } from '../../utils/mapUtils';
+import { useMapMetadata } from '../../hooks/useApi';
+import { getTopMapsByCategory, processMapData, MAP_TYPES, MAP_TYPE_LABELS } from '../../utils/mapUtils';
 
 const MapSelector = ({ 
   maps = [], 
@@ -14,31 +15,35 @@ const MapSelector = ({
 }) => {
   const [activeCategory, setActiveCategory] = useState(MAP_TYPES.LAND);
   const [showAll, setShowAll] = useState(false);
+  const { data: metadata } = useMapMetadata();
 
   // Process and categorize maps
   const categorizedMaps = useMemo(() => {
     if (!showCategories) {
-      return { 'All Maps': processMapData(maps).slice(0, showAll ? maps.length : maxMapsPerCategory * 2) };
+      return { 'All Maps': processMapData(maps, metadata).slice(0, showAll ? maps.length : maxMapsPerCategory * 2) };
     }
     
-    const topMaps = getTopMapsByCategory(maps, showAll ? 20 : maxMapsPerCategory);
+    const topMaps = getTopMapsByCategory(maps, showAll ? 20 : maxMapsPerCategory, metadata);
     return topMaps;
-  }, [maps, showCategories, showAll, maxMapsPerCategory]);
+  }, [maps, metadata, showCategories, showAll, maxMapsPerCategory]);
 
-  // Get maps for active category
+  // Get maps for active category (falls back to the first category that has maps)
   const activeMaps = useMemo(() => {
     if (!showCategories) {
       return categorizedMaps['All Maps'] || [];
     }
-    return categorizedMaps[activeCategory] || [];
+    return categorizedMaps[activeCategory] || Object.values(categorizedMaps)[0] || [];
   }, [categorizedMaps, activeCategory, showCategories]);
 
+  const currentCategory = categorizedMaps[activeCategory] ? activeCategory : Object.keys(categorizedMaps)[0];
+
   // Category icons
   const categoryIcons = {
     [MAP_TYPES.LAND]: 'fas fa-mountain',
     [MAP_TYPES.WATER]: 'fas fa-water',
     [MAP_TYPES.HYBRID]: 'fas fa-island-tropical',
-    [MAP_TYPES.SPECIAL]: 'fas fa-dice'
+    [MAP_TYPES.CLOSED]: 'fas fa-chess-rook',
+    [MAP_TYPES.NOMAD]: 'fas fa-campground'
   };
 
   const handleMapClick = (map) => {
@@ -55,12 +60,12 @@ const MapSelector = ({
           {Object.keys(categorizedMaps).map((category) => (
             <button
               key={category}
-              className={`tab tab-sm sm:tab-md ${activeCategory === category ? 'tab-active' : ''}`}
+              className={`tab tab-sm sm:tab-md ${currentCategory === category ? 'tab-active' : ''}`}
               onClick={() => setActiveCategory(category)}
             >
               <i className={`${categoryIcons[category]} mr-2 text-sm`}></i>
-              <span className="hidden sm:inline">{category}</span>
-              <span className="sm:hidden">{category.split(' ')[0]}</span>
+              <span className="hidden sm:inline">{MAP_TYPE_LABELS[category] || category}</span>
+              <span className="sm:hidden">{(MAP_TYPE_LABELS[category] || category).split(' ')[0]}</span>
               <div className="badge badge-sm ml-2 opacity-75">
                 {(categorizedMaps[category] || []).length}
               </div>
@@ -0,0 +1,161 @@
+// components/Common/MapTierList.jsx - Civ tier list for one map with Elo band and patch filters
+import React, { useState, useMemo } from 'react';
+import CivIcon from './CivIcon';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import WinRateInterval from './WinRateInterval';
+import { useMapCivilizations } from '../../hooks/useApi';
+import { formatCivilization, formatNumber, formatPercentage, formatDuration } from '../../utils/formatters';
+
+// Bands are 100-aligned so the backend can answer them from the weekly rollup
+const ELO_BANDS = [
+  { value: '', label: 'All Elo', minElo: '', maxElo: '' },
+  { value: 'low', label: 'Under 1000', minElo: '', maxElo: '1000' },
+  { value: 'mid', label: '1000 - 1400', minElo: '1000', maxElo: '1400' },
+  { value: 'high', label: '1400 - 1800', minElo: '1400', maxElo: '1800' },
+  { value: 'top', label: '1800+', minElo: '1800', maxElo: '' }
+];
+
+const TIER_STYLES = {
+  S: 'bg-error text-error-content',
+  A: 'bg-warning text-warning-content',
+  B: 'bg-success text-success-content',
+  C: 'bg-info text-info-content',
+  D: 'bg-neutral text-neutral-content'
+};
+
+const MapTierList = ({ mapName, displayName, leaderboard = '', onClose = null }) => {
+  const [eloBand, setEloBand] = useState('');
+  const [patch, setPatch] = useState('');
+
+  const params = useMemo(() => {
+    const band = ELO_BANDS.find(option => option.value === eloBand);
+    return { leaderboard, patch, minElo: band.minElo, maxElo: band.maxElo };
+  }, [leaderboard, patch, eloBand]);
+
+  const { data, loading, error, refetch } = useMapCivilizations(mapName, params);
+
+  const civsByName = useMemo(() => {
+    return Object.fromEntries((data?.civilizations || []).map(civ => [civ.civ, civ]));
+  }, [data]);
+
+  const unranked = (data?.civilizations || []).filter(civ => !civ.tier);
+
+  return (
+    <div className="card bg-base-100 shadow-xl border border-base-300 mb-8">
+      <div className="card-body">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h2 className="card-title">
+            <i className="fas fa-trophy mr-2 text-primary"></i>
+            {displayName || data?.map?.displayName || mapName} Tier List
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              className="select select-bordered select-sm"
+              value={eloBand}
+              onChange={(e) => setEloBand(e.target.value)}
+            >
+              {ELO_BANDS.map(band => (
+                <option key={band.value} value={band.value}>{band.label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              className="input input-bordered input-sm w-32"
+              placeholder="Patch"
+              value={patch}
+              onChange={(e) => setPatch(e.target.value)}
+            />
+            {onClose && (
+              <button className="btn btn-ghost btn-sm" onClick={onClose}>
+                <i className="fas fa-times"></i>
+              </button>
+            )}
+          </div>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner text="Loading civilization tiers..." />
+        ) : error ? (
+          <ErrorMessage message={error} onRetry={refetch} />
+        ) : data ? (
+          <>
+            <div className="space-y-2">
+              {Object.entries(data.tiers || {}).map(([tier, civs]) => (
+                <div key={tier} className="flex items-stretch bg-base-200 rounded-lg overflow-hidden">
+                  <div className={`flex items-center justify-center w-14 text-2xl font-bold ${TIER_STYLES[tier]}`}>
+                    {tier}
+                  </div>
+                  <div className="flex flex-wrap gap-3 p-3 flex-1">
+                    {civs.length === 0 && (
+                      <span className="text-sm text-base-content/50 self-center">No civilizations</span>
+                    )}
+                    {civs.map(name => {
+                      const civ = civsByName[name];
+                      return (
+                        <div
+                          key={name}
+                          className="flex items-center gap-2 bg-base-100 rounded-lg px-2 py-1 tooltip"
+                          data-tip={`${formatNumber(civ.games)} games · ${formatPercentage(civ.playRate)} play rate · ${formatDuration(civ.avgDuration)} avg`}
+                        >
+                          <CivIcon civName={name} size="sm" />
+                          <div className="text-left">
+                            <div className="text-sm font-semibold">{formatCivilization(name)}</div>
+                            <div className="text-xs text-base-content/70">{formatPercentage(civ.winRate)}</div>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="overflow-x-auto mt-6">
+              <table className="table table-zebra table-sm">
+                <thead>
+                  <tr>
+                    <th>Civilization</th>
+                    <th>Tier</th>
+                    <th className="text-right">Win Rate</th>
+                    <th>95% CI</th>
+                    <th className="text-right">Play Rate</th>
+                    <th className="text-right">Avg Length</th>
+                    <th className="text-right">Games</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.civilizations.map(civ => (
+                    <tr key={civ.civ} className={civ.tier ? '' : 'opacity-50'}>
+                      <td>
+                        <div className="flex items-center gap-2">
+                          <CivIcon civName={civ.civ} size="xs" />
+                          {formatCivilization(civ.civ)}
+                        </div>
+                      </td>
+                      <td>{civ.tier || '-'}</td>
+                      <td className="text-right">{formatPercentage(civ.winRate)}</td>
+                      <td>
+                        <WinRateInterval winRate={civ.winRate} ci={civ.ci} significant={civ.significant} />
+                      </td>
+                      <td className="text-right">{formatPercentage(civ.playRate)}</td>
+                      <td className="text-right">{formatDuration(civ.avgDuration)}</td>
+                      <td className="text-right">{formatNumber(civ.games)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="text-xs text-base-content/60 mt-4">
+              {formatNumber(data.meta?.totalGames || 0)} player games.
+              {unranked.length > 0 && ` ${unranked.length} civilizations with fewer than ${data.meta?.minGames} games are left unranked.`}
+            </div>
+          </>
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+export default MapTierList;
@@ -0,0 +1,142 @@
+// components/Common/MatchupHeatmap.jsx - Sortable civ-vs-civ win rate heatmap
+import React, { useState, useMemo } from 'react';
+import CivIcon from './CivIcon';
+import { formatCivilization, formatNumber, formatPercentage } from '../../utils/formatters';
+
+// Red (losing) -> neutral -> green (winning), clamped to a 40-60% window
+const getCellColor = (winRate) => {
+  const clamped = Math.max(0.4, Math.min(0.6, winRate));
+  const hue = ((clamped - 0.4) / 0.2) * 120;
+  return `hsla(${hue}, 70%, 45%, 0.85)`;
+};
+
+const SORT_OPTIONS = [
+  { value: 'games', label: 'Most played' },
+  { value: 'winRate', label: 'Win rate' },
+  { value: 'name', label: 'Name' }
+];
+
+// onCellClick(civ, opponent): opponent is null when a row header is clicked
+const MatchupHeatmap = ({ matchups, onCellClick = () => {}, minGames = 10 }) => {
+  const [sortBy, setSortBy] = useState('games');
+
+  const civilizations = matchups?.civilizations || [];
+  const matrix = matchups?.matrix || {};
+
+  // Overall record per civ (mirrors excluded) used for sorting
+  const rowTotals = useMemo(() => {
+    const totals = {};
+    civilizations.forEach(civ => {
+      let games = 0;
+      let wins = 0;
+      civilizations.forEach(opponent => {
+        const cell = matrix[civ]?.[opponent];
+        if (!cell || civ === opponent) return;
+        games += cell.games;
+        wins += cell.wins;
+      });
+      totals[civ] = { games, wins, winRate: games > 0 ? wins / games : 0 };
+    });
+    return totals;
+  }, [civilizations, matrix]);
+
+  const sortedCivs = useMemo(() => {
+    return [...civilizations].sort((a, b) => {
+      if (sortBy === 'name') return a.localeCompare(b);
+      return (rowTotals[b]?.[sortBy] || 0) - (rowTotals[a]?.[sortBy] || 0);
+    });
+  }, [civilizations, rowTotals, sortBy]);
+
+  if (civilizations.length === 0) {
+    return (
+      <div className="text-center py-12 text-base-content/60">
+        <i className="fas fa-th text-4xl mb-4"></i>
+        <p>No 1v1 matchup data for these filters</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="text-sm text-base-content/70">
+          Row civ&apos;s win rate against column civ · {formatNumber(matchups.totalGames || 0)} games
+          {matchups.liveMatchLimit && ` (latest ${formatNumber(matchups.liveMatchLimit)} matches)`}
+        </div>
+        <div className="join">
+          {SORT_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              className={`btn btn-xs join-item ${sortBy === option.value ? 'btn-primary' : 'btn-ghost'}`}
+              onClick={() => setSortBy(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="table-fixed border-separate" style={{ borderSpacing: 2 }}>
+          <thead>
+            <tr>
+              <th className="w-32"></th>
+              {sortedCivs.map(civ => (
+                <th key={civ} className="w-12 p-0" title={formatCivilization(civ)}>
+                  <div className="flex justify-center">
+                    <CivIcon civName={civ} size="xs" />
+                  </div>
+                </th>
+              ))}
+              <th className="w-16 text-xs text-base-content/70">Overall</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedCivs.map(civ => (
+              <tr key={civ}>
+                <th className="text-left pr-2">
+                  <button
+                    className="flex items-center gap-2 hover:text-primary"
+                    onClick={() => onCellClick(civ, null)}
+                  >
+                    <CivIcon civName={civ} size="xs" />
+                    <span className="text-xs font-medium truncate">{formatCivilization(civ)}</span>
+                  </button>
+                </th>
+                {sortedCivs.map(opponent => {
+                  const cell = matrix[civ]?.[opponent];
+                  const isMirror = civ === opponent;
+                  const hasData = cell && cell.games >= minGames && !isMirror;
+
+                  return (
+                    <td
+                      key={opponent}
+                      className={`w-12 h-8 text-center text-xs rounded ${hasData ? 'cursor-pointer hover:ring-2 hover:ring-primary' : 'bg-base-300'}`}
+                      style={hasData ? { backgroundColor: getCellColor(cell.winRate) } : undefined}
+                      title={cell && !isMirror
+                        ? `${formatCivilization(civ)} vs ${formatCivilization(opponent)}: ${formatPercentage(cell.winRate)} ` +
+                          `(${formatNumber(cell.wins)}/${formatNumber(cell.games)}, 95% CI ${formatPercentage(cell.ci?.lower)}-${formatPercentage(cell.ci?.upper)})`
+                        : undefined}
+                      onClick={() => hasData && onCellClick(civ, opponent)}
+                    >
+                      {hasData ? Math.round(cell.winRate * 100) : isMirror ? '—' : ''}
+                    </td>
+                  );
+                })}
+                <td className="text-center text-xs font-bold">
+                  {rowTotals[civ]?.games > 0 ? formatPercentage(rowTotals[civ].winRate) : 'N/A'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-base-content/60 mt-3">
+        Cells with fewer than {minGames} games are greyed out. Hover a cell for the sample size and 95% confidence interval.
+      </p>
+    </div>
+  );
+};
+
+export default MatchupHeatmap;
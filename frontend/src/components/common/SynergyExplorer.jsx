@@ -0,0 +1,161 @@
+// components/Common/SynergyExplorer.jsx - Best team-game partners for a chosen civ
+import React, { useState, useMemo } from 'react';
+import CivIcon from './CivIcon';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import WinRateInterval from './WinRateInterval';
+import { useSynergies } from '../../hooks/useApi';
+import { formatCivilization, formatNumber, formatPercentage } from '../../utils/formatters';
+import { formatDelta, significanceClass } from '../../utils/statistics';
+import { leaderboardOptions } from '../../utils/constants';
+
+const LEADERBOARDS = leaderboardOptions(leaderboard => leaderboard.teamGame);
+
+const TEAM_SIZES = [
+  { value: '', label: 'All team sizes' },
+  { value: '2', label: '2v2' },
+  { value: '3', label: '3v3' },
+  { value: '4', label: '4v4' }
+];
+
+const SynergyExplorer = ({ initialCiv = '' }) => {
+  const [civ, setCiv] = useState(initialCiv);
+  const [leaderboard, setLeaderboard] = useState('');
+  const [teamSize, setTeamSize] = useState('');
+  // Empty = the latest patch; the API scans one patch at a time
+  const [patch, setPatch] = useState('');
+
+  const params = useMemo(() => ({ civ, leaderboard, teamSize, patch }), [civ, leaderboard, teamSize, patch]);
+  const { data, loading, error, refetch } = useSynergies(params);
+
+  const civOptions = useMemo(() => {
+    return (data?.civilizations || []).map(row => row.civ).sort((a, b) => a.localeCompare(b));
+  }, [data]);
+
+  const selected = (data?.civilizations || []).find(row => row.civ.toLowerCase() === civ.toLowerCase());
+  const pairs = data?.pairs || [];
+
+  return (
+    <div className="card bg-base-200 shadow-xl mb-8">
+      <div className="card-body">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-2">
+          <h2 className="card-title">
+            <i className="fas fa-handshake mr-2 text-primary" />
+            Team Synergies
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              className="select select-bordered select-sm"
+              value={civ}
+              onChange={(e) => setCiv(e.target.value)}
+            >
+              <option value="">Top pairs</option>
+              {/* Keep the chosen civ selectable while a refetch is loading */}
+              {civ && !civOptions.includes(civ) && <option value={civ}>{formatCivilization(civ)}</option>}
+              {civOptions.map(name => (
+                <option key={name} value={name}>{formatCivilization(name)}</option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={leaderboard}
+              onChange={(e) => setLeaderboard(e.target.value)}
+            >
+              {LEADERBOARDS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm"
+              value={teamSize}
+              onChange={(e) => setTeamSize(e.target.value)}
+            >
+              {TEAM_SIZES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="input input-bordered input-sm w-28"
+              placeholder="Latest patch"
+              value={patch}
+              onChange={(e) => setPatch(e.target.value.replace(/\D/g, ''))}
+            />
+          </div>
+        </div>
+        <p className="text-sm text-base-content/70 mb-4">
+          Win rate of two civs on the same team compared with the average of their own team-game win rates.
+          {selected && ` ${formatCivilization(selected.civ)} wins ${formatPercentage(selected.winRate)} of ${formatNumber(selected.games)} team games.`}
+        </p>
+
+        {loading ? (
+          <LoadingSpinner text="Loading team synergies..." />
+        ) : error ? (
+          <ErrorMessage message={error} onRetry={refetch} />
+        ) : pairs.length === 0 ? (
+          <p className="text-base-content/60 text-center py-4">
+            No pairs with at least {data?.meta?.minGames ?? 'the minimum'} games for these filters
+          </p>
+        ) : (
+          <div className="overflow-x-auto max-h-96">
+            <table className="table table-zebra table-sm table-pin-rows">
+              <thead>
+                <tr>
+                  <th>{civ ? 'Partner' : 'Pair'}</th>
+                  <th className="text-right">Pair Win Rate</th>
+                  <th>95% CI</th>
+                  <th className="text-right">Expected</th>
+                  <th className="text-right">Synergy</th>
+                  <th className="text-right">Games</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pairs.map(pair => {
+                  const shown = civ ? [pair.partner] : pair.civs;
+                  return (
+                    <tr key={pair.civs.join('+')}>
+                      <td>
+                        <div className="flex items-center gap-2">
+                          {shown.map(name => (
+                            <CivIcon key={name} civName={name} size="xs" />
+                          ))}
+                          {shown.map(formatCivilization).join(' + ')}
+                        </div>
+                      </td>
+                      <td className="text-right">{formatPercentage(pair.winRate)}</td>
+                      <td>
+                        <WinRateInterval winRate={pair.winRate} ci={pair.ci} significant={pair.significant} />
+                      </td>
+                      <td className="text-right">
+                        <span
+                          className="tooltip tooltip-left"
+                          data-tip={pair.civs.map(name => `${formatCivilization(name)} ${formatPercentage(pair.baselines[name])}`).join(' · ')}
+                        >
+                          {formatPercentage(pair.expectedWinRate)}
+                        </span>
+                      </td>
+                      <td className={`text-right font-semibold ${significanceClass(pair.synergy, pair.synergySignificant, 0)}`}>
+                        {formatDelta(pair.synergy)}
+                      </td>
+                      <td className="text-right">{formatNumber(pair.games)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {data?.meta && (
+          <div className="text-xs text-base-content/60 mt-4">
+            {formatNumber(data.meta.totalPairs)} pairs with at least {data.meta.minGames} games
+            {' '}on {data.meta.appliedFilters.latestPatch ? 'the latest patch' : 'patch'} {data.meta.appliedFilters.patch}
+            {data.meta.totalPairs > pairs.length && `, showing the top ${pairs.length}`}.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SynergyExplorer;
@@ -0,0 +1,45 @@
+// components/Common/WinRateInterval.jsx - Inline error bar: win rate with its 95% interval around 50%
+import React from 'react';
+import { formatInterval } from '../../utils/statistics';
+
+const WinRateInterval = ({
+  winRate,
+  ci,
+  significant = false,
+  scale = 1,          // 1 for 0-1 win rates, 100 for endpoints that return percentages
+  domain = [0.35, 0.65],
+  className = 'w-24'
+}) => {
+  if (winRate === null || winRate === undefined || !ci) return null;
+
+  const [min, max] = domain;
+  const position = (value) => {
+    const clamped = Math.max(min, Math.min(max, value / scale));
+    return `${((clamped - min) / (max - min)) * 100}%`;
+  };
+  const color = !significant ? 'bg-base-content/60' : winRate > 0.5 * scale ? 'bg-success' : 'bg-error';
+
+  return (
+    <div
+      className={`relative h-3 ${className}`}
+      title={`95% CI ${formatInterval(ci, scale)}${significant ? '' : ' (not significantly different from 50%)'}`}
+    >
+      {/* 50% reference line */}
+      <div className="absolute top-0 bottom-0 w-px bg-base-content/30" style={{ left: position(0.5 * scale) }} />
+      {/* Interval whisker */}
+      <div
+        className={`absolute top-1/2 h-0.5 -translate-y-1/2 ${color}`}
+        style={{ left: position(ci.lower), right: `calc(100% - ${position(ci.upper)})` }}
+      />
+      <div className={`absolute top-0.5 bottom-0.5 w-px ${color}`} style={{ left: position(ci.lower) }} />
+      <div className={`absolute top-0.5 bottom-0.5 w-px ${color}`} style={{ left: position(ci.upper) }} />
+      {/* Point estimate */}
+      <div
+        className={`absolute top-1/2 w-2 h-2 rounded-full -translate-x-1/2 -translate-y-1/2 ${color}`}
+        style={{ left: position(winRate) }}
+      />
+    </div>
+  );
+};
+
+export default WinRateInterval;
@@ -192,6 +192,51 @@ export const useMapStats = (params = {}) => {
   );
 };
 
+// Map categories and display names for utils/mapUtils.js (highly cached)
+export const useMapMetadata = () => {
+  return useApi(
+    () => apiService.getMapMetadata(),
+    [],
+    true,
+    { 
+      cacheKey: 'map-metadata',
+      retryAttempts: 2
+    }
+  );
+};
+
+// Civ tier list for one map, refetched when the Elo band or patch changes
+export const useMapCivilizations = (mapName, params = {}) => {
+  const filterHash = useMemo(() => JSON.stringify({ mapName, ...params }), [mapName, params]);
+
+  return useApi(
+    () => apiService.getMapCivilizations(mapName, params),
+    [filterHash],
+    !!mapName,
+    {
+      debounceMs: 300,
+      cacheKey: `map-civs-${filterHash}`,
+      retryAttempts: 1
+    }
+  );
+};
+
+// Team-game civ pairs, refetched when the civ or filters change
+export const useSynergies = (params = {}) => {
+  const filterHash = useMemo(() => JSON.stringify(params), [params]);
+
+  return useApi(
+    () => apiService.getSynergies(params),
+    [filterHash],
+    true,
+    {
+      debounceMs: 300,
+      cacheKey: `synergies-${filterHash}`,
+      retryAttempts: 1
+    }
+  );
+};
+
 // Player profile hook with caching
 // hooks/useApi.js
 export const usePlayer = (profileId) => {
@@ -203,6 +248,57 @@ export const usePlayer = (profileId) => {
   );
 };
 
+// Single match with players grouped by team
+export const useMatch = (gameId) => {
+  return useApi(
+    () => apiService.getMatchById(gameId),
+    [gameId],
+    !!gameId,
+    { cacheKey: `match-${gameId}`, retryAttempts: 2 }
+  );
+};
+
+// Player match history (paginated, filterable by civ and result)
+export const usePlayerMatches = (profileId, params = {}) => {
+  const filterHash = useMemo(() => JSON.stringify({ profileId, ...params }), [profileId, params]);
+
+  return useApi(
+    () => apiService.getPlayerMatches(profileId, params),
+    [filterHash],
+    !!profileId,
+    {
+      debounceMs: 200,
+      cacheKey: `player-matches-${filterHash}`,
+      retryAttempts: 1
+    }
+  );
+};
+
+// Player rating history for charts
+export const usePlayerRatingHistory = (profileId, params = {}) => {
+  const filterHash = useMemo(() => JSON.stringify({ profileId, ...params }), [profileId, params]);
+
+  return useApi(
+    () => apiService.getPlayerRatingHistory(profileId, params),
+    [filterHash],
+    !!profileId,
+    {
+      debounceMs: 300,
+      cacheKey: `rating-history-${filterHash}`,
+      retryAttempts: 1
+    }
+  );
+};
+
+// Head-to-head comparison between two players
+export const useHeadToHead = (profileId, opponentId) => {
+  return useApi(
+    () => apiService.getHeadToHead(profileId, opponentId),
+    [profileId, opponentId],
+    !!profileId && !!opponentId,
+    { cacheKey: `h2h-${profileId}-${opponentId}`, retryAttempts: 1 }
+  );
+};
 
 // Player rankings with optimized pagination
 export const usePlayerRankings = (leaderboard, params = {}) => {
@@ -329,6 +425,22 @@ export const usePerformanceAnalytics = (params = {}) => {
   );
 };
 
+// Insights with matchup matrix (heavy query, long debounce)
+export const useInsights = (params = {}) => {
+  const filterHash = useMemo(() => JSON.stringify(params), [params]);
+
+  return useApi(
+    () => apiService.getInsights(params),
+    [filterHash],
+    true,
+    {
+      debounceMs: 600,
+      cacheKey: `insights-${filterHash}`,
+      retryAttempts: 1
+    }
+  );
+};
+
 // ===================================================================
 // ADVANCED CIVILIZATION HOOKS
 // ===================================================================
@@ -365,6 +477,7 @@ export function useCivilizationDetail(civName) {
           basic: completeData.basic || completeData.comprehensive?.stats || {},
           bestVs: completeData.bestVs || [],
           worstVs: completeData.worstVs || [],
+          matchups: completeData.matchups || [],
           maps: completeData.maps || []
         };
 
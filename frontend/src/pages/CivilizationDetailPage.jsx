@@ -1,7 +1,7 @@
 // Debug version of CivilizationDetailPage.jsx to see what data we're getting
 
 import React from "react";
-import { useParams, Link } from "react-router-dom";
+import { useParams, useSearchParams, Link } from "react-router-dom";
 import {
   LineChart,
   Line,
@@ -13,6 +13,7 @@ import {
   ResponsiveContainer,
   CartesianGrid,
   Legend,
+  ErrorBar,
 } from "recharts";
 
 import { useCivilizationDetail } from "../hooks/useApi";
@@ -21,14 +22,19 @@ import ChartWithLoading from "../components/common/ChartWithLoading";
 import ErrorMessage from "../components/common/ErrorMessage";
 import CivIcon from "../components/common/CivIcon";
 import MapIcon from "../components/common/MapIcon";
+import WinRateInterval from "../components/common/WinRateInterval";
 import {
   formatPercentage,
   formatNumber,
   formatCivilization,
 } from "../utils/formatters";
+import { withErrorBars, formatInterval } from "../utils/statistics";
 
 export default function CivilizationDetailPage() {
   const { civName = "" } = useParams();
+  // ?vs=<civ> focuses one matchup (linked from the InsightsPage matchup matrix)
+  const [searchParams] = useSearchParams();
+  const vsCiv = (searchParams.get("vs") || "").toLowerCase();
   const { data, loading, error, refetch } = useCivilizationDetail(civName);
 
   if (loading && !data) {
@@ -49,6 +55,7 @@ export default function CivilizationDetailPage() {
     basic = {},
     bestVs = [],
     worstVs = [],
+    matchups = [],
     maps = []
   } = data || {};
 
@@ -59,8 +66,8 @@ export default function CivilizationDetailPage() {
   
   // Get chart data
   const winRateByDuration = charts.winRateByDuration || [];
-  const winRateByPatch = charts.winRateByPatch || [];  
-  const winRateByRating = charts.winRateByRating || [];
+  const winRateByPatch = withErrorBars(charts.winRateByPatch || [], 'civWin');
+  const winRateByRating = withErrorBars(charts.winRateByRating || [], 'civWin');
   const rankByPatch = charts.rankByPatch || [];
   const playRateByPatch = charts.playRateByPatch || [];
 
@@ -70,6 +77,7 @@ export default function CivilizationDetailPage() {
 
   const bestMatchups = bestVs || data?.bestAgainst || [];
   const worstMatchups = worstVs || data?.worstAgainst || [];
+  const selectedMatchup = vsCiv ? matchups.find((matchup) => matchup.civ.toLowerCase() === vsCiv) : null;
 
   // 🐛 MASSIVE DEBUG LOG - This will show us exactly what data we have
   console.log('🐛 COMPREHENSIVE DEBUG FOR', civName.toUpperCase(), {
@@ -142,7 +150,8 @@ export default function CivilizationDetailPage() {
             {loading ? (
               <div className="h-4 bg-base-300 rounded w-32 animate-pulse"></div>
             ) : (
-              `${formatNumber(stats.wins || 0)} wins / ${formatNumber(stats.totalPicks || 0)} games`
+              `${formatNumber(stats.wins || 0)} wins / ${formatNumber(stats.totalPicks || 0)} games` +
+              (stats.ci ? ` · 95% CI ${formatInterval(stats.ci)}` : '')
             )}
           </div>
         </div>
@@ -310,7 +319,10 @@ export default function CivilizationDetailPage() {
                 tickFormatter={(v) => `${Math.round(v)}%`}
               />
               <Tooltip 
-                formatter={(value) => [`${Math.round(value)}%`, formatCivilization(civName)]}
+                formatter={(value, name, item) => [
+                  `${Math.round(value)}% (95% CI ${formatInterval(item.payload.ci, 100)})`,
+                  formatCivilization(civName)
+                ]}
                 labelFormatter={(label) => `Rating: ${label}`}
               />
               <Line
@@ -320,7 +332,9 @@ export default function CivilizationDetailPage() {
                 stroke="#ff9500"
                 strokeWidth={3}
                 dot={{ fill: '#ff9500', strokeWidth: 2, r: 4 }}
-              />
+              >
+                <ErrorBar dataKey="civWinError" width={4} strokeWidth={1.5} stroke="#ff9500" direction="y" />
+              </Line>
             </LineChart>
           )}
         </ChartWithLoading>
@@ -345,7 +359,11 @@ export default function CivilizationDetailPage() {
               tickFormatter={(v) => `${Math.round(v)}%`}
             />
             <Tooltip 
-              formatter={(value) => [`${Math.round(value)}%`, formatCivilization(civName)]}
+              formatter={(value, name, item) => [
+                `${Math.round(value)}% (95% CI ${formatInterval(item.payload.ci, 100)})` +
+                  (item.payload.vsPrevious?.significant ? ' - significant change from previous patch' : ''),
+                formatCivilization(civName)
+              ]}
               labelFormatter={(label) => `Patch: ${label}`}
             />
             <Line
@@ -355,7 +373,9 @@ export default function CivilizationDetailPage() {
               stroke="#3b82f6"
               strokeWidth={3}
               dot={{ fill: '#3b82f6', strokeWidth: 2, r: 5 }}
-            />
+            >
+              <ErrorBar dataKey="civWinError" width={4} strokeWidth={1.5} stroke="#3b82f6" direction="y" />
+            </Line>
           </LineChart>
         </ChartWithLoading>
 
@@ -381,7 +401,11 @@ export default function CivilizationDetailPage() {
               tickFormatter={(v) => `#${v}`}
             />
             <Tooltip 
-              formatter={(value) => [`#${value}`, 'Rank']}
+              formatter={(value, name, { payload }) => {
+                const change = payload?.rankChange;
+                const movement = change > 0 ? ` (▲${change})` : change < 0 ? ` (▼${-change})` : '';
+                return [`#${value} of ${payload?.totalCivs ?? '?'}${movement}`, 'Rank'];
+              }}
               labelFormatter={(label) => `Patch: ${label}`}
             />
             <Line
@@ -477,6 +501,45 @@ export default function CivilizationDetailPage() {
         </ChartWithLoading>
       </div>
 
+      {/* Selected Matchup */}
+      {vsCiv && (
+        <div className="card bg-base-200 shadow-xl mb-8 border border-primary">
+          <div className="card-body">
+            <h3 className="card-title">
+              <i className="fas fa-crosshairs mr-2 text-primary"></i>
+              {formatCivilization(civName)} vs {formatCivilization(vsCiv)}
+            </h3>
+            {selectedMatchup ? (
+              <div className="flex flex-wrap items-center gap-6">
+                <CivIcon civName={selectedMatchup.civ} size="md" />
+                <div>
+                  <div className={`text-3xl font-bold ${selectedMatchup.significant ? (selectedMatchup.winRate > 50 ? 'text-success' : 'text-error') : ''}`}>
+                    {selectedMatchup.winRate.toFixed(1)}%
+                  </div>
+                  <div className="text-sm opacity-70">
+                    95% CI {formatInterval(selectedMatchup.ci, 100)} · {formatNumber(selectedMatchup.games)} games
+                  </div>
+                </div>
+                <WinRateInterval
+                  winRate={selectedMatchup.winRate}
+                  ci={selectedMatchup.ci}
+                  significant={selectedMatchup.significant}
+                  scale={100}
+                  domain={[0.3, 0.7]}
+                  className="w-48"
+                />
+                <Link to={`/civs/${selectedMatchup.civ.toLowerCase()}?vs=${civName.toLowerCase()}`} className="btn btn-sm btn-ghost">
+                  <i className="fas fa-exchange-alt mr-2"></i>
+                  Reverse matchup
+                </Link>
+              </div>
+            ) : (
+              <p className="text-base-content/60">No games against {formatCivilization(vsCiv)} in the analysed matches</p>
+            )}
+          </div>
+        </div>
+      )}
+
        {/* Best/Worst Matchups */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mb-8">
         {[
@@ -492,7 +555,10 @@ export default function CivilizationDetailPage() {
               {rows.length > 0 ? (
                 <div className="space-y-2">
                   {rows.slice(0, 8).map((matchup) => (
-                    <div key={matchup.civ} className="flex items-center justify-between p-2 bg-base-300 rounded">
+                    <div
+                      key={matchup.civ}
+                      className={`flex items-center justify-between p-2 bg-base-300 rounded ${matchup.civ.toLowerCase() === vsCiv ? 'ring-2 ring-primary' : ''}`}
+                    >
                       <div className="flex items-center gap-2">
                         <CivIcon civName={matchup.civ} size="small" />
                         <Link
@@ -508,6 +574,14 @@ export default function CivilizationDetailPage() {
                             ? `${matchup.winRate.toFixed(1)}%`
                             : formatPercentage(matchup.winRate)}
                         </div>
+                        <WinRateInterval
+                          winRate={matchup.winRate}
+                          ci={matchup.ci}
+                          significant={matchup.significant}
+                          scale={100}
+                          domain={[0.3, 0.7]}
+                          className="w-24 ml-auto"
+                        />
                         <div className="text-xs opacity-70">
                           {formatNumber(matchup.games)} games
                         </div>
@@ -545,6 +619,14 @@ export default function CivilizationDetailPage() {
                     {mapData.winRate ? `${Math.round(mapData.winRate)}%` : 
                      (mapData.wins && mapData.games) ? `${Math.round((mapData.wins / mapData.games) * 100)}%` : '0%'}
                   </div>
+                  <WinRateInterval
+                    winRate={mapData.winRate}
+                    ci={mapData.ci}
+                    significant={mapData.significant}
+                    scale={100}
+                    domain={[0.3, 0.7]}
+                    className="w-24 mx-auto"
+                  />
                   <div className="text-xs opacity-70">
                     {formatNumber(mapData.games || mapData.picks || 0)} games
                   </div>
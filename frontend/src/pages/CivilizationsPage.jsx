@@ -1,5 +1,5 @@
 // pages/CivilizationsPage.jsx - Fixed version with proper error handling
-import React from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCivilizationStats } from '../hooks/useApi';
 import {
@@ -10,9 +10,20 @@ import {
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ErrorMessage from '../components/common/ErrorMessage';
 import CivIcon from '../components/common/CivIcon';
+import WinRateInterval from '../components/common/WinRateInterval';
+import { significanceClass, formatDelta } from '../utils/statistics';
+
+// Sort keys for the civ grid; civs without a value go last
+const SORT_OPTIONS = [
+  { value: 'winRate', label: 'Win Rate' },
+  { value: 'aboveExpected', label: 'Above Elo Expectation' },
+  { value: 'playRate', label: 'Pick Rate' },
+  { value: 'totalPicks', label: 'Matches' }
+];
 
 const CivilizationsPage = () => {
   const navigate = useNavigate();
+  const [sortBy, setSortBy] = useState('winRate');
 
   // Remove filter parameters - just fetch all civilizations
   const { data, loading, error, refetch } = useCivilizationStats({});
@@ -37,6 +48,10 @@ const CivilizationsPage = () => {
     return {
       name: civ.name || civ.civilization || 'Unknown',
       winRate: civ.winRate ?? stats.winRate ?? 0,
+      ci: civ.ci ?? stats.ci ?? null,
+      significant: civ.significant ?? stats.significant ?? false,
+      eloAdjusted: civ.eloAdjusted ?? null,
+      aboveExpected: civ.eloAdjusted?.winRateAboveExpected ?? null,
       playRate: civ.playRate ?? stats.playRate ?? 0,
       totalPicks: civ.totalPicks ?? stats.totalPicks ?? civ.totalMatches ?? 0,
       avgRating: civ.avgRating ?? stats.avgRating ?? 0,
@@ -75,6 +90,7 @@ const CivilizationsPage = () => {
             </div>
             <div className="stat-desc">
               {data.meta.cached ? 'Cached data' : 'Live data'}
+              {data.meta.source && ` (${data.meta.source})`}
             </div>
           </div>
 
@@ -127,10 +143,28 @@ const CivilizationsPage = () => {
         </div>
       )}
 
+      {/* Sort */}
+      {validCivilizations.length > 0 && (
+        <div className="flex flex-wrap items-center justify-end gap-2 mb-4">
+          <span className="text-sm text-base-content/70">Sort by</span>
+          <div className="join">
+            {SORT_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                className={`btn btn-sm join-item ${sortBy === option.value ? 'btn-primary' : 'btn-ghost'}`}
+                onClick={() => setSortBy(option.value)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Civilization Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
         {validCivilizations
-          .sort((a, b) => (b.winRate || 0) - (a.winRate || 0)) // Safe sorting
+          .sort((a, b) => (b[sortBy] ?? -Infinity) - (a[sortBy] ?? -Infinity)) // Safe sorting
           .map((civ, index) => (
           <div
             key={civ.name}
@@ -162,12 +196,32 @@ const CivilizationsPage = () => {
                 <div className="flex justify-between items-center">
                   <span className="text-base-content/70">Win Rate</span>
                   <div className="text-right">
-                    <div className="font-bold text-success">
+                    <div className={`font-bold ${significanceClass(civ.winRate, civ.significant)}`}>
                       {formatPercentage(civ.winRate)}
                     </div>
+                    <WinRateInterval winRate={civ.winRate} ci={civ.ci} significant={civ.significant} />
                   </div>
                 </div>
 
+                {civ.eloAdjusted && (
+                  <div className="flex justify-between items-center">
+                    <span
+                      className="text-base-content/70"
+                      title="Win rate minus the rate expected from old_rating against the opposing team"
+                    >
+                      vs Elo Expectation
+                    </span>
+                    <div className="text-right">
+                      <div className={`font-bold ${significanceClass(civ.aboveExpected, civ.eloAdjusted.significant, 0)}`}>
+                        {formatDelta(civ.aboveExpected)}
+                      </div>
+                      <div className="text-xs text-base-content/60">
+                        expected {formatPercentage(civ.eloAdjusted.expectedWinRate)}
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {civ.playRate > 0 && (
                   <div className="flex justify-between items-center">
                     <span className="text-base-content/70">Pick Rate</span>
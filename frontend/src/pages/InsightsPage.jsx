@@ -1,5 +1,6 @@
 // pages/InsightsPage.jsx - Fixed with Real Data and Proper Analytics
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
   ScatterChart,
   Scatter,
@@ -13,20 +14,110 @@ import {
   PieChart,
   Pie,
   Cell,
-  Legend
+  Legend,
+  LineChart,
+  Line,
+  ErrorBar
 } from 'recharts';
-import { useCivilizationStats } from '../hooks/useApi';
+import { useCivilizationStats, useInsights } from '../hooks/useApi';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ErrorMessage from '../components/common/ErrorMessage';
 import CivIcon from '../components/common/CivIcon';
-import { formatPercentage, formatNumber } from '../utils/formatters';
+import MatchupHeatmap from '../components/common/MatchupHeatmap';
+import SynergyExplorer from '../components/common/SynergyExplorer';
+import { formatPercentage, formatNumber, formatCivilization } from '../utils/formatters';
+import { errorBarRange, formatInterval, formatDelta, significanceClass } from '../utils/statistics';
+import { leaderboardOptions } from '../utils/constants';
 
 // Simple color scheme
 const COLORS = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'];
 
+// The matchup matrix only counts 1v1 games
+const LEADERBOARDS = leaderboardOptions(leaderboard => !leaderboard.teamGame);
+
+const ELO_BANDS = [
+  { value: '', label: 'All ratings' },
+  { value: '0-1000', label: '< 1000' },
+  { value: '1000-1200', label: '1000-1200' },
+  { value: '1200-1400', label: '1200-1400' },
+  { value: '1400-1700', label: '1400-1700' },
+  { value: '1700-', label: '1700+' }
+];
+
+// Sortable columns of the Elo-adjusted table
+const ELO_COLUMNS = [
+  { key: 'name', label: 'Civilization' },
+  { key: 'winRate', label: 'Win Rate', numeric: true },
+  { key: 'expectedWinRate', label: 'Expected', numeric: true },
+  { key: 'aboveExpected', label: 'Above Expectation', numeric: true },
+  { key: 'ratedGames', label: 'Rated Games', numeric: true }
+];
+
 const InsightsPage = () => {
+  const navigate = useNavigate();
   const { data, loading, error, refetch } = useCivilizationStats({});
 
+  // Matchup matrix filters
+  const [matrixFilters, setMatrixFilters] = useState({
+    leaderboard: '',
+    patch: '',
+    eloBand: ''
+  });
+  const insightParams = useMemo(() => {
+    const [minElo = '', maxElo = ''] = matrixFilters.eloBand.split('-');
+    return {
+      leaderboard: matrixFilters.leaderboard,
+      patch: matrixFilters.patch,
+      minElo: minElo === '0' ? '' : minElo,
+      maxElo
+    };
+  }, [matrixFilters]);
+  const {
+    data: insightsData,
+    loading: insightsLoading,
+    error: insightsError,
+    refetch: refetchInsights
+  } = useInsights(insightParams);
+
+  const handleMatrixFilterChange = (key, value) => {
+    setMatrixFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Patch trails: selected civs (null = top 5 most played) and metric
+  const [trailCivs, setTrailCivs] = useState(null);
+  const [trailMetric, setTrailMetric] = useState('winRate');
+
+  const trailCandidates = useMemo(() => {
+    return (insightsData?.civilizations || []).filter(civ => civ.historical?.length > 0);
+  }, [insightsData]);
+
+  const selectedTrailCivs = useMemo(() => {
+    return trailCivs ?? trailCandidates.slice(0, 5).map(civ => civ.name);
+  }, [trailCivs, trailCandidates]);
+
+  const toggleTrailCiv = (civName) => {
+    setTrailCivs(prev => {
+      const current = prev ?? selectedTrailCivs;
+      return current.includes(civName)
+        ? current.filter(name => name !== civName)
+        : [...current, civName];
+    });
+  };
+
+  // One row per patch, one key per selected civ
+  const trailData = useMemo(() => {
+    const byPatch = {};
+    trailCandidates
+      .filter(civ => selectedTrailCivs.includes(civ.name))
+      .forEach(civ => {
+        civ.historical.forEach(point => {
+          if (!byPatch[point.patch]) byPatch[point.patch] = { patch: point.patch };
+          byPatch[point.patch][civ.name] = Math.round(point[trailMetric] * 1000) / 10;
+        });
+      });
+    return Object.values(byPatch).sort((a, b) => Number(a.patch) - Number(b.patch));
+  }, [trailCandidates, selectedTrailCivs, trailMetric]);
+
   // Process civilization data with safe fallbacks
   const processedData = useMemo(() => {
     if (!data?.civilizations) return [];
@@ -38,20 +129,49 @@ const InsightsPage = () => {
         const playRate = (civ.playRate ?? civ.stats?.playRate ?? 0) * 100;
         const totalMatches = civ.totalMatches ?? civ.totalPicks ?? 0;
         const avgRating = civ.avgRating ?? civ.stats?.avgRating ?? 1200;
+        const ci = civ.ci ? { lower: civ.ci.lower * 100, upper: civ.ci.upper * 100 } : null;
         
         return {
           name: civ.name || civ.civilization || 'Unknown',
           winRate: Math.round(winRate * 10) / 10, // Round to 1 decimal
+          ci,
+          significant: civ.significant ?? false,
+          winRateError: errorBarRange(Math.round(winRate * 10) / 10, ci),
           playRate: Math.round(playRate * 10) / 10, // Round to 1 decimal
           totalMatches,
           avgRating: Math.round(avgRating),
-          civilization: civ.civilization || civ.name?.toLowerCase() || 'unknown'
+          civilization: civ.civilization || civ.name?.toLowerCase() || 'unknown',
+          // Actual vs Elo-expected wins (null when no game had ratings for both teams)
+          expectedWinRate: civ.eloAdjusted ? Math.round(civ.eloAdjusted.expectedWinRate * 1000) / 10 : null,
+          aboveExpected: civ.eloAdjusted?.winRateAboveExpected ?? null,
+          eloSignificant: civ.eloAdjusted?.significant ?? false,
+          ratedGames: civ.eloAdjusted?.games ?? null
         };
       })
       .filter(civ => civ.name !== 'Unknown' && civ.totalMatches > 0)
       .sort((a, b) => b.winRate - a.winRate); // Sort by win rate descending
   }, [data]);
 
+  // Elo-adjusted table: sort by any column, civs without ratings last
+  const [eloSort, setEloSort] = useState({ key: 'aboveExpected', direction: 'desc' });
+
+  const eloRows = useMemo(() => {
+    const { key, direction } = eloSort;
+    const sign = direction === 'asc' ? 1 : -1;
+    return [...processedData].sort((a, b) => {
+      if (a[key] === null) return b[key] === null ? 0 : 1;
+      if (b[key] === null) return -1;
+      return typeof a[key] === 'string' ? sign * a[key].localeCompare(b[key]) : sign * (a[key] - b[key]);
+    });
+  }, [processedData, eloSort]);
+
+  const handleEloSort = (key) => {
+    setEloSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+    }));
+  };
+
   // Real analytics based on actual data
   const analytics = useMemo(() => {
     if (processedData.length === 0) return null;
@@ -172,6 +292,9 @@ const InsightsPage = () => {
                           </div>
                           <div className="text-sm space-y-1">
                             <div>Win Rate: <span className="font-bold text-success">{data.winRate}%</span></div>
+                            {data.ci && (
+                              <div>95% CI: <span className="font-bold">{formatInterval(data.ci, 100)}</span></div>
+                            )}
                             <div>Pick Rate: <span className="font-bold text-info">{data.playRate}%</span></div>
                             <div>Matches: <span className="font-bold">{data.totalMatches.toLocaleString()}</span></div>
                           </div>
@@ -188,7 +311,9 @@ const InsightsPage = () => {
                   stroke="#1e40af"
                   strokeWidth={1}
                   r={6}
-                />
+                >
+                  <ErrorBar dataKey="winRateError" width={3} strokeWidth={1} stroke="#1e40af" direction="y" />
+                </Scatter>
               </ScatterChart>
             </ResponsiveContainer>
           </div>
@@ -205,6 +330,133 @@ const InsightsPage = () => {
         </div>
       </div>
 
+      {/* Matchup Matrix */}
+      <div className="card bg-base-200 shadow-xl mb-8">
+        <div className="card-body">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h2 className="card-title">
+              <i className="fas fa-th mr-2 text-warning" />
+              1v1 Matchup Matrix
+            </h2>
+            <div className="flex flex-wrap gap-2">
+              <select
+                className="select select-bordered select-sm"
+                value={matrixFilters.leaderboard}
+                onChange={(e) => handleMatrixFilterChange('leaderboard', e.target.value)}
+              >
+                {LEADERBOARDS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="input input-bordered input-sm w-28"
+                placeholder="Patch"
+                value={matrixFilters.patch}
+                onChange={(e) => handleMatrixFilterChange('patch', e.target.value.replace(/\D/g, ''))}
+              />
+              <select
+                className="select select-bordered select-sm"
+                value={matrixFilters.eloBand}
+                onChange={(e) => handleMatrixFilterChange('eloBand', e.target.value)}
+              >
+                {ELO_BANDS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {insightsLoading ? (
+            <LoadingSpinner size="md" text="Computing matchups..." />
+          ) : insightsError ? (
+            <ErrorMessage message={insightsError} onRetry={refetchInsights} />
+          ) : (
+            <MatchupHeatmap
+              matchups={insightsData?.matchups}
+              onCellClick={(civ, opponent) => navigate(opponent
+                ? `/civs/${civ.toLowerCase()}?vs=${encodeURIComponent(opponent.toLowerCase())}`
+                : `/civs/${civ.toLowerCase()}`)}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Patch Trails */}
+      <div className="card bg-base-200 shadow-xl mb-8">
+        <div className="card-body">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <h2 className="card-title">
+              <i className="fas fa-chart-line mr-2 text-info" />
+              Patch Trails
+            </h2>
+            <div className="join">
+              <button
+                className={`btn btn-xs join-item ${trailMetric === 'winRate' ? 'btn-primary' : 'btn-ghost'}`}
+                onClick={() => setTrailMetric('winRate')}
+              >
+                Win rate
+              </button>
+              <button
+                className={`btn btn-xs join-item ${trailMetric === 'playRate' ? 'btn-primary' : 'btn-ghost'}`}
+                onClick={() => setTrailMetric('playRate')}
+              >
+                Play rate
+              </button>
+            </div>
+          </div>
+
+          {insightsLoading ? (
+            <LoadingSpinner size="md" text="Loading patch history..." />
+          ) : trailCandidates.length === 0 ? (
+            <div className="text-center py-12 text-base-content/60">
+              <i className="fas fa-chart-line text-4xl mb-4"></i>
+              <p>No patch history available yet</p>
+            </div>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2 mb-4">
+                {trailCandidates.map(civ => (
+                  <button
+                    key={civ.name}
+                    className={`btn btn-xs ${selectedTrailCivs.includes(civ.name) ? 'btn-primary' : 'btn-outline'}`}
+                    onClick={() => toggleTrailCiv(civ.name)}
+                  >
+                    <CivIcon civName={civ.name} size="xs" />
+                    {formatCivilization(civ.name)}
+                  </button>
+                ))}
+              </div>
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={trailData} margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
+                    <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+                    <XAxis dataKey="patch" label={{ value: 'Patch', position: 'insideBottom', offset: -10 }} />
+                    <YAxis
+                      domain={['auto', 'auto']}
+                      label={{ value: trailMetric === 'winRate' ? 'Win Rate (%)' : 'Play Rate (%)', angle: -90, position: 'insideLeft' }}
+                    />
+                    <Tooltip formatter={(value, name) => [`${value}%`, formatCivilization(name)]} />
+                    <Legend formatter={(value) => formatCivilization(value)} />
+                    {selectedTrailCivs.map((civName, index) => (
+                      <Line
+                        key={civName}
+                        type="monotone"
+                        dataKey={civName}
+                        stroke={COLORS[index % COLORS.length]}
+                        strokeWidth={2}
+                        dot={{ r: 3 }}
+                        connectNulls
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
       {/* Performance Categories */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
         {/* Top Performers */}
@@ -263,6 +515,65 @@ const InsightsPage = () => {
         </div>
       </div>
 
+      {/* Elo-Adjusted Performance */}
+      <div className="card bg-base-200 shadow-xl mb-8">
+        <div className="card-body">
+          <h2 className="card-title mb-2">
+            <i className="fas fa-balance-scale-left mr-2 text-accent" />
+            Elo-Adjusted Performance
+          </h2>
+          <p className="text-sm text-base-content/70 mb-4">
+            Wins compared with the Elo expectation from each player's rating against the opposing team.
+            Highlighted values differ significantly from expectation.
+          </p>
+          <div className="overflow-x-auto max-h-96">
+            <table className="table table-zebra table-sm table-pin-rows">
+              <thead>
+                <tr>
+                  {ELO_COLUMNS.map(column => (
+                    <th
+                      key={column.key}
+                      className={`cursor-pointer select-none ${column.numeric ? 'text-right' : ''}`}
+                      onClick={() => handleEloSort(column.key)}
+                    >
+                      {column.label}
+                      {eloSort.key === column.key && (
+                        <i className={`fas fa-sort-${eloSort.direction === 'asc' ? 'up' : 'down'} ml-1`} />
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {eloRows.map(civ => (
+                  <tr
+                    key={civ.name}
+                    className="cursor-pointer hover"
+                    onClick={() => navigate(`/civs/${civ.civilization}`)}
+                  >
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <CivIcon civName={civ.civilization} size="xs" />
+                        {civ.name}
+                      </div>
+                    </td>
+                    <td className="text-right">{civ.winRate}%</td>
+                    <td className="text-right">{civ.expectedWinRate === null ? 'N/A' : `${civ.expectedWinRate}%`}</td>
+                    <td className={`text-right font-semibold ${significanceClass(civ.aboveExpected, civ.eloSignificant, 0)}`}>
+                      {formatDelta(civ.aboveExpected)}
+                    </td>
+                    <td className="text-right">{civ.ratedGames === null ? 'N/A' : formatNumber(civ.ratedGames)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Team Synergies */}
+      <SynergyExplorer />
+
       {/* Win Rate Distribution */}
       <div className="card bg-base-200 shadow-xl mb-8">
         <div className="card-body">
@@ -289,14 +600,19 @@ const InsightsPage = () => {
                   label={{ value: 'Win Rate (%)', angle: -90, position: 'insideLeft' }}
                 />
                 <Tooltip 
-                  formatter={(value, name) => [`${value}%`, 'Win Rate']}
+                  formatter={(value, name, item) => [
+                    item.payload.ci ? `${value}% (95% CI ${formatInterval(item.payload.ci, 100)})` : `${value}%`,
+                    'Win Rate'
+                  ]}
                   labelFormatter={(label) => `Civilization: ${label}`}
                 />
                 <Bar 
                   dataKey="winRate" 
                   fill="#3b82f6"
                   radius={[2, 2, 0, 0]}
-                />
+                >
+                  <ErrorBar dataKey="winRateError" width={4} strokeWidth={1.5} stroke="#1e3a8a" />
+                </Bar>
               </BarChart>
             </ResponsiveContainer>
           </div>
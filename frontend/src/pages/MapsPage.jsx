@@ -1,10 +1,13 @@
 // pages/MapsPage.jsx - FIXED to use correct API field names
 import React, { useState } from 'react';
-import { useMapStats } from '../hooks/useApi';
+import { useMapStats, useMapMetadata } from '../hooks/useApi';
 import { formatNumber, formatPercentage, formatDuration } from '../utils/formatters';
+import { processMapData, MAP_TYPE_LABELS } from '../utils/mapUtils';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ErrorMessage from '../components/common/ErrorMessage';
 import MapIcon from '../components/common/MapIcon';
+import MapSelector from '../components/common/MapSelector';
+import MapTierList from '../components/common/MapTierList';
 
 const MapsPage = () => {
   const [filters, setFilters] = useState({
@@ -13,7 +16,10 @@ const MapsPage = () => {
     minMatches: '50'
   });
 
+  const [selectedMap, setSelectedMap] = useState(null);
+
   const { data, loading, error, refetch } = useMapStats(filters);
+  const { data: metadata } = useMapMetadata();
 
   const handleFilterChange = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
@@ -23,7 +29,8 @@ const MapsPage = () => {
   if (error) return <ErrorMessage message={error} onRetry={refetch} />;
 
   // FIXED: Better null checking and fallbacks
-  const maps = data?.maps || [];
+  const maps = processMapData(data?.maps || [], metadata);
+  const visibleMaps = selectedMap ? maps.filter(map => map.name === selectedMap) : maps;
   const meta = data?.meta || {
     totalMaps: 0,
     totalMatches: 0,
@@ -92,6 +99,43 @@ const MapsPage = () => {
         </div>
       </div>
 
+      {/* Browse by category */}
+      {maps.length > 0 && (
+        <div className="card bg-base-100 shadow-xl border border-base-300 mb-8">
+          <div className="card-body">
+            <div className="flex items-center justify-between mb-2">
+              <h2 className="card-title">
+                <i className="fas fa-layer-group mr-2 text-primary"></i>
+                Browse by Category
+              </h2>
+              {selectedMap && (
+                <button className="btn btn-ghost btn-sm" onClick={() => setSelectedMap(null)}>
+                  <i className="fas fa-times mr-2"></i>
+                  Show all maps
+                </button>
+              )}
+            </div>
+            <MapSelector
+              maps={maps}
+              selectedMap={selectedMap}
+              onMapSelect={(mapName) => setSelectedMap(mapName === selectedMap ? null : mapName)}
+              size="lg"
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Civilization tiers on the selected map */}
+      {selectedMap && (
+        <MapTierList
+          key={selectedMap}
+          mapName={selectedMap}
+          displayName={visibleMaps[0]?.displayName}
+          leaderboard={filters.leaderboard}
+          onClose={() => setSelectedMap(null)}
+        />
+      )}
+
       {/* Maps Grid - FIXED field names */}
       {maps.length === 0 ? (
         <div className="text-center py-12">
@@ -103,13 +147,14 @@ const MapsPage = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-          {maps.map((map, index) => {
+          {visibleMaps.map((map, index) => {
             // FIXED: Use correct field name from API
             const mapName = map.name || map.map || 'Unknown';
             
             return (
               <div 
                 key={mapName || index} 
+                onClick={() => setSelectedMap(mapName === selectedMap ? null : mapName)}
                 className="card bg-base-200 shadow-xl hover:shadow-2xl transition-all duration-300 cursor-pointer group border border-base-300 hover:border-primary/30"
               >
                 <div className="card-body p-6">
@@ -122,11 +167,14 @@ const MapsPage = () => {
                         className="shadow-md group-hover:scale-110 transition-transform"
                       />
                       <div>
-                        <h3 className="font-bold text-lg group-hover:text-primary transition-colors capitalize">
-                          {mapName.replace(/_/g, ' ')}
+                        <h3 className="font-bold text-lg group-hover:text-primary transition-colors">
+                          {map.displayName}
                         </h3>
                         <div className="text-sm text-base-content/70">
-                          Rank #{index + 1}
+                          Rank #{maps.indexOf(map) + 1}
+                        </div>
+                        <div className="badge badge-outline badge-sm mt-1">
+                          {MAP_TYPE_LABELS[map.type]}
                         </div>
                       </div>
                     </div>
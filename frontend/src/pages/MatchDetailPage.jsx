@@ -0,0 +1,144 @@
+// pages/MatchDetailPage.jsx - Single match with team rosters
+import React from 'react';
+import { useParams, Link } from 'react-router-dom';
+
+import { useMatch } from '../hooks/useApi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import CivIcon from '../components/common/CivIcon';
+import MapIcon from '../components/common/MapIcon';
+import {
+  formatAgeUp,
+  formatCivilization,
+  formatDateTime,
+  formatDuration,
+  formatElo,
+  getEloColor
+} from '../utils/formatters';
+
+const formatLabel = (value) => (value ? String(value).replace(/_/g, ' ') : 'Unknown');
+
+const TeamRoster = ({ team, players }) => {
+  const won = players.some(player => player.winner);
+
+  return (
+    <div className={`card bg-base-200 shadow-xl border-t-4 ${won ? 'border-success' : 'border-error'}`}>
+      <div className="card-body">
+        <h2 className="card-title mb-4">
+          Team {Number(team) + 1}
+          <span className={`badge ${won ? 'badge-success' : 'badge-error'}`}>
+            {won ? 'Victory' : 'Defeat'}
+          </span>
+        </h2>
+        <div className="overflow-x-auto">
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th className="text-right">Rating</th>
+                <th className="text-right">Feudal</th>
+                <th className="text-right">Castle</th>
+                <th className="text-right">Imperial</th>
+                <th>Opening</th>
+              </tr>
+            </thead>
+            <tbody>
+              {players.map(player => {
+                const ratingChange = player.old_rating != null && player.new_rating != null
+                  ? player.new_rating - player.old_rating
+                  : null;
+
+                return (
+                  <tr key={player.profile_id}>
+                    <td>
+                      <div className="flex items-center gap-3">
+                        <CivIcon civName={player.civ} size="sm" />
+                        <div>
+                          <Link to={`/players/${player.profile_id}`} className="link link-hover font-semibold">
+                            #{player.profile_id}
+                          </Link>
+                          <div className="text-xs text-base-content/60">{formatCivilization(player.civ)}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="text-right">
+                      <div className={getEloColor(player.old_rating)}>{formatElo(player.old_rating)}</div>
+                      {ratingChange !== null && (
+                        <div className={`text-xs ${ratingChange >= 0 ? 'text-success' : 'text-error'}`}>
+                          → {formatElo(player.new_rating)} ({ratingChange >= 0 ? '+' : ''}{ratingChange})
+                        </div>
+                      )}
+                    </td>
+                    <td className="text-right font-mono">{formatAgeUp(player.feudal_age_uptime, '—')}</td>
+                    <td className="text-right font-mono">{formatAgeUp(player.castle_age_uptime, '—')}</td>
+                    <td className="text-right font-mono">{formatAgeUp(player.imperial_age_uptime, '—')}</td>
+                    <td className="capitalize">{player.opening ? formatLabel(player.opening) : '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const MatchDetailPage = () => {
+  const { gameId } = useParams();
+  const { data, loading, error, refetch } = useMatch(gameId);
+
+  if (loading && !data) return <LoadingSpinner text={`Loading match ${gameId}...`} />;
+  if (error && !data) return <ErrorMessage message={error} onRetry={refetch} />;
+
+  const match = data?.match || {};
+  const teams = data?.teams || {};
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Header with Map Icon */}
+      <div className="mb-8">
+        <div className="flex items-center mb-6">
+          <MapIcon mapName={match.map} size="2xl" className="mr-4 shadow-lg" />
+          <div>
+            <h1 className="text-4xl font-bold text-base-content mb-2 capitalize">
+              {formatLabel(match.map)}
+            </h1>
+            <p className="text-lg text-base-content/70">
+              Match {gameId} · {formatDateTime(match.started_timestamp)}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-8">
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-title">Duration</div>
+          <div className="stat-value text-primary text-2xl">{formatDuration(match.duration)}</div>
+        </div>
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-title">Leaderboard</div>
+          <div className="stat-value text-secondary text-2xl capitalize">{formatLabel(match.leaderboard)}</div>
+        </div>
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-title">Patch</div>
+          <div className="stat-value text-accent text-2xl">{match.patch || 'N/A'}</div>
+        </div>
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-title">Average Elo</div>
+          <div className={`stat-value text-2xl ${getEloColor(match.avg_elo)}`}>{formatElo(match.avg_elo)}</div>
+        </div>
+      </div>
+
+      {/* Team Rosters */}
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+        {Object.entries(teams).map(([team, players]) => (
+          <TeamRoster key={team} team={team} players={players} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MatchDetailPage;
@@ -0,0 +1,245 @@
+// pages/PlayerComparePage.jsx - Head-to-head record between two profiles
+import React, { useState } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+
+import { useHeadToHead } from '../hooks/useApi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import CivIcon from '../components/common/CivIcon';
+import MapIcon from '../components/common/MapIcon';
+import {
+  formatNumber,
+  formatPercentage,
+  formatCivilization,
+  formatDate,
+  formatDuration
+} from '../utils/formatters';
+
+const formatRatingChange = (change) => `${change >= 0 ? '+' : ''}${change}`;
+
+const PlayerComparePage = () => {
+  const { profileId, opponentId } = useParams();
+  const navigate = useNavigate();
+  const [opponentInput, setOpponentInput] = useState(opponentId || '');
+  const { data, loading, error, refetch } = useHeadToHead(profileId, opponentId);
+
+  const handleCompare = (e) => {
+    e.preventDefault();
+    if (opponentInput && opponentInput !== profileId) {
+      navigate(`/players/${profileId}/vs/${opponentInput}`);
+    }
+  };
+
+  const summary = data?.summary;
+  const byCivPairing = data?.byCivPairing || [];
+  const byMap = data?.byMap || [];
+  const games = data?.games || [];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-8">
+        <div>
+          <h1 className="text-4xl font-bold text-base-content mb-2">
+            Head to Head
+          </h1>
+          <p className="text-lg text-base-content/70">
+            <Link to={`/players/${profileId}`} className="link link-hover text-primary">#{profileId}</Link>
+            {' vs '}
+            {opponentId ? (
+              <Link to={`/players/${opponentId}`} className="link link-hover text-secondary">#{opponentId}</Link>
+            ) : '…'}
+          </p>
+        </div>
+        <form className="join" onSubmit={handleCompare}>
+          <input
+            type="text"
+            className="input input-bordered input-sm join-item w-40"
+            placeholder="Opponent profile ID"
+            value={opponentInput}
+            onChange={(e) => setOpponentInput(e.target.value.replace(/\D/g, ''))}
+          />
+          <button type="submit" className="btn btn-sm btn-primary join-item">
+            Compare
+          </button>
+        </form>
+      </div>
+
+      {!opponentId ? (
+        <div className="text-center py-12 text-base-content/60">
+          <i className="fas fa-user-friends text-4xl mb-4"></i>
+          <p>Enter an opponent profile ID to compare</p>
+        </div>
+      ) : loading && !data ? (
+        <LoadingSpinner text="Finding shared games..." />
+      ) : error ? (
+        <ErrorMessage message={error} onRetry={refetch} />
+      ) : summary?.games === 0 ? (
+        <div className="text-center py-12 text-base-content/60">
+          <i className="fas fa-user-friends text-4xl mb-4"></i>
+          <p>These players have not faced each other in the recorded games</p>
+        </div>
+      ) : summary && (
+        <>
+          {/* Summary Stats */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <div className="stat bg-base-200 rounded-lg shadow-xl">
+              <div className="stat-title">Record</div>
+              <div className="stat-value">
+                <span className="text-primary">{summary.winsA}</span>
+                {' – '}
+                <span className="text-secondary">{summary.winsB}</span>
+              </div>
+              <div className="stat-desc">{formatNumber(summary.games)} games</div>
+            </div>
+            <div className="stat bg-base-200 rounded-lg shadow-xl">
+              <div className="stat-title">#{profileId} Win Rate</div>
+              <div className={`stat-value ${summary.winRateA >= 0.5 ? 'text-success' : 'text-error'}`}>
+                {formatPercentage(summary.winRateA)}
+              </div>
+              <div className="stat-desc">Against #{opponentId}</div>
+            </div>
+            <div className="stat bg-base-200 rounded-lg shadow-xl">
+              <div className="stat-title">Rating Exchanged</div>
+              <div className="stat-value text-2xl">
+                <span className="text-primary">{formatRatingChange(summary.ratingChangeA)}</span>
+                {' / '}
+                <span className="text-secondary">{formatRatingChange(summary.ratingChangeB)}</span>
+              </div>
+              <div className="stat-desc">Net rating change in these games</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            {/* By Civ Pairing */}
+            <div className="card bg-base-200 shadow-xl">
+              <div className="card-body">
+                <h2 className="card-title mb-4">
+                  <i className="fas fa-flag mr-2 text-warning" />
+                  By Civ Pairing
+                </h2>
+                <div className="overflow-x-auto">
+                  <table className="table table-sm">
+                    <thead>
+                      <tr>
+                        <th>#{profileId}</th>
+                        <th>#{opponentId}</th>
+                        <th className="text-right">Games</th>
+                        <th className="text-right">Win Rate</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {byCivPairing.map(row => (
+                        <tr key={`${row.civA}-${row.civB}`}>
+                          <td>
+                            <div className="flex items-center gap-2">
+                              <CivIcon civName={row.civA} size="xs" />
+                              {formatCivilization(row.civA)}
+                            </div>
+                          </td>
+                          <td>
+                            <div className="flex items-center gap-2">
+                              <CivIcon civName={row.civB} size="xs" />
+                              {formatCivilization(row.civB)}
+                            </div>
+                          </td>
+                          <td className="text-right">{row.games}</td>
+                          <td className={`text-right font-bold ${row.winRateA >= 0.5 ? 'text-success' : 'text-error'}`}>
+                            {formatPercentage(row.winRateA)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+
+            {/* By Map */}
+            <div className="card bg-base-200 shadow-xl">
+              <div className="card-body">
+                <h2 className="card-title mb-4">
+                  <i className="fas fa-map mr-2 text-info" />
+                  By Map
+                </h2>
+                <div className="overflow-x-auto">
+                  <table className="table table-sm">
+                    <thead>
+                      <tr>
+                        <th>Map</th>
+                        <th className="text-right">Games</th>
+                        <th className="text-right">#{profileId} Win Rate</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {byMap.map(row => (
+                        <tr key={row.map}>
+                          <td>
+                            <div className="flex items-center gap-2">
+                              <MapIcon mapName={row.map} size="xs" />
+                              <span className="capitalize">{row.map.replace(/_/g, ' ')}</span>
+                            </div>
+                          </td>
+                          <td className="text-right">{row.games}</td>
+                          <td className={`text-right font-bold ${row.winRateA >= 0.5 ? 'text-success' : 'text-error'}`}>
+                            {formatPercentage(row.winRateA)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Games */}
+          <div className="card bg-base-200 shadow-xl">
+            <div className="card-body">
+              <h2 className="card-title mb-4">
+                <i className="fas fa-history mr-2 text-primary" />
+                Games
+              </h2>
+              <div className="space-y-2">
+                {games.map(game => (
+                  <Link
+                    key={game.game_id}
+                    to={`/matches/${game.game_id}`}
+                    className={`flex items-center justify-between p-3 rounded-lg bg-base-100 hover:bg-base-300 border-l-4 ${game.a.winner ? 'border-primary' : 'border-secondary'}`}
+                  >
+                    <div className="flex items-center gap-3">
+                      <CivIcon civName={game.a.civ} size="sm" />
+                      <span className="text-base-content/60">vs</span>
+                      <CivIcon civName={game.b.civ} size="sm" />
+                      <div>
+                        <div className="font-semibold">
+                          {formatCivilization(game.a.civ)} vs {formatCivilization(game.b.civ)}
+                        </div>
+                        <div className="text-xs text-base-content/60 flex items-center gap-1">
+                          {game.map && <MapIcon mapName={game.map} size="xs" />}
+                          <span className="capitalize">{game.map?.replace(/_/g, ' ') || 'Unknown map'}</span>
+                          <span>· {formatDuration(game.duration)}</span>
+                          <span>· {formatDate(game.started_timestamp)}</span>
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className={`font-bold ${game.a.winner ? 'text-primary' : 'text-secondary'}`}>
+                        #{game.a.winner ? profileId : opponentId} won
+                      </div>
+                      <div className="text-xs text-base-content/70">
+                        {formatRatingChange(game.a.ratingChange)} / {formatRatingChange(game.b.ratingChange)}
+                      </div>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayerComparePage;
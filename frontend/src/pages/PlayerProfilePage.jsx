@@ -0,0 +1,352 @@
+// pages/PlayerProfilePage.jsx - Rating history, civ usage and match history for one profile
+import React, { useMemo, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid
+} from 'recharts';
+
+import { usePlayer, usePlayerMatches, usePlayerRatingHistory } from '../hooks/useApi';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import ChartWithLoading from '../components/common/ChartWithLoading';
+import CivIcon from '../components/common/CivIcon';
+import MapIcon from '../components/common/MapIcon';
+import {
+  formatNumber,
+  formatPercentage,
+  formatCivilization,
+  formatDate,
+  formatDuration,
+  formatElo,
+  getEloColor,
+  getEloRank,
+  formatAgeUp
+} from '../utils/formatters';
+import { leaderboardOptions } from '../utils/constants';
+
+const MATCHES_PER_PAGE = 20;
+
+const HISTORY_LEADERBOARDS = leaderboardOptions();
+
+const RESULT_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'win', label: 'Wins' },
+  { value: 'loss', label: 'Losses' }
+];
+
+const PlayerProfilePage = () => {
+  const { profileId } = useParams();
+  const { data, loading, error, refetch } = usePlayer(profileId);
+
+  // Match history filters
+  const [matchFilters, setMatchFilters] = useState({ page: 1, result: '', civ: '' });
+  const matchParams = useMemo(() => ({ ...matchFilters, limit: MATCHES_PER_PAGE }), [matchFilters]);
+  const {
+    data: matchData,
+    loading: matchesLoading,
+    error: matchesError,
+    refetch: refetchMatches
+  } = usePlayerMatches(profileId, matchParams);
+
+  // Rating chart, filterable by leaderboard
+  const [historyLeaderboard, setHistoryLeaderboard] = useState('');
+  const historyParams = useMemo(() => ({ leaderboard: historyLeaderboard }), [historyLeaderboard]);
+  const { data: historyData, loading: historyLoading } = usePlayerRatingHistory(profileId, historyParams);
+
+  const handleFilterChange = (key, value) => {
+    setMatchFilters(prev => ({ ...prev, [key]: value, page: key === 'page' ? value : 1 }));
+  };
+
+  const ratingHistory = useMemo(() => {
+    return (historyData?.history || []).map(point => ({
+      date: formatDate(point.started_timestamp, { year: undefined }),
+      rating: point.new_rating,
+      oldRating: point.old_rating,
+      civ: point.civ,
+      winner: point.result === 'win'
+    }));
+  }, [historyData]);
+
+  if (loading && !data) return <LoadingSpinner text={`Loading player ${profileId}...`} />;
+  if (error && !data) return <ErrorMessage message={error} onRetry={refetch} />;
+
+  const profile = data?.profile || {};
+  const civStats = data?.civStats || [];
+  const matches = matchData?.matches || [];
+  const totalPages = matchData?.totalPages || 1;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div className="flex items-center">
+            <div className="avatar placeholder mr-4">
+              <div className="bg-primary text-primary-content rounded-full w-16">
+                <i className="fas fa-user text-2xl" />
+              </div>
+            </div>
+            <div>
+              <h1 className="text-4xl font-bold text-base-content mb-2">
+                Player #{profileId}
+              </h1>
+              <p className="text-lg text-base-content/70">
+                <span className={getEloColor(profile.currentRating)}>
+                  {getEloRank(profile.currentRating)}
+                </span>
+                {' · '}
+                {formatNumber(profile.totalMatches || 0)} recorded matches
+              </p>
+            </div>
+          </div>
+          <Link to={`/players/${profileId}/vs`} className="btn btn-outline btn-sm">
+            <i className="fas fa-user-friends mr-2" />
+            Compare
+          </Link>
+        </div>
+      </div>
+
+      {/* Summary Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-figure text-primary">
+            <i className="fas fa-chart-line text-3xl" />
+          </div>
+          <div className="stat-title">Rating</div>
+          <div className={`stat-value ${getEloColor(profile.currentRating)}`}>
+            {formatElo(profile.currentRating)}
+          </div>
+          <div className="stat-desc">Avg {formatElo(profile.avgRating)}</div>
+        </div>
+
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-figure text-success">
+            <i className="fas fa-trophy text-3xl" />
+          </div>
+          <div className="stat-title">Win Rate</div>
+          <div className="stat-value text-success">{formatPercentage(profile.winRate)}</div>
+          <div className="stat-desc">
+            {formatNumber(profile.wins || 0)}W / {formatNumber((profile.totalMatches || 0) - (profile.wins || 0))}L
+          </div>
+        </div>
+
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-figure text-secondary">
+            <i className="fas fa-gamepad text-3xl" />
+          </div>
+          <div className="stat-title">Matches</div>
+          <div className="stat-value text-secondary">{formatNumber(profile.totalMatches || 0)}</div>
+          <div className="stat-desc">{civStats.length} civilizations played</div>
+        </div>
+
+        <div className="stat bg-base-200 rounded-lg shadow-xl">
+          <div className="stat-figure text-accent">
+            <i className="fas fa-hourglass-half text-3xl" />
+          </div>
+          <div className="stat-title">Avg Age-Up Times</div>
+          <div className="stat-value text-accent text-2xl">
+            {formatAgeUp(profile.avgFeudalTime)}
+          </div>
+          <div className="stat-desc">
+            Castle {formatAgeUp(profile.avgCastleTime)} · Imperial {formatAgeUp(profile.avgImperialTime)}
+          </div>
+        </div>
+      </div>
+
+      {/* Rating History */}
+      <div className="flex justify-end mb-2">
+        <select
+          className="select select-bordered select-sm"
+          value={historyLeaderboard}
+          onChange={(e) => setHistoryLeaderboard(e.target.value)}
+        >
+          {HISTORY_LEADERBOARDS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      <ChartWithLoading
+        title="Rating History"
+        subtitle={`${ratingHistory.length} rated matches`}
+        icon="fas fa-chart-line text-primary"
+        height={300}
+        loading={historyLoading && ratingHistory.length === 0}
+        error={!historyLoading && ratingHistory.length === 0 ? 'No rating history available' : null}
+        className="mb-8"
+      >
+        <LineChart data={ratingHistory}>
+          <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+          <XAxis dataKey="date" tick={{ fontSize: 12 }} minTickGap={24} />
+          <YAxis domain={['dataMin - 25', 'dataMax + 25']} tick={{ fontSize: 12 }} />
+          <Tooltip
+            formatter={(value, name, { payload }) => [
+              `${value} (${payload.rating - payload.oldRating >= 0 ? '+' : ''}${payload.rating - payload.oldRating}, ${formatCivilization(payload.civ)})`,
+              payload.winner ? 'Win' : 'Loss'
+            ]}
+          />
+          <Line
+            type="monotone"
+            dataKey="rating"
+            stroke="#3b82f6"
+            strokeWidth={2}
+            dot={false}
+          />
+        </LineChart>
+      </ChartWithLoading>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Civ Usage */}
+        <div className="card bg-base-200 shadow-xl">
+          <div className="card-body">
+            <h2 className="card-title mb-4">
+              <i className="fas fa-flag mr-2 text-warning" />
+              Civilizations
+            </h2>
+            {civStats.length === 0 ? (
+              <p className="text-base-content/60">No civilization data</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table table-sm">
+                  <thead>
+                    <tr>
+                      <th>Civ</th>
+                      <th className="text-right">Games</th>
+                      <th className="text-right">Win Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {civStats.map(civ => (
+                      <tr
+                        key={civ._id}
+                        className={`hover cursor-pointer ${matchFilters.civ === civ._id ? 'bg-base-300' : ''}`}
+                        onClick={() => handleFilterChange('civ', matchFilters.civ === civ._id ? '' : civ._id)}
+                      >
+                        <td>
+                          <div className="flex items-center gap-2">
+                            <CivIcon civName={civ._id} size="xs" />
+                            <span>{formatCivilization(civ._id)}</span>
+                          </div>
+                        </td>
+                        <td className="text-right">{formatNumber(civ.matches)}</td>
+                        <td className={`text-right font-bold ${civ.winRate >= 0.5 ? 'text-success' : 'text-error'}`}>
+                          {formatPercentage(civ.winRate)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Match History */}
+        <div className="card bg-base-200 shadow-xl lg:col-span-2">
+          <div className="card-body">
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+              <h2 className="card-title">
+                <i className="fas fa-history mr-2 text-info" />
+                Match History
+                {matchFilters.civ && (
+                  <span className="badge badge-outline ml-2">
+                    {formatCivilization(matchFilters.civ)}
+                    <button className="ml-1" onClick={() => handleFilterChange('civ', '')}>×</button>
+                  </span>
+                )}
+              </h2>
+              <div className="join">
+                {RESULT_FILTERS.map(option => (
+                  <button
+                    key={option.value}
+                    className={`btn btn-xs join-item ${matchFilters.result === option.value ? 'btn-primary' : 'btn-ghost'}`}
+                    onClick={() => handleFilterChange('result', option.value)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {matchesLoading && matches.length === 0 ? (
+              <LoadingSpinner size="md" text="Loading matches..." />
+            ) : matchesError ? (
+              <ErrorMessage message={matchesError} onRetry={refetchMatches} />
+            ) : matches.length === 0 ? (
+              <p className="text-base-content/60">No matches for these filters</p>
+            ) : (
+              <div className="space-y-2">
+                {matches.map(match => (
+                  <Link
+                    key={`${match.game_id}-${match._id}`}
+                    to={`/matches/${match.game_id}`}
+                    className={`flex items-center justify-between p-3 rounded-lg bg-base-100 hover:bg-base-300 border-l-4 ${match.winner ? 'border-success' : 'border-error'}`}
+                  >
+                    <div className="flex items-center gap-3">
+                      <CivIcon civName={match.civ} size="sm" />
+                      <div>
+                        <div className="font-semibold">{formatCivilization(match.civ)}</div>
+                        <div className="text-xs text-base-content/60 flex items-center gap-1">
+                          {match.matchDetails?.map && <MapIcon mapName={match.matchDetails.map} size="xs" />}
+                          <span className="capitalize">{match.matchDetails?.map?.replace(/_/g, ' ') || 'Unknown map'}</span>
+                          <span>· {formatDuration(match.matchDetails?.duration)}</span>
+                          <span>· {formatDate(match.matchDetails?.started_timestamp)}</span>
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className={`font-bold ${match.winner ? 'text-success' : 'text-error'}`}>
+                        {match.winner ? 'Win' : 'Loss'}
+                      </div>
+                      {match.new_rating != null && (
+                        <div className="text-xs text-base-content/70">
+                          {match.old_rating} → {match.new_rating}
+                          {match.old_rating != null && (
+                            <span className={match.new_rating >= match.old_rating ? 'text-success' : 'text-error'}>
+                              {' '}({match.new_rating >= match.old_rating ? '+' : ''}{match.new_rating - match.old_rating})
+                            </span>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex justify-center mt-4">
+                <div className="join">
+                  <button
+                    className="join-item btn btn-sm"
+                    disabled={matchFilters.page <= 1}
+                    onClick={() => handleFilterChange('page', matchFilters.page - 1)}
+                  >
+                    «
+                  </button>
+                  <button className="join-item btn btn-sm btn-disabled">
+                    Page {matchFilters.page} of {totalPages}
+                  </button>
+                  <button
+                    className="join-item btn btn-sm"
+                    disabled={matchFilters.page >= totalPages}
+                    onClick={() => handleFilterChange('page', matchFilters.page + 1)}
+                  >
+                    »
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlayerProfilePage;
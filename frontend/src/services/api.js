@@ -235,6 +235,55 @@ class ApiService {
     }
   }
 
+  // Map categories, display names and aliases (rarely changes)
+  async getMapMetadata() {
+    try {
+      return this.request('/stats/maps/metadata');
+    } catch (error) {
+      console.error('❌ Failed to fetch map metadata:', error);
+      throw error;
+    }
+  }
+
+  // Every civ's win rate, play rate and tier on one map
+  async getMapCivilizations(mapName, params = {}) {
+    try {
+      const filteredParams = {};
+
+      if (params.leaderboard && params.leaderboard !== '') filteredParams.leaderboard = params.leaderboard;
+      if (params.patch && params.patch !== '') filteredParams.patch = parseInt(params.patch);
+      if (params.minElo && params.minElo !== '') filteredParams.minElo = parseInt(params.minElo);
+      if (params.maxElo && params.maxElo !== '') filteredParams.maxElo = parseInt(params.maxElo);
+      if (params.minGames && params.minGames !== '') filteredParams.minGames = parseInt(params.minGames);
+
+      const qs = new URLSearchParams(filteredParams).toString();
+      return this.request(`/stats/maps/${encodeURIComponent(mapName)}/civilizations${qs ? `?${qs}` : ''}`);
+    } catch (error) {
+      console.error(`❌ Failed to fetch civilizations for map ${mapName}:`, error);
+      throw error;
+    }
+  }
+
+  // Same-team civ pairs in team games; pass civ to get one civ's partners
+  async getSynergies(params = {}) {
+    try {
+      const filteredParams = {};
+
+      if (params.civ && params.civ !== '') filteredParams.civ = params.civ;
+      if (params.leaderboard && params.leaderboard !== '') filteredParams.leaderboard = params.leaderboard;
+      if (params.teamSize && params.teamSize !== '') filteredParams.teamSize = parseInt(params.teamSize);
+      if (params.patch && params.patch !== '') filteredParams.patch = parseInt(params.patch);
+      if (params.minGames && params.minGames !== '') filteredParams.minGames = parseInt(params.minGames);
+      if (params.limit) filteredParams.limit = parseInt(params.limit);
+
+      const qs = new URLSearchParams(filteredParams).toString();
+      return this.request(`/stats/synergies${qs ? `?${qs}` : ''}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch civilization synergies:', error);
+      throw error;
+    }
+  }
+
   // Player rankings with enhanced filtering
   async getPlayerRankings(leaderboard, params = {}) {
     try {
@@ -249,6 +298,8 @@ class ApiService {
       if (params.maxRating && params.maxRating !== '') filteredParams.maxRating = parseInt(params.maxRating);
       if (params.country && params.country !== '') filteredParams.country = params.country;
       if (params.search && params.search !== '') filteredParams.search = params.search;
+      if (params.minMatches) filteredParams.minMatches = parseInt(params.minMatches);
+      if (params.activeDays) filteredParams.activeDays = parseInt(params.activeDays);
       
       const qs = new URLSearchParams(filteredParams).toString();
       return this.request(`/players/rankings/${leaderboard}${qs ? `?${qs}` : ''}`);
@@ -315,6 +366,8 @@ class ApiService {
         filteredParams.civilization = params.civilization;
       }
       if (params.map && params.map !== '') filteredParams.map = params.map;
+      if (params.civ && params.civ !== '') filteredParams.civ = params.civ;
+      if (params.result && params.result !== '') filteredParams.result = params.result;
       
       const qs = new URLSearchParams(filteredParams).toString();
       return this.request(`/players/${profileId}/matches${qs ? `?${qs}` : ''}`);
@@ -324,6 +377,34 @@ class ApiService {
     }
   }
 
+  // Player rating history (one point per match, oldest first)
+  async getPlayerRatingHistory(profileId, params = {}) {
+    try {
+      const filteredParams = {};
+
+      if (params.leaderboard && params.leaderboard !== '') filteredParams.leaderboard = params.leaderboard;
+      if (params.from) filteredParams.from = params.from;
+      if (params.to) filteredParams.to = params.to;
+      if (params.limit) filteredParams.limit = parseInt(params.limit);
+
+      const qs = new URLSearchParams(filteredParams).toString();
+      return this.request(`/players/${profileId}/rating-history${qs ? `?${qs}` : ''}`);
+    } catch (error) {
+      console.error(`❌ Failed to fetch rating history for player ${profileId}:`, error);
+      throw error;
+    }
+  }
+
+  // Head-to-head record between two players
+  async getHeadToHead(profileId, opponentId) {
+    try {
+      return this.request(`/players/${profileId}/vs/${opponentId}`);
+    } catch (error) {
+      console.error(`❌ Failed to fetch head-to-head for ${profileId} vs ${opponentId}:`, error);
+      throw error;
+    }
+  }
+
   // Search matches
   async searchMatches(query, params = {}) {
     try {
@@ -435,6 +516,38 @@ class ApiService {
     }
   }
 
+  // Civilization insights with the civ-vs-civ matchup matrix
+  async getInsights(params = {}) {
+    try {
+      const filteredParams = {};
+
+      if (params.leaderboard && params.leaderboard !== '') {
+        filteredParams.leaderboard = params.leaderboard;
+      }
+      if (params.patch && params.patch !== '') {
+        filteredParams.patch = params.patch;
+      }
+      if (params.minElo && params.minElo !== '') {
+        filteredParams.minElo = parseInt(params.minElo);
+      }
+      if (params.maxElo && params.maxElo !== '') {
+        filteredParams.maxElo = parseInt(params.maxElo);
+      }
+      if (params.minMatches && params.minMatches !== '') {
+        filteredParams.minMatches = parseInt(params.minMatches);
+      }
+      if (params.matrixSize) {
+        filteredParams.matrixSize = parseInt(params.matrixSize);
+      }
+
+      const qs = new URLSearchParams(filteredParams).toString();
+      return this.request(`/stats/insights${qs ? `?${qs}` : ''}`);
+    } catch (error) {
+      console.error('❌ Failed to fetch insights:', error);
+      throw error;
+    }
+  }
+
   // ===================================================================
   // CIVILIZATION DETAIL ENDPOINTS
   // ===================================================================
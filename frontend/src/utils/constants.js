@@ -0,0 +1,14 @@
+// utils/constants.js - Option lists shared by the filter controls
+
+// Leaderboards with their own stats; teamGame marks the ones with 2+ players per team
+export const LEADERBOARDS = [
+  { value: 'random_map', label: '1v1 Random Map', teamGame: false },
+  { value: 'team_random_map', label: 'Team Random Map', teamGame: true },
+  { value: 'empire_wars', label: '1v1 Empire Wars', teamGame: false }
+];
+
+// Select options: an "All leaderboards" entry plus the leaderboards passing the filter
+export const leaderboardOptions = (include = () => true) => [
+  { value: '', label: 'All leaderboards' },
+  ...LEADERBOARDS.filter(include)
+];
@@ -1,4 +1,4 @@
-// utils/formatters.js - FINAL FIXED VERSION matching backend duration detection
+// utils/formatters.js - Display formatting for API values
 export const formatNumber = (num) => {
   if (num === null || num === undefined) return 'N/A';
   return new Intl.NumberFormat().format(num);
@@ -9,26 +9,11 @@ export const formatPercentage = (value, decimals = 1) => {
   return `${(value * 100).toFixed(decimals)}%`;
 };
 
-// FIXED: Use exact same logic as backend stats.js convertDurationToMinutes function
-export const formatDuration = (durationValue) => {
-  if (!durationValue || durationValue <= 0) return 'N/A';
-
-  let minutes;
-
-  // Detect format based on magnitude - EXACT backend logic
-  if (durationValue > 100000000) {
-    // Nanoseconds (very large numbers)
-    minutes = Math.round(durationValue / 60000000000);
-  } else if (durationValue > 100000) {
-    // Milliseconds  
-    minutes = Math.round(durationValue / 60000);
-  } else if (durationValue > 1000) {
-    // Seconds
-    minutes = Math.round(durationValue / 60);
-  } else {
-    // Already in minutes
-    minutes = Math.round(durationValue);
-  }
+// The API returns durations in seconds (fields ending in Minutes are already minutes)
+export const formatDuration = (seconds) => {
+  if (!seconds || seconds <= 0) return 'N/A';
+
+  const minutes = Math.round(seconds / 60);
 
   if (minutes < 60) {
     return `${minutes}m`;
@@ -39,6 +24,13 @@ export const formatDuration = (durationValue) => {
   return `${hours}h ${remainingMinutes}m`;
 };
 
+// Age-up times are in seconds, shown as m:ss
+export const formatAgeUp = (seconds, fallback = 'N/A') => {
+  if (!seconds || seconds <= 0) return fallback;
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
 export const formatDate = (date, options = {}) => {
   if (!date) return 'N/A';
   
@@ -0,0 +1,98 @@
+// utils/mapUtils.js - Map categories and display names from /stats/maps/metadata
+import { formatMapName } from './mapIcons';
+
+// Same ids as backend services/mapMetadata.js
+export const MAP_TYPES = {
+  LAND: 'land',
+  WATER: 'water',
+  HYBRID: 'hybrid',
+  CLOSED: 'closed',
+  NOMAD: 'nomad'
+};
+
+export const MAP_TYPE_LABELS = {
+  [MAP_TYPES.LAND]: 'Land Maps',
+  [MAP_TYPES.WATER]: 'Water Maps',
+  [MAP_TYPES.HYBRID]: 'Hybrid Maps',
+  [MAP_TYPES.CLOSED]: 'Closed Maps',
+  [MAP_TYPES.NOMAD]: 'Nomad Maps'
+};
+
+// Maps the metadata doesn't know yet are listed with the land maps
+const DEFAULT_MAP_TYPE = MAP_TYPES.LAND;
+
+// Lookup key shared with the backend: lowercase letters and digits, no rm_ prefix or .rms suffix
+const compactKey = (name) => String(name || '')
+  .toLowerCase()
+  .trim()
+  .replace(/\.rms$/, '')
+  .replace(/^rm[_\s-]/, '')
+  .replace(/[^a-z0-9]/g, '');
+
+// One index per metadata response, keyed by every spelling of every map
+const indexes = new WeakMap();
+const getIndex = (metadata) => {
+  if (!metadata?.maps) return new Map();
+  if (!indexes.has(metadata)) {
+    const index = new Map();
+    metadata.maps.forEach(map => {
+      [map.id, map.displayName, ...(map.aliases || [])].forEach(name => index.set(compactKey(name), map));
+    });
+    indexes.set(metadata, index);
+  }
+  return indexes.get(metadata);
+};
+
+// Canonical id, display name and type for any spelling of a map
+export const resolveMap = (mapName, metadata = null) => {
+  const entry = getIndex(metadata).get(compactKey(mapName));
+  if (entry) {
+    return { id: entry.id, displayName: entry.displayName, type: entry.type };
+  }
+
+  return {
+    id: mapName,
+    displayName: formatMapName(String(mapName || '').replace(/_/g, ' ')),
+    type: null
+  };
+};
+
+// Normalize /stats/maps rows: name, display name, type and play rate fields, most played first
+export const processMapData = (maps = [], metadata = null) => {
+  const totalMatches = maps.reduce((sum, map) => sum + (map.totalMatches || 0), 0);
+
+  return maps
+    .map(map => {
+      const name = map.name || map.map || map.mapName || 'Unknown';
+      const resolved = resolveMap(name, metadata);
+      const playRate = map.playRate ?? (totalMatches > 0 ? (map.totalMatches || 0) / totalMatches : 0);
+
+      return {
+        ...map,
+        name,
+        map: name,
+        id: resolved.id,
+        displayName: resolved.type ? resolved.displayName : (map.displayName || resolved.displayName),
+        type: resolved.type || map.type || DEFAULT_MAP_TYPE,
+        playRate,
+        playRatePercent: playRate * 100,
+        formattedPlayRate: `${(playRate * 100).toFixed(1)}%`
+      };
+    })
+    .sort((a, b) => (b.totalMatches || 0) - (a.totalMatches || 0));
+};
+
+// { [type]: most played maps of that type }, in MAP_TYPES order, empty categories left out
+export const getTopMapsByCategory = (maps = [], limit = 6, metadata = null) => {
+  const processed = processMapData(maps, metadata);
+  const categories = {};
+
+  Object.values(MAP_TYPES).forEach(type => {
+    const mapsOfType = processed.filter(map => map.type === type).slice(0, limit);
+    if (mapsOfType.length > 0) {
+      categories[type] = mapsOfType;
+    }
+  });
+
+  return categories;
+};
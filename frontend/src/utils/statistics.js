@@ -0,0 +1,40 @@
+// utils/statistics.js - Helpers for the win rate intervals returned by the API
+// (backend services/winRateStats.js: winRate, ci { lower, upper }, standardError, significant)
+
+// [below, above] distances from the win rate to the interval ends, the shape
+// recharts' <ErrorBar> expects. Null when the row carries no interval.
+export const errorBarRange = (winRate, ci) => {
+  if (winRate === null || winRate === undefined || !ci) return null;
+  return [Math.max(0, winRate - ci.lower), Math.max(0, ci.upper - winRate)];
+};
+
+// Add an error range next to a chart value, e.g. withErrorBars(rows, 'civWin')
+// sets row.civWinError. multiplier scales 0-1 rows to the chart's percent axis.
+export const withErrorBars = (rows = [], valueKey = 'winRate', multiplier = 1) => {
+  return rows.map(row => {
+    const value = row[valueKey];
+    const ci = row.ci && { lower: row.ci.lower * multiplier, upper: row.ci.upper * multiplier };
+    return { ...row, [`${valueKey}Error`]: errorBarRange(value, ci) };
+  });
+};
+
+// "48.2-53.9%" for a 0-1 interval (scale 1) or a percent interval (scale 100)
+export const formatInterval = (ci, scale = 1, decimals = 1) => {
+  if (!ci) return 'N/A';
+  const factor = 100 / scale;
+  return `${(ci.lower * factor).toFixed(decimals)}-${(ci.upper * factor).toFixed(decimals)}%`;
+};
+
+// Text color for a value: green/red only when it differs significantly from the
+// baseline (50% for win rates, 0 for differences such as winRateAboveExpected)
+export const significanceClass = (value, significant, baseline = 0.5) => {
+  if (!significant) return 'text-base-content';
+  return value > baseline ? 'text-success' : 'text-error';
+};
+
+// Signed difference in percentage points, e.g. winRateAboveExpected 0.021 -> "+2.1%"
+export const formatDelta = (value, decimals = 1) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const points = value * 100;
+  return `${points > 0 ? '+' : ''}${points.toFixed(decimals)}%`;
+};